@@ -1,10 +1,114 @@
-require('dotenv').config();
 const OmniHRAuth = require('./auth');
+const { RateLimiter, sleep } = require('./rateLimiter');
+const { openCassette, cassetteFromEnv } = require('./cassette');
+const { SchemaValidator, schemaValidatorFromEnv } = require('./schemaValidator');
+const { responseCacheFromEnv } = require('./responseCache');
+const { logger } = require('./logger');
+const { requestMetrics } = require('./metrics');
+
+const DEFAULT_RETRY_POLICY = {
+	retries: 3,
+	baseDelayMs: 500,
+	maxDelayMs: 30000,
+	retryOnStatus: [408, 429, 500, 502, 503, 504],
+	// Only reads are replayed unless the caller opts in: a PUT or DELETE such as
+	// a leave approval may have been applied before the error reached us
+	methods: ['GET', 'HEAD', 'OPTIONS'],
+};
+
+const DEFAULT_PAGE_SIZE = 100;
+
+const NETWORK_ERROR_CODES = [
+	'ECONNRESET',
+	'ECONNREFUSED',
+	'ETIMEDOUT',
+	'EAI_AGAIN',
+	'EPIPE',
+	'UND_ERR_SOCKET',
+	'UND_ERR_CONNECT_TIMEOUT',
+];
+
+/**
+ * @param {string} name - Environment variable name
+ * @returns {number|undefined}
+ */
+function readNumberEnv(name) {
+	const value = process.env[name];
+	if (value === undefined || value === '') return undefined;
+	const num = Number(value);
+	return Number.isFinite(num) ? num : undefined;
+}
 
 class OmniHRAPIClient {
-	constructor() {
-		this.auth = new OmniHRAuth();
+	/**
+	 * @param {Object} [options]
+	 * @param {Object} [options.retry] - Overrides for DEFAULT_RETRY_POLICY
+	 * @param {number} [options.requestsPerSecond] - Client-wide request rate, 0 to disable
+	 * @param {Object} [options.cassette] - { mode: 'record'|'replay', dir }, defaults to
+	 *   OMNIHR_CASSETTE_MODE / OMNIHR_CASSETTE_DIR
+	 * @param {Object} [options.validation] - { mode: 'off'|'warn'|'strict', reportPath },
+	 *   defaults to OMNIHR_SCHEMA_VALIDATION / OMNIHR_SCHEMA_REPORT
+	 * @param {Object} [options.tenant] - Profile from profiles.js, defaults to the
+	 *   OMNIHR_* environment variables
+	 * @param {Object} [options.cache] - { mode: 'use'|'refresh'|'off', dir, ttl },
+	 *   defaults to OMNIHR_CACHE / OMNIHR_CACHE_DIR / OMNIHR_CACHE_TTL
+	 * @param {Logger} [options.logger] - Defaults to the shared logger
+	 * @param {RequestMetrics} [options.metrics] - Defaults to the shared metrics
+	 */
+	constructor(options = {}) {
+		const baseURL =
+			options.tenant?.baseURL ||
+			process.env.OMNIHR_BASE_URL ||
+			'https://api.omnihr.co/api/v1';
+		this.cassette = options.cassette
+			? openCassette({ ...options.cassette, baseURL })
+			: cassetteFromEnv(baseURL);
+		const replaying = Boolean(this.cassette?.isReplaying());
+
+		// Tenants share a cassette directory, so their requests are keyed apart
+		const scope = { baseURL, tenant: options.tenant?.name };
+		this.fetch = this.cassette
+			? (url, init) => this.cassette.fetch(url, init, scope)
+			: fetch;
+		this.validator = options.validation
+			? new SchemaValidator(options.validation)
+			: schemaValidatorFromEnv();
+		this.auth = new OmniHRAuth({
+			fetch: this.fetch,
+			requireCredentials: !replaying,
+			validator: this.validator,
+			tenant: options.tenant,
+		});
 		this.baseURL = this.auth.baseURL;
+		this.logger = (options.logger || logger).child(
+			options.tenant ? { tenant: options.tenant.name } : {}
+		);
+		this.metrics = options.metrics || requestMetrics;
+		this.cache = responseCacheFromEnv({
+			...options.cache,
+			// A cassette must see every request, or replays would miss entries
+			...(this.cassette && { mode: 'off' }),
+			namespace: [this.baseURL, this.auth.subdomain, this.auth.username].join(
+				'|'
+			),
+		});
+
+		const envRetries = readNumberEnv('OMNIHR_MAX_RETRIES');
+		this.retryPolicy = {
+			...DEFAULT_RETRY_POLICY,
+			...(envRetries !== undefined && { retries: envRetries }),
+			...options.retry,
+			// Recorded retries are replayed in order, there is nothing to wait for
+			...(replaying && { baseDelayMs: 0, maxDelayMs: 0 }),
+		};
+
+		this.rateLimiter = new RateLimiter({
+			requestsPerSecond: replaying
+				? 0
+				: options.requestsPerSecond ??
+				  readNumberEnv('OMNIHR_REQUESTS_PER_SECOND') ??
+				  10,
+		});
 	}
 
 	async parseResponse(response) {
@@ -25,42 +129,222 @@ class OmniHRAPIClient {
 		return response;
 	}
 
+	/**
+	 * Send a request with the given access token
+	 * @param {string} endpoint
+	 * @param {Object} options - fetch options
+	 * @param {string} token
+	 * @returns {Promise<Response>}
+	 */
+	async sendRequest(endpoint, options, token) {
+		const authHeaders = await this.auth.getAuthHeaders(token);
+		const headers = {
+			...authHeaders,
+			...options.headers,
+		};
+
+		const url = `${this.baseURL}${endpoint}`;
+
+		return this.fetch(url, {
+			...options,
+			headers,
+		});
+	}
+
+	/**
+	 * A 401 renews the token once (refresh, or re-login) and replays the request
+	 * @param {string} endpoint
+	 * @param {Object} options - fetch options
+	 * @returns {Promise<Response>}
+	 */
+	async sendAuthorizedRequest(endpoint, options) {
+		// Wait for a rate-limit slot before taking the token so it cannot go
+		// stale while the request is queued
+		await this.rateLimiter.acquire();
+		const token = await this.auth.getToken();
+		const response = await this.sendRequest(endpoint, options, token);
+
+		if (response.status !== 401) {
+			return response;
+		}
+
+		await response.arrayBuffer().catch(() => null);
+		await this.rateLimiter.acquire();
+		const renewedToken = await this.auth.renewToken(token);
+		return this.sendRequest(endpoint, options, renewedToken);
+	}
+
+	/**
+	 * @param {Error} error
+	 * @returns {boolean} True for connection-level failures worth retrying
+	 */
+	isNetworkError(error) {
+		const code = error.code || error.cause?.code;
+		return (
+			NETWORK_ERROR_CODES.includes(code) ||
+			(error instanceof TypeError && error.message === 'fetch failed')
+		);
+	}
+
+	/**
+	 * @param {Response} response
+	 * @returns {number|null} Delay requested by the Retry-After header
+	 */
+	parseRetryAfter(response) {
+		const header = response?.headers.get('retry-after');
+		if (!header) return null;
+
+		const seconds = Number(header);
+		if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+		const date = Date.parse(header);
+		return isNaN(date) ? null : Math.max(0, date - Date.now());
+	}
+
+	/**
+	 * Exponential backoff with full jitter, unless the server says otherwise
+	 * @param {number} attempt - Zero-based attempt that just failed
+	 * @param {Response} [response]
+	 * @returns {number} Delay in milliseconds
+	 */
+	getRetryDelay(attempt, response) {
+		const { baseDelayMs, maxDelayMs } = this.retryPolicy;
+		const retryAfter = this.parseRetryAfter(response);
+
+		if (retryAfter !== null) {
+			return Math.min(retryAfter, maxDelayMs);
+		}
+
+		const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+		return Math.round(Math.random() * backoff);
+	}
+
+	/**
+	 * @param {Response} response
+	 * @returns {Promise<*>} Parsed body of a successful response
+	 */
+	async handleResponse(response) {
+		if (response.status === 401) {
+			const errorBody = await this.parseResponse(response).catch(() => null);
+			const error = new Error(
+				`Unauthorized (401): Invalid API key or subdomain. ${JSON.stringify(
+					errorBody
+				)}`
+			);
+			error.status = 401;
+			throw error;
+		}
+
+		if (!response.ok) {
+			const errorBody = await this.parseResponse(response).catch(() => null);
+			const error = new Error(
+				`HTTP error! status: ${response.status}, body: ${JSON.stringify(
+					errorBody
+				)}`
+			);
+			error.status = response.status;
+			throw error;
+		}
+
+		return await this.parseResponse(response);
+	}
+
+	/**
+	 * Retries 408/429/5xx responses and network failures for the methods of
+	 * the retry policy, GET, HEAD and OPTIONS by default.
+	 * GETs go through the response cache: fresh entries skip the request, stale
+	 * ones are revalidated when the server sent an ETag or Last-Modified.
+	 * @param {string} endpoint
+	 * @param {Object} options - fetch options
+	 * @returns {Promise<*>} Parsed response body
+	 */
 	async makeRequest(endpoint, options = {}) {
-		try {
-			const authHeaders = await this.auth.getAuthHeaders();
-			const headers = {
-				...authHeaders,
-				...options.headers,
+		const { retries, retryOnStatus, methods } = this.retryPolicy;
+		const method = (options.method || 'GET').toUpperCase();
+		const canRetry = methods.includes(method);
+		const cacheable = method === 'GET' && this.cache.isCacheable(endpoint);
+
+		const cached = cacheable ? this.cache.lookup(endpoint) : null;
+		if (cached?.fresh) {
+			this.cache.stats.hits++;
+			this.metrics.recordCacheHit(method, endpoint);
+			return cached.body;
+		}
+		if (cached) {
+			options = {
+				...options,
+				headers: {
+					...options.headers,
+					...this.cache.getConditionalHeaders(cached),
+				},
 			};
+		}
 
-			const url = `${this.baseURL}${endpoint}`;
+		try {
+			for (let attempt = 0; ; attempt++) {
+				const hasRetriesLeft = canRetry && attempt < retries;
+				let response;
+				const startedAt = Date.now();
 
-			const response = await fetch(url, {
-				...options,
-				headers,
-			});
-
-			if (response.status === 401) {
-				const errorBody = await this.parseResponse(response).catch(() => null);
-				throw new Error(
-					`Unauthorized (401): Invalid API key or subdomain. ${JSON.stringify(
-						errorBody
-					)}`
-				);
-			}
+				try {
+					response = await this.sendAuthorizedRequest(endpoint, options);
+				} catch (error) {
+					this.metrics.record({
+						method,
+						endpoint,
+						status: 'network_error',
+						durationMs: Date.now() - startedAt,
+					});
+					if (!hasRetriesLeft || !this.isNetworkError(error)) throw error;
+					const delay = this.getRetryDelay(attempt);
+					this.logger.debug('Retrying after network error', {
+						method,
+						endpoint,
+						error: error.message,
+						delayMs: delay,
+					});
+					await sleep(delay);
+					continue;
+				}
 
-			if (!response.ok) {
-				const errorBody = await this.parseResponse(response).catch(() => null);
-				throw new Error(
-					`HTTP error! status: ${response.status}, body: ${JSON.stringify(
-						errorBody
-					)}`
-				);
-			}
+				this.metrics.record({
+					method,
+					endpoint,
+					status: response.status,
+					durationMs: Date.now() - startedAt,
+				});
+
+				if (hasRetriesLeft && retryOnStatus.includes(response.status)) {
+					const delay = this.getRetryDelay(attempt, response);
+					if (response.status === 429) {
+						this.rateLimiter.pause(delay);
+					}
+					this.logger.debug('Retrying after HTTP error', {
+						method,
+						endpoint,
+						status: response.status,
+						delayMs: delay,
+					});
+					await response.arrayBuffer().catch(() => null);
+					await sleep(delay);
+					continue;
+				}
+
+				if (cached && response.status === 304) {
+					await response.arrayBuffer().catch(() => null);
+					return this.cache.renew(cached, response.headers);
+				}
 
-			return await this.parseResponse(response);
+				const body = await this.handleResponse(response);
+				this.validator.validate(method, endpoint, response.status, body);
+				if (cacheable) {
+					this.cache.stats.misses++;
+					this.cache.store(endpoint, body, response.headers);
+				}
+				return body;
+			}
 		} catch (error) {
-			this.handleError(error);
+			this.handleError(error, method, endpoint);
 			throw error;
 		}
 	}
@@ -74,6 +358,125 @@ class OmniHRAPIClient {
 		});
 	}
 
+	/**
+	 * Turn an absolute `next` URL from a paginated response into an endpoint
+	 * relative to baseURL
+	 * @param {string} url
+	 * @returns {string}
+	 */
+	toEndpoint(url) {
+		if (url.startsWith(this.baseURL)) {
+			return url.slice(this.baseURL.length);
+		}
+
+		const target = new URL(url, this.baseURL);
+		const basePath = new URL(this.baseURL).pathname.replace(/\/$/, '');
+		const pathname = target.pathname.startsWith(basePath)
+			? target.pathname.slice(basePath.length)
+			: target.pathname;
+
+		return `${pathname}${target.search}`;
+	}
+
+	/**
+	 * Normalise the two list response shapes (bare array or DRF page object)
+	 * @param {Array|Object} response
+	 * @returns {{ results: Array, next: string|null, count: number|null }}
+	 */
+	toPage(response) {
+		if (Array.isArray(response)) {
+			return { results: response, next: null, count: response.length };
+		}
+
+		return {
+			results: response?.results || [],
+			next: response?.next || null,
+			count: typeof response?.count === 'number' ? response.count : null,
+		};
+	}
+
+	/**
+	 * Iterate over every item of a paginated list endpoint. Pages are followed
+	 * via `next`; with concurrency > 1 and a known `count`, the remaining pages
+	 * are requested by number in parallel windows and yielded in order.
+	 * @param {string} endpoint
+	 * @param {Object} [params] - Extra query parameters
+	 * @param {Object} [options]
+	 * @param {number} [options.pageSize=100]
+	 * @param {number} [options.concurrency=1] - Pages fetched at once after the first
+	 * @param {Function} [options.onProgress] - Progress callback (fetched, total|null)
+	 * @returns {AsyncGenerator<Object>}
+	 */
+	async *paginate(endpoint, params = {}, options = {}) {
+		const {
+			pageSize = DEFAULT_PAGE_SIZE,
+			concurrency = 1,
+			onProgress,
+		} = options;
+
+		let page = this.toPage(
+			await this.get(endpoint, { ...params, page: 1, page_size: pageSize })
+		);
+		let fetched = page.results.length;
+		if (onProgress) onProgress(fetched, page.count);
+		yield* page.results;
+
+		if (concurrency > 1 && page.next && page.count !== null) {
+			// The server may cap page_size, so size pages by what it actually sent
+			const effectivePageSize = page.results.length || pageSize;
+			const totalPages = Math.ceil(page.count / effectivePageSize);
+
+			for (let start = 2; start <= totalPages; start += concurrency) {
+				const pageNumbers = [];
+				for (let n = start; n < start + concurrency && n <= totalPages; n++) {
+					pageNumbers.push(n);
+				}
+
+				const responses = await Promise.all(
+					pageNumbers.map((n) =>
+						this.get(endpoint, {
+							...params,
+							page: n,
+							page_size: effectivePageSize,
+						})
+					)
+				);
+
+				for (const response of responses) {
+					const { results } = this.toPage(response);
+					fetched += results.length;
+					if (onProgress) onProgress(fetched, page.count);
+					yield* results;
+				}
+			}
+			return;
+		}
+
+		while (page.next) {
+			page = this.toPage(
+				await this.makeRequest(this.toEndpoint(page.next), { method: 'GET' })
+			);
+			fetched += page.results.length;
+			if (onProgress) onProgress(fetched, page.count);
+			yield* page.results;
+		}
+	}
+
+	/**
+	 * Collect every item of a paginated list endpoint into an array
+	 * @param {string} endpoint
+	 * @param {Object} [params]
+	 * @param {Object} [options] - See paginate()
+	 * @returns {Promise<Array>}
+	 */
+	async collectAll(endpoint, params = {}, options = {}) {
+		const items = [];
+		for await (const item of this.paginate(endpoint, params, options)) {
+			items.push(item);
+		}
+		return items;
+	}
+
 	async post(endpoint, data = {}) {
 		return this.makeRequest(endpoint, {
 			method: 'POST',
@@ -94,14 +497,28 @@ class OmniHRAPIClient {
 		});
 	}
 
-	handleError(error) {
-		if (error.message.includes('HTTP error')) {
-			console.error(`API Error: ${error.message}`);
-		} else if (error.message.includes('fetch')) {
-			console.error('Network Error:', error.message);
-		} else {
-			console.error('Error:', error.message);
+	/**
+	 * Log a request that failed for good. Callers decide whether the error is
+	 * fatal, so this is a warning.
+	 * @param {Error} error
+	 * @param {string} method
+	 * @param {string} endpoint
+	 */
+	handleError(error, method, endpoint) {
+		let kind = 'error';
+		if (error.status) {
+			kind = 'http';
+		} else if (this.isNetworkError(error)) {
+			kind = 'network';
 		}
+
+		this.logger.warn('API request failed', {
+			method,
+			endpoint,
+			kind,
+			status: error.status,
+			error: error.message,
+		});
 	}
 }
 
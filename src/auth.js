@@ -1,13 +1,34 @@
-require('dotenv').config();
+// Renew the access token this long before its JWT `exp` to avoid racing expiry
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
 
 class OmniHRAuth {
-	constructor() {
+	/**
+	 * @param {Object} [options]
+	 * @param {Function} [options.fetch] - fetch implementation, e.g. a cassette
+	 * @param {boolean} [options.requireCredentials=true] - False when replaying offline
+	 * @param {SchemaValidator} [options.validator] - Checks token responses for drift
+	 * @param {Object} [options.tenant] - Profile settings (baseURL, subdomain,
+	 *   username, password) used instead of the OMNIHR_* environment variables
+	 */
+	constructor(options = {}) {
+		const { requireCredentials = true, tenant } = options;
+		this.fetch = options.fetch || fetch;
+		this.validator = options.validator || null;
+		this.tenantName = tenant?.name || null;
 		this.baseURL =
-			process.env.OMNIHR_BASE_URL || 'https://api.omnihr.co/api/v1';
-		this.username = process.env.OMNIHR_USERNAME;
-		this.password = process.env.OMNIHR_PASSWORD;
-		this.subdomain = process.env.OMNIHR_SUBDOMAIN;
+			tenant?.baseURL ||
+			process.env.OMNIHR_BASE_URL ||
+			'https://api.omnihr.co/api/v1';
+		this.username = tenant ? tenant.username : process.env.OMNIHR_USERNAME;
+		this.password = tenant ? tenant.password : process.env.OMNIHR_PASSWORD;
+		this.subdomain = tenant ? tenant.subdomain : process.env.OMNIHR_SUBDOMAIN;
 		this.token = null;
+		this.refreshToken = null;
+		this.tokenExpiresAt = null;
+		this.tokenIssuedAt = null;
+		this.pendingAuth = null;
+
+		if (!requireCredentials) return;
 
 		if (!this.username || !this.password) {
 			throw new Error(
@@ -20,55 +41,174 @@ class OmniHRAuth {
 		}
 	}
 
-	async login() {
-		const loginUrl = `${this.baseURL}/auth/token/`;
-
-		const response = await fetch(loginUrl, {
+	/**
+	 * POST form-encoded credentials to an auth endpoint and return the JSON body
+	 * @param {string} endpoint - Auth endpoint relative to baseURL
+	 * @param {Object} fields - Form fields
+	 * @param {string} action - Label used in error messages
+	 * @returns {Promise<Object>}
+	 */
+	async postAuthForm(endpoint, fields, action) {
+		const response = await this.fetch(`${this.baseURL}${endpoint}`, {
 			method: 'POST',
 			headers: {
 				'Content-Type': 'application/x-www-form-urlencoded',
 				'x-subdomain': this.subdomain,
 			},
-			body: new URLSearchParams({
-				username: this.username,
-				password: this.password,
-			}).toString(),
+			body: new URLSearchParams(fields).toString(),
 		});
 
 		const responseText = await response.text();
 
 		if (!response.ok) {
 			throw new Error(
-				`Login failed with status ${response.status}: ${responseText}`
+				`${action} failed with status ${response.status}: ${responseText}`
 			);
 		}
 
 		const data = JSON.parse(responseText);
 
-		this.token = data.access || data.token || data.access_token;
+		if (this.validator) {
+			this.validator.validate('POST', endpoint, response.status, data);
+		}
 
-		if (!this.token) {
+		return data;
+	}
+
+	/**
+	 * Read the `exp` claim of a JWT without verifying its signature
+	 * @param {string} token
+	 * @returns {number|null} Expiry as epoch milliseconds, or null if unknown
+	 */
+	decodeTokenExpiry(token) {
+		const payload = String(token).split('.')[1];
+		if (!payload) return null;
+
+		try {
+			const claims = JSON.parse(
+				Buffer.from(payload, 'base64url').toString('utf8')
+			);
+			return typeof claims.exp === 'number' ? claims.exp * 1000 : null;
+		} catch {
+			return null;
+		}
+	}
+
+	/**
+	 * @param {Object} data - Token response body
+	 */
+	storeTokens(data) {
+		const token = data.access || data.token || data.access_token;
+
+		if (!token) {
 			throw new Error('No token found in response');
 		}
 
+		this.token = token;
+		this.refreshToken = data.refresh || data.refresh_token || this.refreshToken;
+		this.tokenExpiresAt = this.decodeTokenExpiry(token);
+		this.tokenIssuedAt = Date.now();
+	}
+
+	async login() {
+		const data = await this.postAuthForm(
+			'/auth/token/',
+			{ username: this.username, password: this.password },
+			'Login'
+		);
+
+		this.storeTokens(data);
 		return this.token;
 	}
 
+	/**
+	 * Exchange the refresh token for a new access token, falling back to a full
+	 * login when there is no refresh token or it has been rejected
+	 * @returns {Promise<string>}
+	 */
+	async refresh() {
+		if (!this.refreshToken) {
+			return this.login();
+		}
+
+		try {
+			const data = await this.postAuthForm(
+				'/auth/token/refresh/',
+				{ refresh: this.refreshToken },
+				'Token refresh'
+			);
+			this.storeTokens(data);
+			return this.token;
+		} catch {
+			this.refreshToken = null;
+			return this.login();
+		}
+	}
+
+	/**
+	 * Short-lived tokens use a quarter of their lifetime as the margin so they
+	 * are not refreshed on every request
+	 * @returns {boolean} True if the token is about to expire
+	 */
+	isTokenExpiring() {
+		if (!this.tokenExpiresAt) return false;
+		const lifetime = this.tokenExpiresAt - this.tokenIssuedAt;
+		const margin = Math.min(TOKEN_EXPIRY_MARGIN_MS, lifetime / 4);
+		return this.tokenExpiresAt - margin <= Date.now();
+	}
+
+	/**
+	 * Run an auth operation so that concurrent callers share one in-flight request
+	 * @param {Function} operation - Returns a promise resolving to the token
+	 * @returns {Promise<string>}
+	 */
+	authenticateOnce(operation) {
+		if (!this.pendingAuth) {
+			this.pendingAuth = operation().finally(() => {
+				this.pendingAuth = null;
+			});
+		}
+		return this.pendingAuth;
+	}
+
 	async getToken() {
+		if (this.pendingAuth) {
+			return this.pendingAuth;
+		}
 		if (!this.token) {
-			await this.login();
+			return this.authenticateOnce(() => this.login());
+		}
+		if (this.isTokenExpiring()) {
+			return this.authenticateOnce(() => this.refresh());
 		}
 		return this.token;
 	}
 
+	/**
+	 * Renew a token the server rejected. If another caller has already replaced
+	 * it, the current token is returned without a new auth round-trip.
+	 * @param {string} rejectedToken - Token that received the 401
+	 * @returns {Promise<string>}
+	 */
+	async renewToken(rejectedToken) {
+		if (this.token && this.token !== rejectedToken) {
+			return this.getToken();
+		}
+		return this.authenticateOnce(() => this.refresh());
+	}
+
 	getSubdomain() {
 		return this.subdomain;
 	}
 
-	async getAuthHeaders() {
-		const token = await this.getToken();
+	/**
+	 * @param {string} [token] - Token to use instead of the current one
+	 * @returns {Promise<Object>}
+	 */
+	async getAuthHeaders(token) {
+		const accessToken = token || (await this.getToken());
 		return {
-			Authorization: `Bearer ${token}`,
+			Authorization: `Bearer ${accessToken}`,
 			'x-subdomain': this.subdomain,
 			'Content-Type': 'application/json',
 		};
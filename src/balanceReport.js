@@ -0,0 +1,558 @@
+/**
+ * Leave balance history and year-end projection report.
+ *
+ * For every employee and leave type it reads the balance history from
+ * /employee/1.1/users/{user_id}/time-off-types/{time_off_id}/balance-history/
+ * and summarises accrual and usage per month, projects the year-end balance
+ * from approved leave still to come, and flags carry-forward days that will
+ * expire before they are used.
+ */
+
+if (require.main === module) require('dotenv').config({ quiet: true });
+const fs = require('fs');
+const path = require('path');
+const LeaveService = require('./leaveService');
+const { logger } = require('./logger');
+const {
+	parseISODate,
+	parseApiDate,
+	toISODate,
+} = require('./leavePeriods');
+const { hoursOn, loadScheduleOverrides } = require('./workSchedules');
+const { EXCLUDED_EMPLOYEES } = require('./detectHireTermination');
+
+const DEFAULT_OUTPUT = path.join(__dirname, '..', 'leave-balance-report.md');
+
+// Share of a working day for leave days without hours
+const PERIOD_DAYS = { full: 1, am: 0.5, pm: 0.5 };
+
+/**
+ * @param {string|number|null} value - OmniHR decimals arrive as strings
+ * @returns {number}
+ */
+function num(value) {
+	const parsed = parseFloat(value);
+	return isNaN(parsed) ? 0 : parsed;
+}
+
+/**
+ * @param {number} value
+ * @returns {number} Rounded to 2 decimals
+ */
+function round(value) {
+	return Math.round(value * 100) / 100;
+}
+
+/**
+ * @param {LeaveService} leaveService
+ * @param {number} userId
+ * @param {number} timeOffId
+ * @returns {Promise<Array>} TimeOffEvent objects
+ */
+async function fetchBalanceHistory(leaveService, userId, timeOffId) {
+	return leaveService.apiClient.collectAll(
+		`/employee/1.1/users/${userId}/time-off-types/${timeOffId}/balance-history/`
+	);
+}
+
+/**
+ * Accrual and usage per month of the year, up to asOf. Events with an expiry
+ * date are carry-forward credits; other credits count as accrual.
+ * @param {Array} events - TimeOffEvent objects
+ * @param {Date} asOf
+ * @returns {Array<Object>} { month: YYYY-MM, carried, accrued, used, balance }
+ */
+function summarizeHistory(events, asOf) {
+	const year = asOf.getFullYear();
+	const dated = events
+		.map((event) => ({ ...event, date: parseApiDate(event.event_date) }))
+		.filter((event) => event.date && event.date <= asOf)
+		.sort((a, b) => a.date - b.date);
+
+	let balance = 0;
+	const months = [];
+	for (let month = 0; month <= asOf.getMonth(); month++) {
+		months.push({ month, carried: 0, accrued: 0, used: 0, balance: 0 });
+	}
+
+	for (const event of dated) {
+		const amount = num(event.amount);
+		balance =
+			event.balance !== null && event.balance !== undefined
+				? num(event.balance)
+				: balance + amount;
+		if (event.date.getFullYear() < year) {
+			// Opening balance of the year
+			months.forEach((m) => (m.balance = balance));
+			continue;
+		}
+
+		const entry = months[event.date.getMonth()];
+		if (amount < 0) entry.used -= amount;
+		else if (event.expiry_date) entry.carried += amount;
+		else entry.accrued += amount;
+		for (const m of months.slice(event.date.getMonth())) m.balance = balance;
+	}
+
+	return months.map(({ month, carried, accrued, used, balance }) => ({
+		month: `${year}-${String(month + 1).padStart(2, '0')}`,
+		carried: round(carried),
+		accrued: round(accrued),
+		used: round(used),
+		balance: round(balance),
+	}));
+}
+
+/**
+ * @param {Object} leave - Leave day from LeaveService.processCalendarResponse
+ * @param {Object} schedule - Work schedule of the employee
+ * @returns {number} Share of a working day taken
+ */
+function leaveDayFraction(leave, schedule) {
+	const scheduled = hoursOn(schedule, parseISODate(leave.date));
+	if (leave.hours !== undefined && scheduled > 0) {
+		return leave.hours / scheduled;
+	}
+	return PERIOD_DAYS[leave.period] ?? (leave.is_half_day ? 0.5 : 1);
+}
+
+/**
+ * Approved leave after asOf until the end of the year, by leave type
+ * @param {LeaveService} leaveService
+ * @param {Object} employee - { userId, employeeId, employeeName }
+ * @param {Date} asOf
+ * @returns {Promise<Map>} Leave type name -> Array of { date, days }
+ */
+async function fetchFutureLeave(leaveService, employee, asOf) {
+	const from = new Date(
+		asOf.getFullYear(),
+		asOf.getMonth(),
+		asOf.getDate() + 1
+	);
+	const to = new Date(asOf.getFullYear(), 11, 31);
+	const byType = new Map();
+	if (from > to) return byType;
+
+	const calendar = await leaveService.getUserTimeOffCalendar(
+		employee.userId,
+		from,
+		to
+	);
+	const schedule = await leaveService.resolveWorkSchedule(employee, calendar);
+	const leaveDays = leaveService.processCalendarResponse(
+		calendar,
+		from,
+		to,
+		undefined,
+		schedule,
+		['approved']
+	);
+
+	for (const leave of leaveDays) {
+		if (!byType.has(leave.leave_type)) byType.set(leave.leave_type, []);
+		byType.get(leave.leave_type).push({
+			date: parseISODate(leave.date),
+			days: leaveDayFraction(leave, schedule),
+		});
+	}
+	return byType;
+}
+
+/**
+ * Year-end projection and carry-forward risk of one leave type.
+ *
+ * OmniHR's remaining `days` already nets out `planned` leave, which includes
+ * pending requests; the projection counts approved leave only:
+ * carry-forward + earned + adjustments + taken (negative) + still to accrue
+ * - approved future leave.
+ * @param {Object} record - UsersTimeOffTypeRecord from the time-off-types list
+ * @param {Array} events - Balance history of the type
+ * @param {Array} futureLeave - From fetchFutureLeave, for the type
+ * @param {Date} asOf
+ * @returns {Object}
+ */
+function projectBalance(record, events, futureLeave, asOf) {
+	const tb = record.time_off_balance || {};
+	const carryForward = events.find((e) => e.expiry_date && num(e.amount) > 0);
+	const carryover =
+		num(tb.carryover_from_previous_year) || num(carryForward?.amount);
+	const expiry = parseApiDate(
+		tb.carryover_expiry_date ||
+			tb.carryover_forfeit_date ||
+			carryForward?.expiry_date
+	);
+
+	const balance =
+		carryover +
+		num(tb.carryover_expired) +
+		num(tb.entitlement_earned) +
+		num(tb.adjustment) +
+		num(tb.taken);
+	const toAccrue = num(tb.entitlement_to_be_earned);
+	const future = futureLeave.reduce((sum, leave) => sum + leave.days, 0);
+
+	// Carry-forward days are used first, so only what leave taken so far and
+	// approved leave before the expiry date do not cover is forfeited
+	let carryoverRisk = null;
+	const expiresLater =
+		expiry && expiry >= asOf && num(tb.carryover_expired) === 0;
+	if (carryover > 0 && expiresLater) {
+		const used =
+			Math.abs(num(tb.taken)) +
+			futureLeave
+				.filter((leave) => leave.date <= expiry)
+				.reduce((sum, leave) => sum + leave.days, 0);
+		carryoverRisk = {
+			amount: round(carryover),
+			expiry: toISODate(expiry),
+			used: round(Math.min(used, carryover)),
+			at_risk: round(Math.max(0, carryover - used)),
+		};
+	}
+
+	return {
+		leave_type: record.time_off?.name,
+		balance: round(balance),
+		to_accrue: round(toAccrue),
+		future_leave: round(future),
+		projected: round(balance + toAccrue - future),
+		remaining: round(num(tb.days)),
+		carryover: carryoverRisk,
+		history: summarizeHistory(events, asOf),
+	};
+}
+
+/**
+ * @param {Object} type - From projectBalance
+ * @returns {boolean} False for types without any balance or history
+ */
+function hasActivity(type) {
+	return (
+		type.balance !== 0 ||
+		type.to_accrue !== 0 ||
+		type.future_leave !== 0 ||
+		type.history.some((m) => m.carried || m.accrued || m.used)
+	);
+}
+
+/**
+ * Balances, history and future leave of one employee
+ * @param {LeaveService} leaveService
+ * @param {Object} employee - From the employee list
+ * @param {Date} asOf
+ * @returns {Promise<Object>} Employee record; failed ones carry `error`
+ */
+async function fetchEmployeeBalances(leaveService, employee, asOf) {
+	const userId = leaveService.getUserId(employee);
+	const employeeName = leaveService.getEmployeeName(employee);
+
+	try {
+		const [baseData, records] = await Promise.all([
+			leaveService.getEmployeeBaseData(userId),
+			leaveService.apiClient.get(
+				`/employee/1.1/users/${userId}/time-off-types/`
+			),
+		]);
+		const employeeId = baseData?.employee_id;
+		const futureLeave = await fetchFutureLeave(
+			leaveService,
+			{ userId, employeeId, employeeName },
+			asOf
+		);
+
+		const types = [];
+		for (const record of records) {
+			const events = await fetchBalanceHistory(
+				leaveService,
+				userId,
+				record.time_off?.id
+			);
+			const type = projectBalance(
+				record,
+				events,
+				futureLeave.get(record.time_off?.name) || [],
+				asOf
+			);
+			if (hasActivity(type)) types.push(type);
+		}
+
+		return {
+			user_id: userId,
+			employee_id: employeeId,
+			employee_name: employeeName,
+			types,
+		};
+	} catch (err) {
+		leaveService.apiClient.logger.warn('Failed to fetch leave balances', {
+			employee: employeeName,
+			user_id: userId,
+			error: err.message,
+		});
+		return {
+			user_id: userId,
+			employee_name: employeeName,
+			types: [],
+			...leaveService.describeFailure(err),
+		};
+	}
+}
+
+/**
+ * Fetch the balance report data of one tenant, a few employees at a time
+ * @param {LeaveService} leaveService
+ * @param {Object} options
+ * @param {Date} options.asOf
+ * @param {Array<string>} options.excludedEmployees - Full names to skip
+ * @param {number} [options.concurrency=5]
+ * @returns {Promise<Array>} Employee records
+ */
+async function fetchBalances(leaveService, options) {
+	const { asOf, excludedEmployees, concurrency = 5 } = options;
+	const excluded = new Set(excludedEmployees.map((n) => n.toLowerCase()));
+	const employees = (await leaveService.getAllEmployees()).filter(
+		(emp) =>
+			!excluded.has(leaveService.getEmployeeName(emp).trim().toLowerCase())
+	);
+
+	const results = [];
+	for (let i = 0; i < employees.length; i += concurrency) {
+		const batch = employees.slice(i, i + concurrency);
+		results.push(
+			...(await Promise.all(
+				batch.map((emp) => fetchEmployeeBalances(leaveService, emp, asOf))
+			))
+		);
+		leaveService.apiClient.logger.progress(
+			'Employees',
+			results.length,
+			employees.length
+		);
+	}
+	return results;
+}
+
+/**
+ * @param {Array} employees - From fetchBalances
+ * @param {Date} asOf
+ * @returns {Object} { asOf, totalEmployees, employees, atRisk, failed }
+ */
+function buildBalanceReport(employees, asOf) {
+	const atRisk = [];
+	for (const emp of employees) {
+		for (const type of emp.types) {
+			if (type.carryover && type.carryover.at_risk > 0) {
+				atRisk.push({
+					...(emp.tenant && { tenant: emp.tenant }),
+					employee_id: emp.employee_id,
+					employee_name: emp.employee_name,
+					leave_type: type.leave_type,
+					...type.carryover,
+				});
+			}
+		}
+	}
+	atRisk.sort((a, b) => b.at_risk - a.at_risk);
+
+	return {
+		asOf: toISODate(asOf),
+		totalEmployees: employees.length,
+		employees: employees.filter((emp) => !emp.error),
+		atRisk,
+		failed: employees.filter((emp) => emp.error),
+	};
+}
+
+/**
+ * Employee ID for report tables, qualified by tenant in multi-tenant runs
+ * @param {Object} e
+ * @returns {string}
+ */
+function employeeIdCell(e) {
+	const id = e.employee_id || e.user_id;
+	return e.tenant ? `${id} (${e.tenant})` : String(id);
+}
+
+/**
+ * @param {number} value
+ * @returns {string}
+ */
+function formatDays(value) {
+	return value.toFixed(2);
+}
+
+/**
+ * Generate markdown report
+ * @param {Object} result - From buildBalanceReport
+ * @param {Date} runAt
+ * @returns {string}
+ */
+function toMarkdown(result, runAt) {
+	const daysAtRisk = result.atRisk.reduce((sum, r) => sum + r.at_risk, 0);
+	const lines = [
+		'# Leave Balance Report',
+		'',
+		`**Generated:** ${runAt.toISOString()}`,
+		`**Balances as of:** ${result.asOf}`,
+		'',
+		'## Summary',
+		'',
+		'| Metric | Count |',
+		'|--------|-------|',
+		`| Employees | ${result.totalEmployees} |`,
+		`| Employees failed to fetch | ${result.failed.length} |`,
+		`| Leave types at risk of forfeiting carry-forward | ${result.atRisk.length} |`,
+		`| Carry-forward days at risk | ${formatDays(daysAtRisk)} |`,
+		'',
+		'---',
+		'',
+		'## At Risk of Forfeiting Carry-Forward',
+		'',
+	];
+
+	if (result.atRisk.length === 0) {
+		lines.push('*None*', '');
+	} else {
+		lines.push(
+			'| Employee ID | Full Name | Leave Type | Carried Forward | Expires | Used or Booked | At Risk |',
+			'|-------------|-----------|------------|-----------------|---------|----------------|---------|'
+		);
+		for (const r of result.atRisk) {
+			lines.push(
+				`| ${employeeIdCell(r)} | ${r.employee_name} | ${r.leave_type} | ${formatDays(r.amount)} | ${r.expiry} | ${formatDays(r.used)} | ${formatDays(r.at_risk)} |`
+			);
+		}
+		lines.push('');
+	}
+
+	lines.push(
+		'---',
+		'',
+		'## Year-End Projection',
+		'',
+		'Balance now plus entitlement still to accrue, minus approved leave booked for the rest of the year. OmniHR remaining also deducts pending requests.',
+		'',
+		'| Employee ID | Full Name | Leave Type | Balance Now | To Accrue | Approved Future Leave | Projected Year-End | OmniHR Remaining |',
+		'|-------------|-----------|------------|-------------|-----------|-----------------------|--------------------|------------------|'
+	);
+	for (const emp of result.employees) {
+		for (const t of emp.types) {
+			lines.push(
+				`| ${employeeIdCell(emp)} | ${emp.employee_name} | ${t.leave_type} | ${formatDays(t.balance)} | ${formatDays(t.to_accrue)} | ${formatDays(t.future_leave)} | ${formatDays(t.projected)} | ${formatDays(t.remaining)} |`
+			);
+		}
+	}
+	lines.push('');
+
+	lines.push('---', '', '## Balance History', '');
+	for (const emp of result.employees) {
+		for (const t of emp.types) {
+			lines.push(
+				`### ${emp.employee_name} (${employeeIdCell(emp)}): ${t.leave_type}`,
+				'',
+				'| Month | Carried Forward | Accrued | Used | Balance |',
+				'|-------|-----------------|---------|------|---------|'
+			);
+			for (const m of t.history) {
+				lines.push(
+					`| ${m.month} | ${formatDays(m.carried)} | ${formatDays(m.accrued)} | ${formatDays(m.used)} | ${formatDays(m.balance)} |`
+				);
+			}
+			lines.push('');
+		}
+	}
+
+	if (result.failed.length > 0) {
+		lines.push('---', '', '## Failed Employees', '');
+		lines.push('| Employee | Error |', '|----------|-------|');
+		for (const emp of result.failed) {
+			lines.push(
+				`| ${employeeIdCell(emp)} ${emp.employee_name} | ${emp.error} |`
+			);
+		}
+		lines.push('');
+	}
+
+	return lines.join('\n');
+}
+
+/**
+ * Fetch balances and history and write the markdown report
+ * @param {Object} [options]
+ * @param {string} [options.outputPath] - Defaults to leave-balance-report.md in the repo root
+ * @param {Array<Object>} [options.tenants] - Profiles from profiles.js, merged into one report
+ * @param {Object} [options.cache] - Response cache options, see OmniHRAPIClient
+ * @param {string} [options.workSchedules] - Schedule overrides file, see workSchedules.js
+ * @param {Date} [options.asOf] - Date the balances are read at, defaults to today
+ * @returns {Promise<Object>} { result, outputPath }
+ */
+async function generateBalanceReport(options = {}) {
+	const {
+		outputPath = DEFAULT_OUTPUT,
+		tenants = [null],
+		cache,
+		workSchedules,
+		asOf = new Date(),
+	} = options;
+	const day = new Date(asOf.getFullYear(), asOf.getMonth(), asOf.getDate());
+
+	logger.info(`Building leave balance report as of ${toISODate(day)}`);
+
+	const employees = [];
+	for (const tenant of tenants) {
+		const leaveService = new LeaveService({
+			tenant,
+			cache,
+			scheduleOverrides: loadScheduleOverrides(
+				tenant?.workSchedules || workSchedules
+			),
+		});
+		const records = await fetchBalances(leaveService, {
+			asOf: day,
+			excludedEmployees: [
+				...EXCLUDED_EMPLOYEES,
+				...(tenant?.excludedEmployees || []),
+			],
+		});
+		employees.push(
+			...records.map((emp) => (tenant ? { tenant: tenant.name, ...emp } : emp))
+		);
+		if (leaveService.apiClient.cache.isEnabled()) {
+			leaveService.apiClient.logger.info(
+				leaveService.apiClient.cache.formatStats()
+			);
+		}
+	}
+
+	const result = buildBalanceReport(employees, day);
+	fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+	fs.writeFileSync(outputPath, toMarkdown(result, new Date()), 'utf8');
+
+	logger.info('Summary', {
+		totalEmployees: result.totalEmployees,
+		failed: result.failed.length || undefined,
+		atRisk: result.atRisk.length,
+	});
+	logger.info(`Report written to: ${outputPath}`);
+
+	return { result, outputPath };
+}
+
+async function main() {
+	return generateBalanceReport();
+}
+
+if (require.main === module) {
+	main().catch((err) => {
+		logger.error(err.message);
+		process.exit(1);
+	});
+}
+
+module.exports = {
+	fetchBalanceHistory,
+	summarizeHistory,
+	projectBalance,
+	buildBalanceReport,
+	toMarkdown,
+	generateBalanceReport,
+};
@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+
+/**
+ * Compare the two calendar sources of getAllLeaveData against the fake OmniHR
+ * server: one time-off calendar request per employee, or the team calendar.
+ * Prints requests per endpoint and wall time, what is still requested once
+ * per employee, and checks that both produce the same leave data.
+ *
+ *   npm run benchmark -- --employees=300 --latency=50
+ *
+ * --balances adds the leave balances, one more request per employee, as
+ * `fetch --balances` does.
+ *
+ * The client's rate limit applies as in a real run; set
+ * OMNIHR_REQUESTS_PER_SECOND=0 to measure without it.
+ */
+
+if (require.main === module) require('dotenv').config({ quiet: true });
+const { parseArgs } = require('util');
+const { performance } = require('perf_hooks');
+const OmniHRAPIClient = require('./apiClient');
+const LeaveService = require('./leaveService');
+const { RequestMetrics } = require('./metrics');
+const { createFakeServer } = require('./fakeServer');
+const { generateFixtures } = require('./fakeFixtures');
+const { logger } = require('./logger');
+
+const SOURCES = ['user', 'team'];
+
+/**
+ * Fetch a year of leave data with one calendar source
+ * @param {string} source - user or team
+ * @param {number} year
+ * @param {boolean} [balances=false] - Fetch leave balances too
+ * @returns {Promise<Object>} { source, durationMs, metrics, leaveData }
+ */
+async function measure(source, year, balances = false) {
+	const metrics = new RequestMetrics();
+	const apiClient = new OmniHRAPIClient({ metrics, cache: { mode: 'off' } });
+	const leaveService = new LeaveService({ apiClient, calendarSource: source });
+
+	const started = performance.now();
+	const leaveData = await leaveService.getAllLeaveData({
+		from: `${year}-01-01`,
+		to: `${year}-12-31`,
+		statuses: ['approved', 'pending'],
+		balances,
+	});
+	return {
+		source,
+		durationMs: performance.now() - started,
+		metrics: metrics.toJSON(),
+		leaveData,
+	};
+}
+
+/**
+ * @param {Object} metrics - RequestMetrics#toJSON
+ * @returns {Array<string>} Endpoints requested once per employee
+ */
+function perEmployeeEndpoints(metrics) {
+	return Object.keys(metrics.endpoints)
+		.filter((endpoint) => endpoint.includes('{user_id}'))
+		.sort();
+}
+
+/**
+ * @param {Array<Object>} runs - From measure
+ * @param {number} employeeCount
+ * @returns {string} Plain-text comparison
+ */
+function formatResults(runs, employeeCount) {
+	const endpoints = [
+		...new Set(runs.flatMap((run) => Object.keys(run.metrics.endpoints))),
+	].sort();
+	const row = (label, values) =>
+		`${label.padEnd(56)}${values.map((v) => String(v).padStart(10)).join('')}`;
+	const perEmployee = (run) =>
+		perEmployeeEndpoints(run.metrics).reduce(
+			(sum, endpoint) => sum + run.metrics.endpoints[endpoint].requests,
+			0
+		);
+
+	return [
+		row('', runs.map((run) => run.source)),
+		row('Requests', runs.map((run) => run.metrics.requests)),
+		row('  of which per employee', runs.map(perEmployee)),
+		row(
+			'Requests per employee',
+			runs.map((run) => (perEmployee(run) / employeeCount).toFixed(1))
+		),
+		row(
+			'Wall time (s)',
+			runs.map((run) => (run.durationMs / 1000).toFixed(1))
+		),
+		'',
+		...endpoints.map((endpoint) =>
+			row(
+				endpoint,
+				runs.map((run) => run.metrics.endpoints[endpoint]?.requests || 0)
+			)
+		),
+	].join('\n');
+}
+
+/**
+ * @param {Object} run - From measure
+ * @param {number} employeeCount
+ * @returns {string} What the run still requests once per employee
+ */
+function formatPerEmployeeCost(run, employeeCount) {
+	const endpoints = perEmployeeEndpoints(run.metrics);
+	if (endpoints.length === 0) {
+		return `With the ${run.source} calendar nothing is requested per employee`;
+	}
+	return [
+		`Still requested per employee with the ${run.source} calendar (${employeeCount} employees):`,
+		...endpoints.map(
+			(endpoint) =>
+				`  ${endpoint}  ${run.metrics.endpoints[endpoint].requests}`
+		),
+	].join('\n');
+}
+
+async function main() {
+	const { values } = parseArgs({
+		options: {
+			employees: { type: 'string', default: '100' },
+			latency: { type: 'string', default: '20' },
+			seed: { type: 'string', default: '42' },
+			hidden: { type: 'string', default: '0' },
+			balances: { type: 'boolean', default: false },
+		},
+	});
+
+	// The fake server accepts any credentials
+	process.env.OMNIHR_USERNAME ||= 'benchmark';
+	process.env.OMNIHR_PASSWORD ||= 'benchmark';
+	process.env.OMNIHR_SUBDOMAIN ||= 'benchmark';
+
+	const fixtures = generateFixtures({
+		seed: Number(values.seed),
+		employeeCount: Number(values.employees),
+	});
+	const fake = createFakeServer({
+		fixtures,
+		latencyMs: Number(values.latency),
+		hiddenUserIds: fixtures.employees
+			.slice(fixtures.employees.length - Number(values.hidden))
+			.map((emp) => emp.id),
+	});
+	process.env.OMNIHR_BASE_URL = await fake.listen();
+
+	try {
+		logger.info(
+			`Benchmarking ${fixtures.employees.length} employees, ${values.latency} ms latency, ${values.hidden} with hidden leave`
+		);
+		const runs = [];
+		for (const source of SOURCES) {
+			runs.push(await measure(source, fixtures.year, values.balances));
+		}
+
+		const employeeCount = fixtures.employees.length;
+		console.log(formatResults(runs, employeeCount));
+		console.log(
+			`\n${formatPerEmployeeCost(runs[runs.length - 1], employeeCount)}`
+		);
+		const [first, ...others] = runs.map((run) =>
+			JSON.stringify(run.leaveData)
+		);
+		const identical = others.every((data) => data === first);
+		console.log(`\nLeave data identical: ${identical ? 'yes' : 'no'}`);
+		if (!identical) process.exitCode = 1;
+	} finally {
+		await fake.close();
+	}
+}
+
+if (require.main === module) {
+	main().catch((err) => {
+		logger.error(err.message);
+		process.exit(1);
+	});
+}
+
+module.exports = { measure, formatResults, formatPerEmployeeCost };
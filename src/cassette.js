@@ -0,0 +1,293 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const REDACTED = '[REDACTED]';
+
+// Request/response fields that carry credentials or tokens
+const SECRET_KEY_PATTERN = /password|username|secret|token|^access$|^refresh$/i;
+
+// Only these response headers are kept; everything else may identify the tenant
+const RECORDED_HEADERS = [
+	'content-type',
+	'retry-after',
+	'etag',
+	'last-modified',
+];
+
+// Replayed in place of real tokens; the far-future `exp` avoids refreshes
+const PLACEHOLDER_TOKEN = [
+	Buffer.from(JSON.stringify({ alg: 'none', typ: 'JWT' })).toString(
+		'base64url'
+	),
+	Buffer.from(JSON.stringify({ exp: 4102444800 })).toString('base64url'),
+	'redacted',
+].join('.');
+
+/**
+ * Recursively replace secret-looking fields
+ * @param {*} value
+ * @param {*} replacement - Value to substitute for secrets
+ * @returns {*}
+ */
+function scrub(value, replacement) {
+	if (Array.isArray(value)) {
+		return value.map((item) => scrub(item, replacement));
+	}
+	if (value && typeof value === 'object') {
+		return Object.fromEntries(
+			Object.entries(value).map(([key, v]) => [
+				key,
+				SECRET_KEY_PATTERN.test(key) && typeof v === 'string'
+					? replacement
+					: scrub(v, replacement),
+			])
+		);
+	}
+	return value;
+}
+
+/**
+ * @param {string|undefined} body - Request body (JSON or form-encoded)
+ * @returns {string|null} Body with credentials removed
+ */
+function scrubRequestBody(body) {
+	if (body === undefined || body === null || body === '') return null;
+	const text = String(body);
+
+	try {
+		return JSON.stringify(scrub(JSON.parse(text), REDACTED));
+	} catch {
+		const params = new URLSearchParams(text);
+		for (const key of [...params.keys()]) {
+			if (SECRET_KEY_PATTERN.test(key)) params.set(key, REDACTED);
+		}
+		return params.toString();
+	}
+}
+
+/**
+ * @param {string} text - Response body
+ * @returns {string} Body with tokens replaced by PLACEHOLDER_TOKEN
+ */
+function scrubResponseBody(text) {
+	try {
+		return JSON.stringify(scrub(JSON.parse(text), PLACEHOLDER_TOKEN));
+	} catch {
+		return text;
+	}
+}
+
+// One cassette per directory, shared by the API clients of all tenants
+const openCassettes = new Map();
+
+/**
+ * Records every HTTP interaction to a directory, or replays a recorded
+ * directory in place of the network. Interactions are matched on tenant,
+ * method, endpoint and scrubbed body; repeats of the same request (e.g.
+ * retries) are replayed in the order they were recorded.
+ */
+class Cassette {
+	/**
+	 * @param {Object} options
+	 * @param {string} options.mode - 'record' or 'replay'
+	 * @param {string} options.dir - Cassette directory
+	 * @param {string} options.baseURL - Stripped from URLs so cassettes are host-independent
+	 */
+	constructor({ mode, dir, baseURL }) {
+		if (!['record', 'replay'].includes(mode)) {
+			throw new Error(`Unknown cassette mode "${mode}" (use record or replay)`);
+		}
+		if (!dir) {
+			throw new Error('A cassette directory is required');
+		}
+
+		this.mode = mode;
+		this.dir = dir;
+		this.baseURL = baseURL;
+		this.sequence = 0;
+		this.occurrences = {};
+		this.interactions = {};
+
+		if (mode === 'record') {
+			if (fs.existsSync(dir) && fs.readdirSync(dir).length > 0) {
+				throw new Error(
+					`Cassette directory is not empty: ${dir} (record into a new directory)`
+				);
+			}
+			fs.mkdirSync(dir, { recursive: true });
+		} else {
+			this.load();
+		}
+	}
+
+	/**
+	 * @returns {boolean}
+	 */
+	isReplaying() {
+		return this.mode === 'replay';
+	}
+
+	load() {
+		if (!fs.existsSync(this.dir)) {
+			throw new Error(`Cassette directory not found: ${this.dir}`);
+		}
+
+		const files = fs
+			.readdirSync(this.dir)
+			.filter((f) => f.endsWith('.json'))
+			.sort();
+
+		for (const file of files) {
+			const interaction = JSON.parse(
+				fs.readFileSync(path.join(this.dir, file), 'utf8')
+			);
+			const key = interaction.key;
+			if (!this.interactions[key]) this.interactions[key] = [];
+			this.interactions[key][interaction.occurrence] = interaction;
+		}
+	}
+
+	/**
+	 * @param {string} url
+	 * @param {string} [baseURL] - Defaults to the cassette's baseURL
+	 * @returns {string} URL relative to baseURL
+	 */
+	toEndpoint(url, baseURL = this.baseURL) {
+		return baseURL && url.startsWith(baseURL)
+			? url.slice(baseURL.length)
+			: url;
+	}
+
+	/**
+	 * @param {string} method
+	 * @param {string} endpoint
+	 * @param {string|null} body - Scrubbed request body
+	 * @param {string} [tenant] - Name of the tenant profile
+	 * @returns {string}
+	 */
+	buildKey(method, endpoint, body, tenant) {
+		const bodyHash = body
+			? crypto.createHash('sha1').update(body).digest('hex').slice(0, 12)
+			: '-';
+		const key = `${method} ${endpoint} ${bodyHash}`;
+		return tenant ? `${tenant} ${key}` : key;
+	}
+
+	/**
+	 * Drop-in replacement for the global fetch
+	 * @param {string} url
+	 * @param {Object} [init]
+	 * @param {Object} [scope] - { baseURL, tenant } of the calling client, so
+	 *   tenants sharing the cassette keep their interactions apart
+	 * @returns {Promise<Response>}
+	 */
+	async fetch(url, init = {}, scope = {}) {
+		const method = (init.method || 'GET').toUpperCase();
+		const endpoint = this.toEndpoint(url, scope.baseURL);
+		const requestBody = scrubRequestBody(init.body);
+		const key = this.buildKey(method, endpoint, requestBody, scope.tenant);
+
+		const occurrence = this.occurrences[key] || 0;
+		this.occurrences[key] = occurrence + 1;
+
+		if (this.isReplaying()) {
+			const interaction = this.interactions[key]?.[occurrence];
+			if (!interaction) {
+				throw new Error(
+					`Cassette miss: ${method} ${endpoint} (occurrence ${
+						occurrence + 1
+					}) was not recorded in ${this.dir}`
+				);
+			}
+			const { status, headers, body } = interaction.response;
+			const noBody = status === 204 || status === 205 || status === 304;
+			return new Response(noBody ? null : body, { status, headers });
+		}
+
+		const response = await fetch(url, init);
+		const text = await response.text();
+
+		const headers = {};
+		for (const name of RECORDED_HEADERS) {
+			const value = response.headers.get(name);
+			if (value !== null) headers[name] = value;
+		}
+
+		const seq = ++this.sequence;
+		const slug = endpoint
+			.split('?')[0]
+			.replace(/[^a-zA-Z0-9]+/g, '-')
+			.replace(/^-|-$/g, '');
+		const prefix = scope.tenant
+			? `${scope.tenant.replace(/[^a-zA-Z0-9]+/g, '-')}-`
+			: '';
+		const file = `${String(seq).padStart(5, '0')}-${prefix}${method}-${slug}.json`;
+
+		const interaction = {
+			key,
+			occurrence,
+			request: {
+				...(scope.tenant && { tenant: scope.tenant }),
+				method,
+				endpoint,
+				body: requestBody,
+			},
+			response: {
+				status: response.status,
+				headers,
+				body: scrubResponseBody(text),
+			},
+		};
+		fs.writeFileSync(
+			path.join(this.dir, file),
+			JSON.stringify(interaction, null, 2)
+		);
+
+		const noBody = [204, 205, 304].includes(response.status);
+		return new Response(noBody ? null : text, {
+			status: response.status,
+			statusText: response.statusText,
+			headers: response.headers,
+		});
+	}
+}
+
+/**
+ * Open the cassette of a directory, or the one already open for it
+ * @param {Object} options - As for the Cassette constructor
+ * @returns {Cassette}
+ */
+function openCassette(options) {
+	const dir = options.dir && path.resolve(options.dir);
+	const open = dir && openCassettes.get(dir);
+	if (open) {
+		if (open.mode !== options.mode) {
+			throw new Error(
+				`Cassette ${options.dir} is already open for ${open.mode}`
+			);
+		}
+		return open;
+	}
+
+	const cassette = new Cassette(options);
+	openCassettes.set(dir, cassette);
+	return cassette;
+}
+
+/**
+ * Open a cassette from OMNIHR_CASSETTE_MODE / OMNIHR_CASSETTE_DIR
+ * @param {string} baseURL
+ * @returns {Cassette|null}
+ */
+function cassetteFromEnv(baseURL) {
+	const mode = process.env.OMNIHR_CASSETTE_MODE;
+	if (!mode) return null;
+	return openCassette({
+		mode,
+		dir: process.env.OMNIHR_CASSETTE_DIR,
+		baseURL,
+	});
+}
+
+module.exports = { Cassette, openCassette, cassetteFromEnv };
@@ -0,0 +1,907 @@
+#!/usr/bin/env node
+
+/**
+ * omnihr - single entry point for the OmniHR scripts.
+ *
+ *   omnihr fetch  --from=2025-12-15 --to=2026-01-15
+ *   omnihr excel  --from=2025-10 --to=2025-12
+ *   omnihr export --month=12 --push
+ *   omnihr hires  --recent-days=14
+ *   omnihr balances --profile=all
+ *   omnihr approvals --team=Engineering --approve=101,102 --dry-run
+ *
+ * Exit codes: 0 success, 1 runtime failure, 2 invalid arguments. Each run
+ * writes run-summary.json next to its output (see metrics.js).
+ */
+
+require('dotenv').config({ quiet: true });
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const config = require('./config');
+const { logger } = require('./logger');
+const { RunSummary } = require('./metrics');
+const { monthsInRange } = require('./leavePeriods');
+const { parseLeaveStatuses } = require('./leaveStatuses');
+const {
+	parseMaxFailures,
+	maxFailuresFromEnv,
+	summarizeFailures,
+	exceedsMaxFailures,
+	FailureThresholdError,
+} = require('./fetchFailures');
+
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+const DATA_DIR = path.join(__dirname, 'data');
+const DEFAULT_LEAVE_DATA = path.join(DATA_DIR, 'leave_data.json');
+const DEFAULT_TEMPLATE = path.join(DATA_DIR, 'template.xlsx');
+
+class UsageError extends Error {}
+
+const OPTION_SPECS = {
+	help: { type: 'boolean', short: 'h', description: 'Show help' },
+	month: { type: 'string', description: 'Month 1-12 (default: config.js)' },
+	year: { type: 'string', description: 'Year, e.g. 2025 (default: config.js)' },
+	from: { type: 'string', description: 'Start month or date (YYYY-MM[-DD])' },
+	to: { type: 'string', description: 'End month or date (YYYY-MM[-DD])' },
+	input: { type: 'string', description: 'Leave data JSON to read' },
+	output: { type: 'string', description: 'Output file or directory' },
+	template: { type: 'string', description: 'Excel template to fill' },
+	layout: {
+		type: 'string',
+		description: 'Template layout JSON (default: <template>.layout.json)',
+	},
+	credentials: {
+		type: 'string',
+		description: 'Google service account credentials JSON',
+	},
+	cache: { type: 'boolean', description: 'Reuse --input instead of fetching' },
+	push: { type: 'boolean', description: 'Upload to Google Sheets' },
+	'csv-only': { type: 'boolean', description: 'Write CSV files when pushing' },
+	'no-cache': {
+		type: 'boolean',
+		description: 'Bypass the API response cache entirely',
+	},
+	refresh: {
+		type: 'boolean',
+		description: 'Ignore cached API responses but store fresh ones',
+	},
+	profile: {
+		type: 'string',
+		description: 'Tenant profile name(s), comma-separated, or "all"',
+	},
+	profiles: {
+		type: 'string',
+		description: 'Profiles file (default: omnihr.profiles.json)',
+	},
+	status: {
+		type: 'string',
+		description:
+			'Leave statuses (approved, pending, rejected, cancelled), or "all"',
+	},
+	schedules: {
+		type: 'string',
+		description: 'Work schedule overrides JSON (default: work-schedules.json)',
+	},
+	'max-failures': {
+		type: 'string',
+		description:
+			'Failed employees allowed before the run fails, e.g. 3 or 10% (default: 0)',
+	},
+	balances: {
+		type: 'boolean',
+		description: 'Fetch leave balances too, one request per employee',
+	},
+	'retry-failed': {
+		type: 'boolean',
+		description: 'Fetch only the failed employees of --output again',
+	},
+	holidays: {
+		type: 'string',
+		description: 'Public holidays JSON (default: holidays.json)',
+	},
+	palette: {
+		type: 'string',
+		description: 'Leave colours per leave type JSON (default: leave-palette.json)',
+	},
+	changes: {
+		type: 'string',
+		description: 'Apply only this change log to the --template workbook',
+	},
+	'in-place': {
+		type: 'boolean',
+		description: 'Save leave applied again over the filled --template workbook',
+	},
+	combine: {
+		type: 'boolean',
+		description: 'Write one workbook with a sheet per month and a summary',
+	},
+	team: { type: 'string', description: 'Team name or id' },
+	approver: { type: 'string', description: 'Approver user id or full name' },
+	approve: {
+		type: 'string',
+		description: 'Request ids to approve, comma-separated, or "all"',
+	},
+	reject: {
+		type: 'string',
+		description: 'Request ids to reject, comma-separated, or "all"',
+	},
+	'dry-run': {
+		type: 'boolean',
+		description: 'Show what would be approved or rejected, change nothing',
+	},
+	'audit-log': {
+		type: 'string',
+		description: 'Approvals audit log (default: src/data/approvals-audit.jsonl)',
+	},
+	'recent-days': {
+		type: 'string',
+		description: 'Window for recent hires/terminations (default: 30)',
+	},
+	'log-level': {
+		type: 'string',
+		description: 'debug, info, warn, error or silent (default: info)',
+	},
+	'log-format': { type: 'string', description: 'text or json (default: text)' },
+};
+
+const PERIOD_OPTIONS = ['month', 'year', 'from', 'to'];
+const PROFILE_OPTIONS = ['profile', 'profiles'];
+const CACHE_OPTIONS = ['no-cache', 'refresh'];
+// Accepted by every command
+const COMMON_OPTIONS = ['log-level', 'log-format', 'help'];
+
+const COMMANDS = {
+	fetch: {
+		description: 'Fetch leave data from OmniHR into a JSON file',
+		options: [
+			...PERIOD_OPTIONS,
+			'output',
+			'status',
+			'balances',
+			'schedules',
+			'max-failures',
+			'retry-failed',
+			...CACHE_OPTIONS,
+			...PROFILE_OPTIONS,
+		],
+		run: runFetch,
+	},
+	excel: {
+		description: 'Apply leave data to the Excel template',
+		options: [
+			...PERIOD_OPTIONS,
+			'input',
+			'template',
+			'layout',
+			'holidays',
+			'palette',
+			'output',
+			'in-place',
+			'changes',
+			'combine',
+		],
+		run: runExcel,
+	},
+	export: {
+		description: 'Export leave data to CSV and/or Google Sheets',
+		options: [
+			...PERIOD_OPTIONS,
+			'input',
+			'output',
+			'credentials',
+			'cache',
+			'push',
+			'csv-only',
+			'status',
+			'balances',
+			'schedules',
+			'max-failures',
+			...CACHE_OPTIONS,
+		],
+		run: runExport,
+	},
+	hires: {
+		description: 'Write the hire & termination report',
+		options: ['output', 'recent-days', ...CACHE_OPTIONS, ...PROFILE_OPTIONS],
+		run: runHires,
+	},
+	balances: {
+		description: 'Write the leave balance and year-end projection report',
+		options: [
+			'output',
+			'schedules',
+			'max-failures',
+			...CACHE_OPTIONS,
+			...PROFILE_OPTIONS,
+		],
+		run: runBalances,
+	},
+	approvals: {
+		description: 'List, approve or reject pending leave requests',
+		options: [
+			'team',
+			'approver',
+			'approve',
+			'reject',
+			'dry-run',
+			'audit-log',
+			'schedules',
+			...CACHE_OPTIONS,
+			...PROFILE_OPTIONS,
+		],
+		run: runApprovals,
+	},
+};
+
+/**
+ * @returns {string}
+ */
+function formatMainHelp() {
+	const commands = Object.entries(COMMANDS)
+		.map(([name, cmd]) => `  ${name.padEnd(8)} ${cmd.description}`)
+		.join('\n');
+	return [
+		'Usage: omnihr <command> [options]',
+		'',
+		'Commands:',
+		commands,
+		'',
+		'Run "omnihr <command> --help" for command options.',
+	].join('\n');
+}
+
+/**
+ * @param {string} name
+ * @returns {string}
+ */
+function formatCommandHelp(name) {
+	const command = COMMANDS[name];
+	const options = [...command.options, ...COMMON_OPTIONS]
+		.map((key) => {
+			const spec = OPTION_SPECS[key];
+			const flag = spec.type === 'string' ? `--${key}=<value>` : `--${key}`;
+			return `  ${flag.padEnd(22)} ${spec.description}`;
+		})
+		.join('\n');
+	return [
+		`Usage: omnihr ${name} [options]`,
+		'',
+		command.description,
+		'',
+		'Options:',
+		options,
+	].join('\n');
+}
+
+/**
+ * @param {string} value
+ * @param {string} flag
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+function parseInteger(value, flag, min, max) {
+	const num = Number(value);
+	if (!Number.isInteger(num) || num < min || num > max) {
+		throw new UsageError(
+			`--${flag} must be a whole number between ${min} and ${max}`
+		);
+	}
+	return num;
+}
+
+/**
+ * Parse YYYY-MM or YYYY-MM-DD. A bare month means its first day for --from
+ * and its last day for --to.
+ * @param {string} value
+ * @param {string} flag - 'from' or 'to'
+ * @returns {Date}
+ */
+function parseDateFlag(value, flag) {
+	const match = /^(\d{4})-(\d{2})(?:-(\d{2}))?$/.exec(value);
+	if (!match) {
+		throw new UsageError(`--${flag} must be YYYY-MM or YYYY-MM-DD`);
+	}
+
+	const year = Number(match[1]);
+	const month = Number(match[2]) - 1;
+	let date;
+	if (match[3]) {
+		date = new Date(year, month, Number(match[3]));
+	} else {
+		date = flag === 'to' ? new Date(year, month + 1, 0) : new Date(year, month, 1);
+	}
+
+	if (
+		month < 0 ||
+		month > 11 ||
+		date.getMonth() !== month ||
+		date.getFullYear() !== year
+	) {
+		throw new UsageError(`--${flag} is not a valid date: ${value}`);
+	}
+	return date;
+}
+
+/**
+ * Resolve --month/--year or --from/--to into a date range, defaulting to the
+ * month in config.js
+ * @param {Object} values - Parsed flags
+ * @returns {{ from: Date, to: Date, months: Array<{ month: number, year: number }> }}
+ */
+function resolvePeriod(values) {
+	const usesMonth = values.month !== undefined || values.year !== undefined;
+	const usesRange = values.from !== undefined || values.to !== undefined;
+
+	if (usesMonth && usesRange) {
+		throw new UsageError('Use either --month/--year or --from/--to, not both');
+	}
+
+	let from;
+	let to;
+	if (usesRange) {
+		if (values.from === undefined || values.to === undefined) {
+			throw new UsageError('--from and --to must be given together');
+		}
+		from = parseDateFlag(values.from, 'from');
+		to = parseDateFlag(values.to, 'to');
+		if (from > to) {
+			throw new UsageError('--from must not be after --to');
+		}
+	} else {
+		const month =
+			values.month !== undefined
+				? parseInteger(values.month, 'month', 1, 12) - 1
+				: config.month;
+		const year =
+			values.year !== undefined
+				? parseInteger(values.year, 'year', 2000, 2100)
+				: config.year;
+		from = new Date(year, month, 1);
+		to = new Date(year, month + 1, 0);
+	}
+
+	return { from, to, months: monthsInRange(from, to) };
+}
+
+/**
+ * @param {string} filePath
+ * @param {string} flag
+ * @returns {string} Absolute path
+ */
+function requireExistingFile(filePath, flag) {
+	const resolved = path.resolve(filePath);
+	if (!fs.existsSync(resolved)) {
+		throw new UsageError(`--${flag} file not found: ${resolved}`);
+	}
+	return resolved;
+}
+
+/**
+ * @param {Object} values - Parsed flags
+ * @returns {Array<Object>|undefined} Selected tenants, or undefined for the OMNIHR_* env
+ */
+function resolveTenants(values) {
+	if (values.profile === undefined) {
+		if (values.profiles !== undefined) {
+			throw new UsageError('--profiles requires --profile');
+		}
+		return undefined;
+	}
+
+	const { selectProfiles } = require('./profiles');
+	return selectProfiles(values.profile, values.profiles);
+}
+
+/**
+ * @param {Object} values - Parsed flags
+ * @returns {Array<string>|undefined} Leave statuses, or undefined for OMNIHR_LEAVE_STATUSES
+ */
+function resolveStatuses(values) {
+	if (values.status === undefined) return undefined;
+	try {
+		return parseLeaveStatuses(values.status);
+	} catch (err) {
+		throw new UsageError(`--status: ${err.message}`);
+	}
+}
+
+/**
+ * @param {Object} values - Parsed flags
+ * @returns {Object|undefined} Response cache options, or undefined for OMNIHR_CACHE
+ */
+function resolveCache(values) {
+	if (values['no-cache'] && values.refresh) {
+		throw new UsageError('Use either --no-cache or --refresh, not both');
+	}
+	if (values['no-cache']) return { mode: 'off' };
+	if (values.refresh) return { mode: 'refresh' };
+	return undefined;
+}
+
+/**
+ * @param {Object} values - Parsed flags
+ * @returns {Object} Failure threshold, see fetchFailures.js
+ */
+function resolveMaxFailures(values) {
+	if (values['max-failures'] === undefined) return maxFailuresFromEnv();
+	try {
+		return parseMaxFailures(values['max-failures']);
+	} catch (err) {
+		throw new UsageError(`--max-failures: ${err.message}`);
+	}
+}
+
+async function runFetch(values, summary) {
+	const { from, to } = resolvePeriod(values);
+	const tenants = resolveTenants(values);
+	const maxFailures = resolveMaxFailures(values);
+	const outputPath = path.resolve(values.output || DEFAULT_LEAVE_DATA);
+	summary.addOutput(outputPath);
+
+	const { fetchLeaveData } = require('./main');
+	const { leaveData, changes, changesPath } = await fetchLeaveData({
+		from,
+		to,
+		outputPath,
+		tenants,
+		cache: resolveCache(values),
+		statuses: resolveStatuses(values),
+		balances: Boolean(values.balances),
+		workSchedules: values.schedules
+			? requireExistingFile(values.schedules, 'schedules')
+			: undefined,
+		retryFailed: Boolean(values['retry-failed']),
+	});
+	if (changes) {
+		summary.addOutput(changesPath);
+		summary.increment('requestsAdded', changes.summary.added);
+		summary.increment('requestsModified', changes.summary.modified);
+		summary.increment('requestsCancelled', changes.summary.cancelled);
+		summary.increment('balanceChanges', changes.summary.balances);
+	}
+	try {
+		enforceMaxFailures(summary, leaveData, maxFailures);
+	} catch (err) {
+		logRetryHint(outputPath);
+		throw err;
+	}
+}
+
+/**
+ * @param {string} leaveDataPath - Leave data with failed employees
+ */
+function logRetryHint(leaveDataPath) {
+	logger.info(
+		`Run "omnihr fetch --retry-failed --output=${leaveDataPath}" with the same period to fetch only the failed employees again`
+	);
+}
+
+/**
+ * Record the employees of a run, and fail it when too many could not be fetched
+ * @param {RunSummary} summary
+ * @param {Array<Object>} records - Employee records; failed ones carry `error`
+ * @param {Object} maxFailures - See fetchFailures.js
+ */
+function enforceMaxFailures(summary, records, maxFailures) {
+	const failures = summarizeFailures(records);
+	recordEmployees(summary, failures);
+	if (exceedsMaxFailures(failures, maxFailures)) {
+		throw new FailureThresholdError(failures, maxFailures);
+	}
+}
+
+/**
+ * @param {RunSummary} summary
+ * @param {Object} failures - From summarizeFailures
+ */
+function recordEmployees(summary, failures) {
+	summary.increment('employeesProcessed', failures.total);
+	summary.increment('employeesFailed', failures.failed.length);
+	for (const emp of failures.failed) {
+		summary.addFailure({
+			...(emp.tenant && { tenant: emp.tenant }),
+			employee: emp.employee_name,
+			user_id: emp.user_id,
+			reason: emp.reason,
+			error: emp.error,
+		});
+	}
+}
+
+async function runExcel(values, summary) {
+	const { months } = resolvePeriod(values);
+	if (values.output && months.length > 1 && !values.combine) {
+		throw new UsageError(
+			'--output cannot be used with more than one month without --combine'
+		);
+	}
+	if (values.changes !== undefined && values.combine) {
+		throw new UsageError('--changes cannot be used with --combine');
+	}
+	if (values.changes !== undefined) {
+		if (values.template === undefined) {
+			throw new UsageError(
+				'--changes requires --template, the workbook to update'
+			);
+		}
+		if (months.length > 1) {
+			throw new UsageError('--changes cannot be used with more than one month');
+		}
+	}
+	if (values['in-place'] && (values.output || values.combine)) {
+		throw new UsageError(
+			'--in-place cannot be used with --output or --combine'
+		);
+	}
+
+	const inputPath = requireExistingFile(
+		values.input || DEFAULT_LEAVE_DATA,
+		'input'
+	);
+	const templatePath = requireExistingFile(
+		values.template || DEFAULT_TEMPLATE,
+		'template'
+	);
+
+	const changesPath =
+		values.changes !== undefined
+			? requireExistingFile(values.changes, 'changes')
+			: undefined;
+	const layout =
+		values.layout !== undefined
+			? requireExistingFile(values.layout, 'layout')
+			: undefined;
+	const holidaysPath =
+		values.holidays !== undefined
+			? requireExistingFile(values.holidays, 'holidays')
+			: undefined;
+	const palettePath =
+		values.palette !== undefined
+			? requireExistingFile(values.palette, 'palette')
+			: undefined;
+
+	const { updateExcelWithLeaves, updateExcelForMonths } = require(
+		'./updateExcel'
+	);
+	const options = {
+		changesPath,
+		layout,
+		holidaysPath,
+		palettePath,
+		inPlace: Boolean(values['in-place']),
+	};
+
+	if (values.combine) {
+		const results = await updateExcelForMonths(
+			templatePath,
+			inputPath,
+			months,
+			values.output && path.resolve(values.output),
+			options
+		);
+		summary.addOutput(results.outputPath);
+		for (const result of results.months) recordExcelMonth(summary, result);
+		return;
+	}
+
+	for (const { month, year } of months) {
+		// A change log updates a filled workbook in place, and so does leave
+		// applied again with --in-place
+		const results = await updateExcelWithLeaves(
+			templatePath,
+			inputPath,
+			month,
+			year,
+			values.output && path.resolve(values.output),
+			options
+		);
+		summary.addOutput(results.outputPath);
+		recordExcelMonth(summary, { month, year, ...results });
+	}
+}
+
+/**
+ * @param {RunSummary} summary
+ * @param {Object} result - One month of updateExcelWithLeaves, with its month
+ *   (0-11) and year
+ */
+function recordExcelMonth(
+	summary,
+	{ month, year, updatedCells, matchedEmployees, notFoundEmployees, changes }
+) {
+	summary.increment('cellsUpdated', updatedCells);
+	summary.increment('employeesMatched', matchedEmployees);
+	if (changes) summary.increment('cellsChanged', changes.length);
+	for (const employee of notFoundEmployees) {
+		summary.addFailure({
+			month: month + 1,
+			year,
+			employee,
+			error: 'not in sheet',
+		});
+	}
+}
+
+async function runExport(values, summary) {
+	const { months } = resolvePeriod(values);
+	const cache = resolveCache(values);
+	const statuses = resolveStatuses(values);
+	const maxFailures = resolveMaxFailures(values);
+	const { exportLeaveData } = require('./exportToSheets');
+
+	for (const { month, year } of months) {
+		let result;
+		try {
+			result = await exportLeaveData({
+				month,
+				year,
+				outputDir: values.output ? path.resolve(values.output) : undefined,
+				inputPath: values.input ? path.resolve(values.input) : undefined,
+				credentialsPath: values.credentials
+					? requireExistingFile(values.credentials, 'credentials')
+					: undefined,
+				useCache: Boolean(values.cache),
+				pushToSheets: Boolean(values.push),
+				csvOnly: Boolean(values['csv-only']),
+				cache,
+				statuses,
+				balances: Boolean(values.balances),
+				workSchedules: values.schedules
+					? requireExistingFile(values.schedules, 'schedules')
+					: undefined,
+				maxFailures,
+			});
+		} catch (err) {
+			if (err instanceof FailureThresholdError) {
+				// The fetched data was saved before the check
+				const inputPath = path.resolve(values.input || DEFAULT_LEAVE_DATA);
+				summary.addOutput(inputPath);
+				recordEmployees(summary, err.failures);
+				logRetryHint(inputPath);
+			}
+			throw err;
+		}
+		result.files.forEach((file) => summary.addOutput(file));
+		recordEmployees(summary, summarizeFailures(result.leaveData));
+	}
+}
+
+async function runHires(values, summary) {
+	const recentDays =
+		values['recent-days'] !== undefined
+			? parseInteger(values['recent-days'], 'recent-days', 1, 3650)
+			: 30;
+	const tenants = resolveTenants(values);
+	const cache = resolveCache(values);
+
+	const { generateHireTerminationReport } = require('./detectHireTermination');
+	const { result, outputPath } = await generateHireTerminationReport({
+		outputPath: values.output ? path.resolve(values.output) : undefined,
+		recentDays,
+		tenants,
+		cache,
+	});
+	summary.addOutput(outputPath);
+	summary.increment('employeesProcessed', result.totalEmployees);
+}
+
+async function runBalances(values, summary) {
+	const tenants = resolveTenants(values);
+	const cache = resolveCache(values);
+	const maxFailures = resolveMaxFailures(values);
+
+	const { generateBalanceReport } = require('./balanceReport');
+	const { result, outputPath } = await generateBalanceReport({
+		outputPath: values.output ? path.resolve(values.output) : undefined,
+		tenants,
+		cache,
+		workSchedules: values.schedules
+			? requireExistingFile(values.schedules, 'schedules')
+			: undefined,
+	});
+	summary.addOutput(outputPath);
+	summary.increment('carryForwardAtRisk', result.atRisk.length);
+	enforceMaxFailures(
+		summary,
+		[...result.employees, ...result.failed],
+		maxFailures
+	);
+}
+
+/**
+ * @param {string|undefined} value - "all" or comma-separated request ids
+ * @param {string} flag
+ * @returns {Array<number>|string|undefined} Request ids, or "all"
+ */
+function parseRequestIds(value, flag) {
+	if (value === undefined) return undefined;
+	if (value.trim().toLowerCase() === 'all') return 'all';
+	return value.split(',').map((id) => {
+		const num = Number(id.trim());
+		if (!id.trim() || !Number.isInteger(num) || num < 1) {
+			throw new UsageError(
+				`--${flag} must be "all" or comma-separated request ids`
+			);
+		}
+		return num;
+	});
+}
+
+/**
+ * @param {Object} values - Parsed flags
+ * @returns {Function} (requests) => Map of request_id -> action
+ */
+function resolveDecisions(values) {
+	const approve = parseRequestIds(values.approve, 'approve');
+	const reject = parseRequestIds(values.reject, 'reject');
+	if (approve === 'all' && reject !== undefined) {
+		throw new UsageError('--approve=all cannot be combined with --reject');
+	}
+	if (reject === 'all' && approve !== undefined) {
+		throw new UsageError('--reject=all cannot be combined with --approve');
+	}
+	const both =
+		Array.isArray(approve) && Array.isArray(reject)
+			? approve.filter((id) => reject.includes(id))
+			: [];
+	if (both.length > 0) {
+		throw new UsageError(
+			`Request ${both.join(', ')} given to both --approve and --reject`
+		);
+	}
+	if (values['dry-run'] && approve === undefined && reject === undefined) {
+		throw new UsageError('--dry-run requires --approve or --reject');
+	}
+
+	return (requests) => {
+		const decisions = new Map();
+		for (const [ids, action] of [
+			[approve, 'approve'],
+			[reject, 'reject'],
+		]) {
+			const selected = ids === 'all' ? requests.map((r) => r.request_id) : ids;
+			for (const id of selected || []) decisions.set(id, action);
+		}
+		return decisions;
+	};
+}
+
+async function runApprovals(values, summary) {
+	const tenants = resolveTenants(values);
+	if (tenants && tenants.length > 1) {
+		throw new UsageError(
+			'approvals works on one tenant, pick a single --profile'
+		);
+	}
+	const decide = resolveDecisions(values);
+
+	const {
+		reviewLeaveRequests,
+		formatPendingRequests,
+	} = require('./leaveApprovals');
+	const { requests, overlaps, results, auditLogPath } =
+		await reviewLeaveRequests({
+			tenant: tenants?.[0],
+			cache: resolveCache(values),
+			team: values.team,
+			approver: values.approver,
+			decide,
+			dryRun: values['dry-run'],
+			auditLogPath: values['audit-log'],
+			workSchedules: values.schedules
+				? requireExistingFile(values.schedules, 'schedules')
+				: undefined,
+		});
+	console.log(formatPendingRequests(requests, overlaps));
+
+	summary.increment('pendingRequests', requests.length);
+	const failed = [];
+	for (const result of results) {
+		logger.info(
+			`${result.action} #${result.request_id}: ${result.outcome}`,
+			result.error ? { error: result.error } : {}
+		);
+		if (result.outcome === 'done') {
+			summary.increment(result.action === 'approve' ? 'approved' : 'rejected');
+		} else if (result.outcome !== 'dry-run') {
+			summary.addFailure(result);
+			failed.push(result);
+		}
+	}
+	if (auditLogPath) summary.addOutput(auditLogPath);
+
+	if (failed.length > 0) {
+		throw new Error(
+			`${failed.length} of ${results.length} approvals or rejections did not go through: ${failed
+				.map((result) => `#${result.request_id} ${result.outcome}`)
+				.join(', ')}`
+		);
+	}
+}
+
+/**
+ * @param {Array<string>} argv - Arguments after the node binary and script
+ * @returns {Promise<number>} Exit code
+ */
+async function run(argv) {
+	const [name, ...rest] = argv;
+
+	if (!name || name === '--help' || name === '-h' || name === 'help') {
+		console.log(formatMainHelp());
+		return name ? 0 : EXIT_USAGE;
+	}
+
+	const command = COMMANDS[name];
+	if (!command) {
+		console.error(`Unknown command: ${name}\n\n${formatMainHelp()}`);
+		return EXIT_USAGE;
+	}
+
+	const summary = new RunSummary(name);
+	try {
+		const options = Object.fromEntries(
+			[...command.options, ...COMMON_OPTIONS].map((key) => {
+				const { type, short } = OPTION_SPECS[key];
+				return [key, short ? { type, short } : { type }];
+			})
+		);
+
+		let values;
+		try {
+			({ values } = parseArgs({ args: rest, options, strict: true }));
+		} catch (err) {
+			throw new UsageError(err.message);
+		}
+
+		if (values.help) {
+			console.log(formatCommandHelp(name));
+			return 0;
+		}
+
+		try {
+			logger.configure({
+				level: values['log-level'],
+				format: values['log-format'],
+			});
+		} catch (err) {
+			throw new UsageError(err.message);
+		}
+
+		await command.run(values, summary);
+		writeSummary(summary);
+		return 0;
+	} catch (err) {
+		if (err instanceof UsageError) {
+			console.error(`Error: ${err.message}\n\n${formatCommandHelp(name)}`);
+			return EXIT_USAGE;
+		}
+		logger.error(err.message);
+		writeSummary(summary, err);
+		return EXIT_FAILURE;
+	}
+}
+
+/**
+ * @param {RunSummary} summary
+ * @param {Error} [error]
+ */
+function writeSummary(summary, error) {
+	try {
+		const summaryPath = summary.write(error);
+		if (summaryPath) logger.info(`Run summary written to: ${summaryPath}`);
+	} catch (err) {
+		logger.warn(`Could not write run summary: ${err.message}`);
+	}
+}
+
+if (require.main === module) {
+	run(process.argv.slice(2)).then((code) => {
+		process.exitCode = code;
+	});
+}
+
+module.exports = { run, resolvePeriod, UsageError, COMMANDS };
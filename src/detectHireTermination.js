@@ -8,10 +8,11 @@
  * - Outputs: employees with hire date, terminated employees, and optional recent hires/terminations
  */
 
-require("dotenv").config();
+if (require.main === module) require("dotenv").config({ quiet: true });
 const fs = require("fs");
 const path = require("path");
 const OmniHRAPIClient = require("./apiClient");
+const { logger } = require("./logger");
 
 const EXCLUDED_EMPLOYEES = ["Omni Support", "People Culture"];
 
@@ -42,53 +43,46 @@ function formatDate(d) {
   return d.toISOString().slice(0, 10);
 }
 
+/**
+ * Pagination options that fetch `concurrency` pages at a time and report
+ * the items fetched so far
+ * @param {OmniHRAPIClient} client
+ * @param {string} label - Progress message
+ * @param {number} concurrency
+ * @returns {Object} See OmniHRAPIClient.paginate
+ */
+function pageOptions(client, label, concurrency) {
+  return {
+    concurrency,
+    onProgress: (fetched, total) =>
+      client.logger.progress(label, fetched, total ?? "?"),
+  };
+}
+
 /**
  * Fetch all employees from /employee/list/ (paginated)
  * @param {OmniHRAPIClient} client
+ * @param {Object} [options] - Pagination options, see OmniHRAPIClient.paginate
  * @returns {Promise<Array>}
  */
-async function fetchAllEmployees(client) {
-  const all = [];
-  let page = 1;
-  let hasMore = true;
-
-  while (hasMore) {
-    const response = await client.get("/employee/list/", {
-      page: String(page),
-      page_size: "100",
-    });
-    const results = Array.isArray(response) ? response : response.results || [];
-    all.push(...results);
-    hasMore = response.next != null;
-    page++;
-  }
-
-  return all;
+async function fetchAllEmployees(client, options = {}) {
+  return client.collectAll("/employee/list/", {}, options);
 }
 
 /**
  * Fetch termination dates from /onboarding/workflow-dashboard/ (paginated)
  * @param {OmniHRAPIClient} client
+ * @param {Object} [options] - Pagination options, see OmniHRAPIClient.paginate
  * @returns {Promise<Object>} Map of user_id -> termination_date
  */
-async function fetchTerminationDates(client) {
+async function fetchTerminationDates(client, options = {}) {
   const terminationDates = {};
-  let page = 1;
-  let hasMore = true;
-
-  while (hasMore) {
-    const response = await client.get("/onboarding/workflow-dashboard/", {
-      page: String(page),
-      page_size: "100",
-    });
-    const results = response.results || [];
-    for (const emp of results) {
-      if (emp.termination_date) {
-        terminationDates[emp.id] = emp.termination_date;
-      }
+  const pages = client.paginate("/onboarding/workflow-dashboard/", {}, options);
+
+  for await (const emp of pages) {
+    if (emp.termination_date) {
+      terminationDates[emp.id] = emp.termination_date;
     }
-    hasMore = response.next != null;
-    page++;
   }
 
   return terminationDates;
@@ -96,19 +90,33 @@ async function fetchTerminationDates(client) {
 
 /**
  * Build merged employee list with hired_date and termination_date
- * Excludes Omni Support, People Culture
+ * Excludes Omni Support, People Culture unless given another list
  * @param {OmniHRAPIClient} client
+ * @param {Object} [options]
+ * @param {Array<string>} [options.excludedEmployees] - Full names to skip
+ * @param {string} [options.tenant] - Tenant name to tag each record with
+ * @param {number} [options.concurrency=5] - Pages of each list fetched at once
  * @returns {Promise<Array>}
  */
-async function fetchEmployeesWithHireAndTermination(client) {
-  const [allEmployees, terminationDates] = await Promise.all([
-    fetchAllEmployees(client),
-    fetchTerminationDates(client),
-  ]);
+async function fetchEmployeesWithHireAndTermination(client, options = {}) {
+  const {
+    excludedEmployees = EXCLUDED_EMPLOYEES,
+    tenant,
+    concurrency = 5,
+  } = options;
+  // One list after the other, so their progress lines do not interleave
+  const allEmployees = await fetchAllEmployees(
+    client,
+    pageOptions(client, "Listing employees", concurrency),
+  );
+  const terminationDates = await fetchTerminationDates(
+    client,
+    pageOptions(client, "Reading termination dates", concurrency),
+  );
 
   const filtered = allEmployees.filter((emp) => {
     const fullName = (emp.full_name || emp.name || "").trim();
-    const isExcluded = EXCLUDED_EMPLOYEES.some(
+    const isExcluded = excludedEmployees.some(
       (excluded) => fullName.toLowerCase() === excluded.toLowerCase(),
     );
     return !isExcluded;
@@ -117,6 +125,7 @@ async function fetchEmployeesWithHireAndTermination(client) {
   return filtered.map((emp) => {
     const userId = emp.id || emp.user_id;
     return {
+      ...(tenant && { tenant }),
       user_id: userId,
       employee_id: emp.employee_id || "",
       full_name: emp.full_name || emp.name || `User ${userId}`,
@@ -172,6 +181,16 @@ function detectHireAndTermination(employees, options = {}) {
   };
 }
 
+/**
+ * Employee ID for report tables, qualified by tenant in multi-tenant runs
+ * @param {Object} e
+ * @returns {string}
+ */
+function employeeIdCell(e) {
+  const id = e.employee_id || e.user_id;
+  return e.tenant ? `${id} (${e.tenant})` : String(id);
+}
+
 /**
  * Generate markdown report
  * @param {Object} result - from detectHireAndTermination
@@ -209,7 +228,7 @@ function toMarkdown(result, runAt) {
     );
     for (const e of result.recentHires) {
       lines.push(
-        `| ${e.employee_id || e.user_id} | ${e.full_name} | ${formatDate(e.hired_date_parsed)} |`,
+        `| ${employeeIdCell(e)} | ${e.full_name} | ${formatDate(e.hired_date_parsed)} |`,
       );
     }
     lines.push("");
@@ -231,7 +250,7 @@ function toMarkdown(result, runAt) {
     );
     for (const e of result.recentTerminations) {
       lines.push(
-        `| ${e.employee_id || e.user_id} | ${e.full_name} | ${formatDate(e.termination_date_parsed)} |`,
+        `| ${employeeIdCell(e)} | ${e.full_name} | ${formatDate(e.termination_date_parsed)} |`,
       );
     }
     lines.push("");
@@ -244,7 +263,7 @@ function toMarkdown(result, runAt) {
   );
   for (const e of result.withHireDate) {
     lines.push(
-      `| ${e.employee_id || e.user_id} | ${e.full_name} | ${formatDate(e.hired_date_parsed)} |`,
+      `| ${employeeIdCell(e)} | ${e.full_name} | ${formatDate(e.hired_date_parsed)} |`,
     );
   }
   lines.push("");
@@ -256,7 +275,7 @@ function toMarkdown(result, runAt) {
   );
   for (const e of result.withTerminationDate) {
     lines.push(
-      `| ${e.employee_id || e.user_id} | ${e.full_name} | ${formatDate(e.termination_date_parsed)} |`,
+      `| ${employeeIdCell(e)} | ${e.full_name} | ${formatDate(e.termination_date_parsed)} |`,
     );
   }
   lines.push("");
@@ -264,45 +283,82 @@ function toMarkdown(result, runAt) {
   return lines.join("\n");
 }
 
-async function main() {
-  const outputDir = path.join(__dirname, "..");
-  const outputPath = path.join(outputDir, "hire-termination-report.md");
-
-  console.log("Detecting hire and termination employees...");
-  const client = new OmniHRAPIClient();
+/**
+ * Fetch employees, detect hires/terminations and write the markdown report
+ * @param {Object} [options]
+ * @param {string} [options.outputPath] - Defaults to hire-termination-report.md in the repo root
+ * @param {number} [options.recentDays=30]
+ * @param {Array<Object>} [options.tenants] - Profiles from profiles.js, merged into one report
+ * @param {Object} [options.cache] - Response cache options, see OmniHRAPIClient
+ * @returns {Promise<Object>} { result, outputPath }
+ */
+async function generateHireTerminationReport(options = {}) {
+  const {
+    outputPath = path.join(__dirname, "..", "hire-termination-report.md"),
+    recentDays = 30,
+    tenants = [null],
+    cache,
+  } = options;
+
+  logger.info("Detecting hire and termination employees...");
+
+  const employees = [];
+  for (const tenant of tenants) {
+    const client = new OmniHRAPIClient({ tenant, cache });
+    employees.push(
+      ...(await fetchEmployeesWithHireAndTermination(client, {
+        tenant: tenant?.name,
+        ...(tenant && {
+          excludedEmployees: [
+            ...EXCLUDED_EMPLOYEES,
+            ...tenant.excludedEmployees,
+          ],
+        }),
+      })),
+    );
+    if (client.cache.isEnabled()) {
+      client.logger.info(client.cache.formatStats());
+    }
+  }
 
-  const employees = await fetchEmployeesWithHireAndTermination(client);
-  const result = detectHireAndTermination(employees, { recentDays: 30 });
+  const result = detectHireAndTermination(employees, { recentDays });
   const runAt = new Date();
   const md = toMarkdown(result, runAt);
 
-  fs.mkdirSync(outputDir, { recursive: true });
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
   fs.writeFileSync(outputPath, md, "utf8");
 
-  console.log("Summary:");
-  console.log("  Total employees:", result.totalEmployees);
-  console.log("  With hire date:", result.withHireDate.length);
-  console.log("  With termination date:", result.withTerminationDate.length);
-  console.log("  Recent hires (30 days):", result.recentHires.length);
-  console.log(
-    "  Recent terminations (30 days):",
-    result.recentTerminations.length,
-  );
-  console.log("\nReport written to:", outputPath);
+  logger.info("Summary", {
+    totalEmployees: result.totalEmployees,
+    withHireDate: result.withHireDate.length,
+    withTerminationDate: result.withTerminationDate.length,
+    recentHires: result.recentHires.length,
+    recentTerminations: result.recentTerminations.length,
+    recentDays,
+  });
+  logger.info(`Report written to: ${outputPath}`);
 
   return { result, outputPath };
 }
 
-main().catch((err) => {
-  console.error(err);
-  process.exit(1);
-});
+async function main() {
+  return generateHireTerminationReport();
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    logger.error(err.message);
+    process.exit(1);
+  });
+}
 
 module.exports = {
+  EXCLUDED_EMPLOYEES,
   parseDateDMY,
   fetchAllEmployees,
   fetchTerminationDates,
   fetchEmployeesWithHireAndTermination,
   detectHireAndTermination,
   toMarkdown,
+  generateHireTerminationReport,
 };
@@ -1,35 +1,60 @@
 #!/usr/bin/env node
 
+if (require.main === module) require('dotenv').config({ quiet: true });
 const fs = require('fs');
 const path = require('path');
 const LeaveService = require('./leaveService');
 const config = require('./config');
+const { logger } = require('./logger');
+const { sliceLeaveDataByMonth } = require('./leavePeriods');
+const { loadScheduleOverrides } = require('./workSchedules');
+const { checkFailureThreshold } = require('./fetchFailures');
 const {
 	exportToCSV,
 	exportBalancesToCSV,
 	GoogleSheetsExporter,
 } = require('./googleSheetsExport');
 
-async function main() {
-	const args = process.argv.slice(2);
-
-	// Parse arguments
-	const monthArg = args.find((a) => a.startsWith('--month='));
-	const yearArg = args.find((a) => a.startsWith('--year='));
-	const outputArg = args.find((a) => a.startsWith('--output='));
-	const credentialsArg = args.find((a) => a.startsWith('--credentials='));
-	const useCache = args.includes('--cache');
-	const pushToSheets = args.includes('--push');
-	const csvOnly = args.includes('--csv-only');
-
-	// Default to config month/year
-	const month = monthArg ? parseInt(monthArg.split('=')[1]) - 1 : config.month;
-	const year = yearArg ? parseInt(yearArg.split('=')[1]) : config.year;
-	const outputDir = outputArg
-		? outputArg.split('=')[1]
-		: path.join(__dirname, 'data');
-
-	console.log(`\n📅 Exporting leave data for ${month + 1}/${year}\n`);
+/**
+ * Fetch (or load cached) leave data and export it to CSV and/or Google Sheets
+ * @param {Object} options
+ * @param {number} options.month - 0-indexed month
+ * @param {number} options.year
+ * @param {string} [options.outputDir] - Directory for CSV files
+ * @param {string} [options.credentialsPath] - Google service account JSON
+ * @param {string} [options.inputPath] - Cached leave data JSON (leave_data.json)
+ * @param {boolean} [options.useCache] - Reuse inputPath instead of fetching
+ * @param {boolean} [options.pushToSheets] - Upload to Google Sheets
+ * @param {boolean} [options.csvOnly] - Write CSV files even when pushing
+ * @param {Object} [options.cache] - API response cache options, see OmniHRAPIClient
+ * @param {string} [options.workSchedules] - Schedule overrides file, see workSchedules.js
+ * @param {Array<string>} [options.statuses] - Leave statuses to include, approved by default
+ * @param {boolean} [options.balances] - Fetch leave balances too, one request
+ *   per employee; balances are exported when the data has them
+ * @param {Object} [options.maxFailures] - Failed employees allowed before
+ *   nothing is exported, see fetchFailures.js; defaults to OMNIHR_MAX_FAILURES
+ * @returns {Promise<Object>} { leaveData, files } - Files written
+ * @throws {FailureThresholdError} When too many employees failed; the fetched
+ *   data is still saved to inputPath for --retry-failed
+ */
+async function exportLeaveData(options) {
+	const {
+		month,
+		year,
+		outputDir = path.join(__dirname, 'data'),
+		credentialsPath = path.join(__dirname, '..', 'google-credentials.json'),
+		inputPath = path.join(__dirname, 'data', 'leave_data.json'),
+		useCache = false,
+		pushToSheets = false,
+		csvOnly = false,
+		cache,
+		workSchedules,
+		statuses,
+		balances = false,
+		maxFailures,
+	} = options;
+
+	logger.info(`Exporting leave data for ${month + 1}/${year}`);
 
 	// Ensure output directory exists
 	if (!fs.existsSync(outputDir)) {
@@ -37,59 +62,69 @@ async function main() {
 	}
 
 	let leaveData;
-	const cacheFile = path.join(__dirname, 'data', 'leave_data.json');
+	const cacheFile = inputPath;
+	const files = [];
 
 	if (useCache && fs.existsSync(cacheFile)) {
-		console.log('📂 Using cached data from leave_data.json\n');
+		logger.info(`Using cached data from ${path.basename(cacheFile)}`);
 		leaveData = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
 	} else {
 		// Fetch fresh data from OmniHR
-		console.log('🔄 Fetching data from OmniHR API...\n');
-		const leaveService = new LeaveService();
+		logger.info('Fetching data from OmniHR API...');
+		const leaveService = new LeaveService({
+			cache,
+			scheduleOverrides: loadScheduleOverrides(workSchedules),
+		});
 
 		leaveData = await leaveService.getAllLeaveData({
 			month,
 			year,
-			onProgress: (completed, total, name) => {
-				process.stdout.write(`\r  Progress: ${completed}/${total} employees`);
+			statuses,
+			balances,
+			onProgress: (completed, total) => {
+				logger.progress('Employees', completed, total);
 			},
 		});
 
-		console.log('\n');
-
 		// Save to cache
 		fs.writeFileSync(cacheFile, JSON.stringify(leaveData, null, 2));
-		console.log(`💾 Data cached to ${cacheFile}\n`);
+		files.push(cacheFile);
+		logger.info(`Data cached to ${cacheFile}`);
+
+		// Don't publish a sheet with employees missing
+		checkFailureThreshold(leaveData, maxFailures);
 	}
 
+	// The cached file may cover several months; the writers expect one
+	const monthData = sliceLeaveDataByMonth(leaveData, month, year);
+
 	// Generate month string for filenames
 	const monthStr = `${year}-${String(month + 1).padStart(2, '0')}`;
 
 	// Export to CSV
 	const leaveCSV = path.join(outputDir, `leave_requests_${monthStr}.csv`);
 	const balancesCSV = path.join(outputDir, `leave_balances_${monthStr}.csv`);
+	const hasBalances = leaveData.some((emp) => emp.leave_balances);
 
 	// Export to CSV
 	if (!pushToSheets || csvOnly) {
-		console.log('📊 Exporting to CSV...\n');
-		exportToCSV(leaveData, month, year, leaveCSV);
-		exportBalancesToCSV(leaveData, balancesCSV);
-		console.log('\nFiles created:');
-		console.log(`  - ${leaveCSV}`);
-		console.log(`  - ${balancesCSV}`);
+		logger.info('Exporting to CSV...');
+		exportToCSV(monthData, month, year, leaveCSV);
+		const csvFiles = [leaveCSV];
+		if (hasBalances) {
+			exportBalancesToCSV(leaveData, balancesCSV);
+			csvFiles.push(balancesCSV);
+		}
+		files.push(...csvFiles);
+		logger.info(`Files created: ${csvFiles.join(', ')}`);
 	}
 
 	// Push to Google Sheets if --push flag is set
 	if (pushToSheets) {
-		const credentialsPath = credentialsArg
-			? credentialsArg.split('=')[1]
-			: path.join(__dirname, '..', 'google-credentials.json');
-
 		const { spreadsheetId, leaveRequestsSheet, leaveBalancesSheet } =
 			config.googleSheets;
 
-		console.log('\n☁️  Pushing to Google Sheets...\n');
-		console.log(`  Spreadsheet: ${spreadsheetId}`);
+		logger.info('Pushing to Google Sheets...', { spreadsheetId });
 
 		const exporter = new GoogleSheetsExporter(credentialsPath);
 		await exporter.initialize();
@@ -97,25 +132,54 @@ async function main() {
 		await exporter.uploadLeaveData(
 			spreadsheetId,
 			leaveRequestsSheet,
-			leaveData,
+			monthData,
 			month,
 			year
 		);
-		await exporter.uploadLeaveBalances(
-			spreadsheetId,
-			leaveBalancesSheet,
-			leaveData
-		);
-
-		console.log(
-			`\n✅ Data pushed to: https://docs.google.com/spreadsheets/d/${spreadsheetId}`
+		if (hasBalances) {
+			await exporter.uploadLeaveBalances(
+				spreadsheetId,
+				leaveBalancesSheet,
+				leaveData
+			);
+		}
+
+		logger.info(
+			`Data pushed to: https://docs.google.com/spreadsheets/d/${spreadsheetId}`
 		);
 	}
 
-	console.log('\n✅ Export complete!\n');
+	logger.info('Export complete');
+	return { leaveData, files };
+}
+
+async function main() {
+	const args = process.argv.slice(2);
+
+	// Parse arguments
+	const monthArg = args.find((a) => a.startsWith('--month='));
+	const yearArg = args.find((a) => a.startsWith('--year='));
+	const outputArg = args.find((a) => a.startsWith('--output='));
+	const credentialsArg = args.find((a) => a.startsWith('--credentials='));
+
+	await exportLeaveData({
+		// Default to config month/year
+		month: monthArg ? parseInt(monthArg.split('=')[1]) - 1 : config.month,
+		year: yearArg ? parseInt(yearArg.split('=')[1]) : config.year,
+		outputDir: outputArg ? outputArg.split('=')[1] : undefined,
+		credentialsPath: credentialsArg ? credentialsArg.split('=')[1] : undefined,
+		useCache: args.includes('--cache'),
+		pushToSheets: args.includes('--push'),
+		csvOnly: args.includes('--csv-only'),
+		balances: args.includes('--balances'),
+	});
+}
+
+if (require.main === module) {
+	main().catch((err) => {
+		logger.error(err.message);
+		process.exit(1);
+	});
 }
 
-main().catch((err) => {
-	console.error('Error:', err.message);
-	process.exit(1);
-});
+module.exports = { exportLeaveData };
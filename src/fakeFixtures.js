@@ -0,0 +1,350 @@
+/**
+ * Seeded fixture data for the local fake OmniHR server.
+ *
+ * The same seed always yields the same employees, balances, leave requests,
+ * holidays and work schedules, so demo runs and automated tests are reproducible.
+ */
+
+const FIRST_NAMES = [
+	'Adi',
+	'Bayu',
+	'Citra',
+	'Dewi',
+	'Eka',
+	'Fajar',
+	'Gita',
+	'Hendra',
+	'Indah',
+	'Joko',
+	'Kartika',
+	'Lestari',
+	'Made',
+	'Nadia',
+	'Oka',
+	'Putri',
+	'Rizky',
+	'Sari',
+	'Tono',
+	'Wulan',
+];
+
+const LAST_NAMES = [
+	'Pratama',
+	'Santoso',
+	'Wijaya',
+	'Saputra',
+	'Hidayat',
+	'Kusuma',
+	'Nugroho',
+	'Siregar',
+	'Halim',
+	'Utami',
+];
+
+const TIME_OFF_TYPES = [
+	{ id: 1, name: 'Annual Leave', color: '#4CAF50', entitlement: 12 },
+	{ id: 2, name: 'Sick Leave', color: '#F44336', entitlement: 14 },
+	{ id: 3, name: 'Unpaid Leave', color: '#9E9E9E', entitlement: 0 },
+];
+
+const HOLIDAYS = [
+	{ month: 0, day: 1, name: "New Year's Day" },
+	{ month: 4, day: 1, name: 'Labour Day' },
+	{ month: 5, day: 1, name: 'Pancasila Day' },
+	{ month: 7, day: 17, name: 'Independence Day' },
+	{ month: 11, day: 25, name: 'Christmas Day' },
+];
+
+const scheduleItems = (days, timeFrom, timeTo) =>
+	days.map((day) => ({
+		day,
+		day_type: 1,
+		time_from: timeFrom,
+		time_to: timeTo,
+		is_next_day: false,
+	}));
+
+// Schedule days are ISO weekdays, 1=Monday ... 7=Sunday
+const WORK_SCHEDULES = [
+	{
+		id: 1,
+		name: 'Office Mon-Fri',
+		schedule_items: scheduleItems([1, 2, 3, 4, 5], '09:00:00', '17:00:00'),
+	},
+	{
+		id: 2,
+		name: 'Part-time Mon-Wed',
+		schedule_items: scheduleItems([1, 2, 3], '09:00:00', '17:00:00'),
+	},
+	{
+		id: 3,
+		name: 'Retail Tue-Sat',
+		schedule_items: scheduleItems([2, 3, 4, 5, 6], '10:00:00', '18:00:00'),
+	},
+];
+
+/**
+ * Index-based, so the random sequence and the seeded leave data stay unchanged
+ * @param {number} index - Position in the employee list
+ * @returns {number} Work schedule id
+ */
+function pickWorkSchedule(index) {
+	if (index % 9 === 8) return 3;
+	if (index % 6 === 5) return 2;
+	return 1;
+}
+
+const TEAMS = [
+	{ id: 1, name: 'Engineering' },
+	{ id: 2, name: 'Operations' },
+	{ id: 3, name: 'Sales' },
+];
+
+// Accounts that exist in every tenant and are excluded by the sync scripts
+const SERVICE_ACCOUNTS = ['Omni Support', 'People Culture'];
+
+// OmniHR time-off request statuses used by the generator
+const STATUS_PENDING = 1;
+const STATUS_APPROVED = 3;
+const STATUS_REJECTED = 4;
+const STATUS_CANCELLED = 5;
+
+// Custom-duration (hourly) leave
+const DURATION_HOURS = 4;
+
+/**
+ * Deterministic PRNG (mulberry32)
+ * @param {number} seed
+ * @returns {Function} Returns floats in [0, 1)
+ */
+function createRandom(seed) {
+	let state = seed >>> 0;
+	return () => {
+		state = (state + 0x6d2b79f5) >>> 0;
+		let t = state;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+/**
+ * @param {Date} date
+ * @returns {string} Date in DD/MM/YYYY format
+ */
+function formatDateDMY(date) {
+	const day = String(date.getDate()).padStart(2, '0');
+	const month = String(date.getMonth() + 1).padStart(2, '0');
+	return `${day}/${month}/${date.getFullYear()}`;
+}
+
+/**
+ * @param {Date} date
+ * @returns {boolean}
+ */
+function isWeekend(date) {
+	const day = date.getDay();
+	return day === 0 || day === 6;
+}
+
+/**
+ * Pick a status so that most generated leave is approved
+ * @param {Function} random
+ * @returns {number}
+ */
+function pickStatus(random) {
+	const roll = random();
+	if (roll < 0.75) return STATUS_APPROVED;
+	if (roll < 0.87) return STATUS_PENDING;
+	if (roll < 0.94) return STATUS_CANCELLED;
+	return STATUS_REJECTED;
+}
+
+/**
+ * Generate leave requests for one employee across a year
+ * @param {Function} random
+ * @param {number} year
+ * @param {Function} nextId - Returns a unique request id
+ * @returns {Array} TimeOffRequestItem-shaped objects
+ */
+function generateLeaveRequests(random, year, nextId) {
+	const requests = [];
+	const count = 3 + Math.floor(random() * 6);
+
+	for (let i = 0; i < count; i++) {
+		const start = new Date(year, 0, 1 + Math.floor(random() * 365));
+		while (isWeekend(start)) start.setDate(start.getDate() + 1);
+
+		const end = new Date(start);
+		const workingDays = 1 + Math.floor(random() * 4);
+		for (let remaining = workingDays; remaining > 1; ) {
+			end.setDate(end.getDate() + 1);
+			if (!isWeekend(end)) remaining--;
+		}
+
+		const type = TIME_OFF_TYPES[Math.floor(random() * 2)];
+		const halfDayRoll = random();
+		const effectiveDuration = halfDayRoll < 0.15 ? 2 : halfDayRoll < 0.25 ? 3 : 1;
+		const endDuration =
+			end.getTime() === start.getTime()
+				? effectiveDuration
+				: random() < 0.15
+				? 2
+				: 1;
+		const days =
+			workingDays === 1
+				? effectiveDuration === 1
+					? 1
+					: 0.5
+				: workingDays -
+				  (effectiveDuration === 1 ? 0 : 0.5) -
+				  (endDuration === 1 ? 0 : 0.5);
+
+		const request = {
+			id: nextId(),
+			time_off: { id: type.id, name: type.name, color: type.color },
+			effective_date: formatDateDMY(start),
+			end_date: formatDateDMY(end),
+			effective_date_duration: effectiveDuration,
+			end_date_duration: endDuration,
+			payload: days.toFixed(1),
+			remark: '',
+			status: pickStatus(random),
+		};
+
+		// Some single full days become 2-hour appointments; chosen by id so the
+		// random sequence is unchanged
+		if (days === 1 && request.id % 4 === 0) {
+			Object.assign(request, {
+				effective_date_duration: DURATION_HOURS,
+				end_date_duration: DURATION_HOURS,
+				payload: '0.25',
+				time_from: '14:00:00',
+				time_to: '16:00:00',
+			});
+		}
+
+		requests.push(request);
+	}
+
+	return requests;
+}
+
+/**
+ * Build a complete, reproducible tenant
+ * @param {Object} [options]
+ * @param {number} [options.seed=42]
+ * @param {number} [options.employeeCount=25]
+ * @param {number} [options.year] - Year to generate leave for (defaults to current)
+ * @returns {Object} { year, employees, timeOffTypes, balances, leaveRequests,
+ *   holidays, workSchedules, teams }
+ */
+function generateFixtures(options = {}) {
+	const {
+		seed = 42,
+		employeeCount = 25,
+		year = new Date().getFullYear(),
+	} = options;
+
+	const random = createRandom(seed);
+	let requestId = 5000;
+	const nextRequestId = () => ++requestId;
+
+	const employees = [];
+	const balances = {};
+	const leaveRequests = {};
+
+	const names = [...SERVICE_ACCOUNTS];
+	for (let i = 0; i < employeeCount; i++) {
+		const first = FIRST_NAMES[Math.floor(random() * FIRST_NAMES.length)];
+		const last = LAST_NAMES[Math.floor(random() * LAST_NAMES.length)];
+		names.push(`${first} ${last}`);
+	}
+
+	names.forEach((fullName, index) => {
+		const id = 1001 + index;
+		const [firstName, ...rest] = fullName.split(' ');
+		const hired = new Date(
+			year - 1 - Math.floor(random() * 5),
+			Math.floor(random() * 12),
+			1 + Math.floor(random() * 28)
+		);
+		const isServiceAccount = index < SERVICE_ACCOUNTS.length;
+		const terminated = !isServiceAccount && random() < 0.1;
+
+		employees.push({
+			id,
+			system_id: id,
+			first_name: firstName,
+			last_name: rest.join(' '),
+			full_name: fullName,
+			employee_id: `SM${String(index + 1).padStart(4, '0')}`,
+			hired_date: formatDateDMY(hired),
+			termination_date: terminated
+				? formatDateDMY(
+						new Date(year, Math.floor(random() * 12), 1 + Math.floor(random() * 28))
+				  )
+				: null,
+			employment_status: terminated ? 'terminated' : 'active',
+			work_schedule_id: pickWorkSchedule(index),
+			team_id: isServiceAccount ? null : TEAMS[index % TEAMS.length].id,
+		});
+
+		leaveRequests[id] = isServiceAccount
+			? []
+			: generateLeaveRequests(random, year, nextRequestId);
+
+		balances[id] = TIME_OFF_TYPES.map((type) => {
+			const taken = leaveRequests[id]
+				.filter(
+					(r) => r.time_off.id === type.id && r.status === STATUS_APPROVED
+				)
+				.reduce((sum, r) => sum + parseFloat(r.payload), 0);
+			// Annual leave carried forward from last year, expiring at the end of
+			// a month between March and December; derived from the id so the
+			// random sequence is unchanged
+			const carryover = type.id === 1 ? (id % 4) * 1.5 : 0;
+			return {
+				time_off_id: type.id,
+				entitlement_earned: type.entitlement,
+				taken,
+				remaining: Math.max(0, type.entitlement - taken),
+				carryover,
+				carryover_expiry: carryover
+					? formatDateDMY(new Date(year, 3 + (id % 10), 0))
+					: null,
+			};
+		});
+	});
+
+	const holidays = [year - 1, year, year + 1].flatMap((y) =>
+		HOLIDAYS.map((h, i) => ({
+			id: y * 100 + i,
+			name: h.name,
+			date_from: formatDateDMY(new Date(y, h.month, h.day)),
+			day_type_from: 1,
+			date_to: null,
+			day_type_to: null,
+		}))
+	);
+
+	return {
+		year,
+		employees,
+		timeOffTypes: TIME_OFF_TYPES,
+		balances,
+		leaveRequests,
+		holidays,
+		workSchedules: WORK_SCHEDULES,
+		teams: TEAMS,
+	};
+}
+
+module.exports = {
+	generateFixtures,
+	formatDateDMY,
+	STATUS_PENDING,
+	STATUS_APPROVED,
+	STATUS_REJECTED,
+	STATUS_CANCELLED,
+};
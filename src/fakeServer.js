@@ -0,0 +1,983 @@
+#!/usr/bin/env node
+
+/**
+ * Local fake OmniHR server for offline development and tests.
+ *
+ * Routes are matched against the paths in swagger.json: implemented routes
+ * answer from seeded fixture data, documented but unimplemented routes answer
+ * 501 and anything else 404. Point OMNIHR_BASE_URL at the printed URL to run
+ * main.js, updateExcel.js or detectHireTermination.js without real credentials.
+ *
+ * Faults can be injected with server options, CLI flags or at runtime:
+ *   POST   /__fake__/faults  {"status": 429, "count": 3, "path": "/employee/list/", "retryAfter": 1}
+ *   DELETE /__fake__/faults
+ *   POST   /__fake__/expire-tokens
+ *   GET    /__fake__/stats
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const {
+	generateFixtures,
+	formatDateDMY,
+	STATUS_PENDING,
+	STATUS_APPROVED,
+	STATUS_REJECTED,
+} = require('./fakeFixtures');
+const {
+	loadSwagger,
+	compilePath,
+	matchPath,
+	findPathTemplate,
+} = require('./swagger');
+
+const swagger = loadSwagger();
+
+const MAX_PAGE_SIZE = 100;
+const CONTROL_PREFIX = '/__fake__';
+
+// OmniHR does not document its balance event types; these are the fake's own
+const EVENT_ACCRUAL = 1;
+const EVENT_TIME_OFF = 2;
+const EVENT_CARRY_FORWARD = 3;
+
+/**
+ * @param {string} dateStr - Date string in DD/MM/YYYY format
+ * @returns {Date|null}
+ */
+function parseDateDMY(dateStr) {
+	if (!dateStr) return null;
+	const parts = String(dateStr).split('/');
+	if (parts.length !== 3) return null;
+	const d = new Date(
+		parseInt(parts[2], 10),
+		parseInt(parts[1], 10) - 1,
+		parseInt(parts[0], 10)
+	);
+	return isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * @param {Date} date
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function formatDateISO(date) {
+	const month = String(date.getMonth() + 1).padStart(2, '0');
+	const day = String(date.getDate()).padStart(2, '0');
+	return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Encode a JWT-shaped token with an `exp` claim. The signature is random; the
+ * server only accepts tokens it has issued itself.
+ * @param {Object} claims
+ * @returns {string}
+ */
+function encodeToken(claims) {
+	const encode = (obj) =>
+		Buffer.from(JSON.stringify(obj)).toString('base64url');
+	return [
+		encode({ alg: 'none', typ: 'JWT' }),
+		encode(claims),
+		crypto.randomBytes(12).toString('base64url'),
+	].join('.');
+}
+
+/**
+ * Read and parse a request body (JSON or form-encoded)
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<Object>}
+ */
+function readBody(req) {
+	return new Promise((resolve, reject) => {
+		let raw = '';
+		req.on('data', (chunk) => (raw += chunk));
+		req.on('error', reject);
+		req.on('end', () => {
+			if (!raw) return resolve({});
+			const contentType = req.headers['content-type'] || '';
+			try {
+				resolve(
+					contentType.includes('application/json')
+						? JSON.parse(raw)
+						: Object.fromEntries(new URLSearchParams(raw))
+				);
+			} catch {
+				resolve({});
+			}
+		});
+	});
+}
+
+/**
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {*} body
+ * @param {Object} [headers]
+ */
+function sendJSON(res, status, body, headers = {}) {
+	res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+	res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+class FakeOmniHRServer {
+	/**
+	 * @param {Object} [options]
+	 * @param {Object} [options.fixtures] - Prebuilt fixtures, otherwise generated
+	 * @param {number} [options.seed=42]
+	 * @param {number} [options.employeeCount=25]
+	 * @param {number} [options.year]
+	 * @param {string} [options.subdomain] - Required x-subdomain, any if unset
+	 * @param {string} [options.username] - Accepted username, any if unset
+	 * @param {string} [options.password] - Accepted password, any if unset
+	 * @param {number} [options.tokenTtlSeconds=3600] - Access token lifetime
+	 * @param {number} [options.rateLimitPerSecond=0] - Requests per second before 429, 0 disables
+	 * @param {number} [options.latencyMs=0] - Artificial delay per request
+	 * @param {Date} [options.today] - Date balances are computed at, defaults to now
+	 * @param {Array<number>} [options.hiddenUserIds] - Employees whose leave the
+	 *   team calendar only shows as hidden events
+	 */
+	constructor(options = {}) {
+		// Unset CLI flags arrive as undefined and must not override defaults
+		const provided = Object.fromEntries(
+			Object.entries(options).filter(([, value]) => value !== undefined)
+		);
+		this.options = {
+			tokenTtlSeconds: 3600,
+			rateLimitPerSecond: 0,
+			latencyMs: 0,
+			hiddenUserIds: [],
+			...provided,
+		};
+		this.fixtures =
+			options.fixtures ||
+			generateFixtures({
+				seed: options.seed,
+				employeeCount: options.employeeCount,
+				year: options.year,
+			});
+		this.basePath = swagger.basePath || '';
+		this.accessTokens = new Map();
+		this.refreshTokens = new Set();
+		this.faults = [];
+		this.stats = { requests: 0, byRoute: {}, byStatus: {} };
+		this.rateWindow = { startedAt: 0, count: 0 };
+		this.routes = this.buildRoutes();
+		this.server = http.createServer((req, res) => {
+			this.handle(req, res).catch((err) => {
+				sendJSON(res, 500, { detail: err.message });
+			});
+		});
+	}
+
+	/**
+	 * Implemented routes, each of which must exist in swagger.json
+	 * @returns {Array}
+	 */
+	buildRoutes() {
+		const routes = [
+			['POST', '/auth/token/', this.handleLogin, { public: true }],
+			['POST', '/auth/token/refresh/', this.handleRefresh, { public: true }],
+			['GET', '/employee/list/', this.handleEmployeeList],
+			['GET', '/employee/2.0/users/{user_id}/base-data/', this.handleBaseData],
+			[
+				'GET',
+				'/employee/1.1/users/{user_id}/time-off-types/',
+				this.handleTimeOffTypes,
+			],
+			[
+				'GET',
+				'/employee/1.1/users/{user_id}/time-off-types/{time_off_id}/balance-history/',
+				this.handleBalanceHistory,
+			],
+			[
+				'GET',
+				'/employee/1.1/{user_id}/time-off-calendar/',
+				this.handleTimeOffCalendar,
+			],
+			['GET', '/employee/team-calendar/', this.handleTeamCalendar],
+			['GET', '/onboarding/workflow-dashboard/', this.handleWorkflowDashboard],
+			['GET', '/organization/team/', this.handleTeams],
+			[
+				'GET',
+				'/time-off/1.2/time-off-approvals/pending/',
+				this.handlePendingApprovals,
+			],
+			[
+				'PUT',
+				'/employee/{user_id}/time-off-request/{id}/approve/',
+				this.handleApprove,
+			],
+			[
+				'DELETE',
+				'/employee/{user_id}/time-off-request/{id}/reject/',
+				this.handleReject,
+			],
+			[
+				'GET',
+				'/attendance/1.0/list/work-schedules/',
+				this.handleWorkSchedules,
+			],
+		];
+
+		return routes.map(([method, template, handler, flags = {}]) => {
+			if (!swagger.paths[template]) {
+				throw new Error(`Fake route ${template} is not in swagger.json`);
+			}
+			return {
+				method,
+				matcher: compilePath(template),
+				handler: handler.bind(this),
+				...flags,
+			};
+		});
+	}
+
+	/**
+	 * @param {number} [port=0] - 0 picks a free port
+	 * @param {string} [host='127.0.0.1']
+	 * @returns {Promise<string>} Base URL to use as OMNIHR_BASE_URL
+	 */
+	listen(port = 0, host = '127.0.0.1') {
+		return new Promise((resolve, reject) => {
+			this.server.once('error', reject);
+			this.server.listen(port, host, () => {
+				this.server.off('error', reject);
+				resolve(this.getBaseURL());
+			});
+		});
+	}
+
+	/**
+	 * @returns {string}
+	 */
+	getBaseURL() {
+		const { address, port } = this.server.address();
+		return `http://${address}:${port}${this.basePath}`;
+	}
+
+	/**
+	 * @returns {Promise<void>}
+	 */
+	close() {
+		return new Promise((resolve) => this.server.close(() => resolve()));
+	}
+
+	/**
+	 * Make the next `count` requests whose path contains `path` fail
+	 * @param {Object} fault
+	 * @param {number} fault.status - e.g. 401, 429, 500
+	 * @param {number} [fault.count=1]
+	 * @param {string} [fault.path] - Substring of the endpoint, any if unset
+	 * @param {number} [fault.retryAfter] - Retry-After seconds for 429/503
+	 */
+	injectFault(fault) {
+		this.faults.push({ count: 1, ...fault });
+	}
+
+	clearFaults() {
+		this.faults = [];
+	}
+
+	/**
+	 * Invalidate every issued access token, as if they had all expired
+	 */
+	expireTokens() {
+		this.accessTokens.clear();
+	}
+
+	/**
+	 * @param {string} endpoint
+	 * @returns {Object|undefined} The fault to apply, consuming one use of it
+	 */
+	takeFault(endpoint) {
+		const index = this.faults.findIndex(
+			(f) => !f.path || endpoint.includes(f.path)
+		);
+		if (index === -1) return undefined;
+
+		const fault = this.faults[index];
+		fault.count--;
+		if (fault.count <= 0) this.faults.splice(index, 1);
+		return fault;
+	}
+
+	/**
+	 * @returns {boolean} True if this request exceeds rateLimitPerSecond
+	 */
+	isRateLimited() {
+		const limit = this.options.rateLimitPerSecond;
+		if (!limit) return false;
+
+		const now = Date.now();
+		if (now - this.rateWindow.startedAt >= 1000) {
+			this.rateWindow = { startedAt: now, count: 0 };
+		}
+		this.rateWindow.count++;
+		return this.rateWindow.count > limit;
+	}
+
+	/**
+	 * @param {http.IncomingMessage} req
+	 * @returns {boolean}
+	 */
+	isAuthorized(req) {
+		const header = req.headers.authorization || '';
+		const token = header.replace(/^Bearer\s+/i, '');
+		const expiresAt = this.accessTokens.get(token);
+		return expiresAt !== undefined && expiresAt > Date.now();
+	}
+
+	/**
+	 * @param {number} status
+	 * @param {string} route
+	 */
+	record(status, route) {
+		this.stats.requests++;
+		this.stats.byRoute[route] = (this.stats.byRoute[route] || 0) + 1;
+		this.stats.byStatus[status] = (this.stats.byStatus[status] || 0) + 1;
+	}
+
+	async handle(req, res) {
+		const url = new URL(req.url, `http://${req.headers.host}`);
+
+		if (url.pathname.startsWith(CONTROL_PREFIX)) {
+			return this.handleControl(req, res, url);
+		}
+
+		if (this.options.latencyMs) {
+			await new Promise((r) => setTimeout(r, this.options.latencyMs));
+		}
+
+		const respond = (status, body, headers) => {
+			this.record(status, `${req.method} ${routeName}`);
+			sendJSON(res, status, body, headers);
+		};
+
+		let routeName = url.pathname;
+		if (!url.pathname.startsWith(this.basePath)) {
+			return respond(404, { detail: 'Not found.' });
+		}
+		const endpoint = url.pathname.slice(this.basePath.length) || '/';
+
+		let route;
+		let params;
+		for (const candidate of this.routes) {
+			params = matchPath(candidate.matcher, endpoint);
+			if (params && candidate.method === req.method) {
+				route = candidate;
+				break;
+			}
+		}
+
+		if (!route) {
+			const documented = findPathTemplate(endpoint);
+			routeName = documented || endpoint;
+			return documented
+				? respond(501, { detail: 'Not implemented by the fake server.' })
+				: respond(404, { detail: 'Not found.' });
+		}
+
+		routeName = route.matcher.template;
+
+		const { subdomain } = this.options;
+		if (subdomain && req.headers['x-subdomain'] !== subdomain) {
+			return respond(404, { detail: 'Organization not found.' });
+		}
+
+		const fault = this.takeFault(endpoint);
+		if (fault) {
+			const headers =
+				fault.retryAfter !== undefined
+					? { 'Retry-After': String(fault.retryAfter) }
+					: {};
+			return respond(
+				fault.status,
+				{ detail: `Injected fault (${fault.status})` },
+				headers
+			);
+		}
+
+		if (this.isRateLimited()) {
+			return respond(
+				429,
+				{ detail: 'Request was throttled. Expected available in 1 second.' },
+				{ 'Retry-After': '1' }
+			);
+		}
+
+		if (!route.public && !this.isAuthorized(req)) {
+			return respond(401, {
+				detail: 'Given token not valid for any token type',
+				code: 'token_not_valid',
+			});
+		}
+
+		const body = req.method === 'GET' ? {} : await readBody(req);
+		const result = await route.handler({ req, url, params, body });
+		const status = result.status || 200;
+
+		// Weak ETags over the body let clients revalidate cached GETs
+		if (req.method === 'GET' && status === 200) {
+			const etag = `W/"${crypto
+				.createHash('sha1')
+				.update(JSON.stringify(result.body))
+				.digest('hex')}"`;
+			if (req.headers['if-none-match'] === etag) {
+				return respond(304, undefined, { ETag: etag });
+			}
+			return respond(status, result.body, { ETag: etag });
+		}
+		return respond(status, result.body);
+	}
+
+	async handleControl(req, res, url) {
+		const action = url.pathname.slice(CONTROL_PREFIX.length);
+
+		if (action === '/faults' && req.method === 'POST') {
+			const fault = await readBody(req);
+			if (!fault.status) {
+				return sendJSON(res, 400, { detail: 'status is required' });
+			}
+			this.injectFault({ ...fault, status: Number(fault.status) });
+			return sendJSON(res, 201, { faults: this.faults });
+		}
+
+		if (action === '/faults' && req.method === 'DELETE') {
+			this.clearFaults();
+			return sendJSON(res, 204);
+		}
+
+		if (action === '/expire-tokens' && req.method === 'POST') {
+			this.expireTokens();
+			return sendJSON(res, 204);
+		}
+
+		if (action === '/stats' && req.method === 'GET') {
+			return sendJSON(res, 200, this.stats);
+		}
+
+		return sendJSON(res, 404, { detail: 'Unknown control endpoint.' });
+	}
+
+	issueTokens() {
+		const now = Math.floor(Date.now() / 1000);
+		const exp = now + this.options.tokenTtlSeconds;
+		const access = encodeToken({ token_type: 'access', iat: now, exp });
+		const refresh = encodeToken({
+			token_type: 'refresh',
+			iat: now,
+			exp: now + 24 * 3600,
+		});
+		this.accessTokens.set(access, exp * 1000);
+		this.refreshTokens.add(refresh);
+		return { access, refresh };
+	}
+
+	handleLogin({ body }) {
+		const { username, password } = this.options;
+		if (!body.username || !body.password) {
+			return {
+				status: 400,
+				body: { detail: 'username and password are required' },
+			};
+		}
+		if (
+			(username && body.username !== username) ||
+			(password && body.password !== password)
+		) {
+			return {
+				status: 401,
+				body: { detail: 'No active account found with the given credentials' },
+			};
+		}
+		return { body: this.issueTokens() };
+	}
+
+	handleRefresh({ body }) {
+		if (!this.refreshTokens.has(body.refresh)) {
+			return {
+				status: 401,
+				body: { detail: 'Token is invalid or expired', code: 'token_not_valid' },
+			};
+		}
+		const { access } = this.issueTokens();
+		return { body: { access } };
+	}
+
+	/**
+	 * DRF-style page of `items`, with absolute next/previous URLs
+	 * @param {URL} url
+	 * @param {Array} items
+	 * @returns {Object}
+	 */
+	paginate(url, items) {
+		const page = Math.max(1, parseInt(url.searchParams.get('page'), 10) || 1);
+		const pageSize = Math.min(
+			MAX_PAGE_SIZE,
+			Math.max(1, parseInt(url.searchParams.get('page_size'), 10) || 20)
+		);
+
+		if ((page - 1) * pageSize >= items.length && page > 1) {
+			return { status: 404, body: { detail: 'Invalid page.' } };
+		}
+
+		const pageURL = (n) => {
+			const target = new URL(url);
+			target.searchParams.set('page', String(n));
+			target.searchParams.set('page_size', String(pageSize));
+			return target.toString();
+		};
+
+		return {
+			body: {
+				count: items.length,
+				next: page * pageSize < items.length ? pageURL(page + 1) : null,
+				previous: page > 1 ? pageURL(page - 1) : null,
+				results: items.slice((page - 1) * pageSize, page * pageSize),
+			},
+		};
+	}
+
+	/**
+	 * @param {string} userId
+	 * @returns {Object|undefined}
+	 */
+	findEmployee(userId) {
+		return this.fixtures.employees.find((e) => String(e.id) === String(userId));
+	}
+
+	handleEmployeeList({ url }) {
+		const search = (url.searchParams.get('search') || '').toLowerCase();
+		const team = url.searchParams.get('team');
+		const employees = this.fixtures.employees
+			.filter((e) => !search || e.full_name.toLowerCase().includes(search))
+			.filter((e) => !team || String(e.team_id) === team)
+			.map(
+				({
+					termination_date,
+					employee_id,
+					work_schedule_id,
+					team_id,
+					...emp
+				}) => emp
+			);
+		return this.paginate(url, employees);
+	}
+
+	handleTeams() {
+		return {
+			body: (this.fixtures.teams || []).map((team) => ({
+				...team,
+				is_deletable: false,
+			})),
+		};
+	}
+
+	/**
+	 * The first member of a team approves the others; team leads and staff
+	 * without a team are approved by the People Culture account
+	 * @param {Object} emp
+	 * @returns {Object} Approving employee
+	 */
+	findApprover(emp) {
+		const lead = this.fixtures.employees.find(
+			(e) => e.team_id !== null && e.team_id === emp.team_id
+		);
+		if (lead && lead.id !== emp.id) return lead;
+		return this.fixtures.employees.find((e) => e.full_name === 'People Culture');
+	}
+
+	/**
+	 * @param {Object} params - { user_id, id }
+	 * @returns {Object|undefined} Leave request of the employee
+	 */
+	findLeaveRequest(params) {
+		const requests = this.fixtures.leaveRequests[params.user_id] || [];
+		return requests.find((r) => String(r.id) === String(params.id));
+	}
+
+	handlePendingApprovals() {
+		const approvals = [];
+		for (const emp of this.fixtures.employees) {
+			const approver = this.findApprover(emp);
+			for (const request of this.fixtures.leaveRequests[emp.id] || []) {
+				if (request.status !== STATUS_PENDING) continue;
+				approvals.push({
+					id: request.id * 10 + 1,
+					approver_type: 1,
+					approver_user_id: approver.id,
+					approval_status: 1,
+					order: 1,
+					resubmission: false,
+					approver_employee_status: 1,
+					completed_at: null,
+					created_at: null,
+					actions: { can_approve: true, can_reject: true },
+					type: 1,
+					last_approval: null,
+					time_off_request: {
+						id: request.id,
+						time_off_type: request.time_off,
+						effective_date: request.effective_date,
+						effective_date_duration: request.effective_date_duration,
+						end_date: request.end_date,
+						end_date_duration: request.end_date_duration,
+						remark: request.remark,
+						status: request.status,
+						payload: request.payload,
+						user: {
+							id: emp.id,
+							first_name: emp.first_name,
+							last_name: emp.last_name,
+							full_name: emp.full_name,
+							system_id: emp.system_id,
+						},
+					},
+				});
+			}
+		}
+		return { body: approvals };
+	}
+
+	/**
+	 * @param {Object} params - { user_id, id }
+	 * @param {number} status - New request status
+	 * @returns {Object} Handler result; the request must be pending
+	 */
+	decideLeaveRequest(params, status) {
+		const request = this.findLeaveRequest(params);
+		if (!request) return { status: 404, body: { detail: 'Not found.' } };
+		if (request.status !== STATUS_PENDING) {
+			return {
+				status: 400,
+				body: { detail: 'Time off request is no longer pending.' },
+			};
+		}
+		request.status = status;
+		return { request };
+	}
+
+	handleApprove({ params }) {
+		const result = this.decideLeaveRequest(params, STATUS_APPROVED);
+		if (!result.request) return result;
+		const { time_off, ...request } = result.request;
+		return { body: { ...request, time_off_type: time_off.id } };
+	}
+
+	handleReject({ params }) {
+		const result = this.decideLeaveRequest(params, STATUS_REJECTED);
+		return result.request ? { status: 204, body: undefined } : result;
+	}
+
+	handleBaseData({ params }) {
+		const emp = this.findEmployee(params.user_id);
+		if (!emp) return { status: 404, body: { detail: 'Not found.' } };
+		return {
+			body: {
+				has_pending_request: false,
+				data: {
+					id: emp.id,
+					first_name: emp.first_name,
+					last_name: emp.last_name,
+					employee_id: emp.employee_id,
+				},
+			},
+		};
+	}
+
+	/**
+	 * @param {Object} emp
+	 * @param {number} typeId
+	 * @returns {Object} Fixture balance of the employee, empty when none
+	 */
+	findBalance(emp, typeId) {
+		const balances = this.fixtures.balances[emp.id] || [];
+		return balances.find((b) => b.time_off_id === typeId) || {};
+	}
+
+	/**
+	 * Carry-forward, monthly accrual and approved leave of one employee and
+	 * leave type up to `today`, oldest first with the running balance
+	 * @param {Object} emp
+	 * @param {Object} type - Fixture time-off type
+	 * @returns {Array} TimeOffEvent-shaped objects
+	 */
+	getBalanceEvents(emp, type) {
+		const today = this.options.today || new Date();
+		const year = this.fixtures.year ?? today.getFullYear();
+		const balance = this.findBalance(emp, type.id);
+		const events = [];
+
+		if (balance.carryover) {
+			events.push({
+				event_type: EVENT_CARRY_FORWARD,
+				date: new Date(year, 0, 1),
+				description: 'Carried forward from previous year',
+				amount: balance.carryover,
+				expiry_date: formatDateISO(parseDateDMY(balance.carryover_expiry)),
+			});
+		}
+		for (let month = 0; month < 12 && type.entitlement > 0; month++) {
+			events.push({
+				event_type: EVENT_ACCRUAL,
+				date: new Date(year, month, 1),
+				description: 'Monthly accrual',
+				amount: type.entitlement / 12,
+			});
+		}
+		for (const request of this.fixtures.leaveRequests[emp.id] || []) {
+			if (request.time_off.id !== type.id || request.status !== STATUS_APPROVED) continue;
+			events.push({
+				event_type: EVENT_TIME_OFF,
+				date: parseDateDMY(request.effective_date),
+				description: `Time off ${request.effective_date} - ${request.end_date}`,
+				amount: -parseFloat(request.payload),
+			});
+		}
+
+		let running = 0;
+		return events
+			.filter((event) => event.date <= today)
+			.sort((a, b) => a.date - b.date)
+			.map(({ date, amount, ...event }) => {
+				running += amount;
+				return {
+					...event,
+					event_date: formatDateISO(date),
+					amount: amount.toFixed(2),
+					balance: running.toFixed(2),
+					expiry_date: event.expiry_date || null,
+				};
+			});
+	}
+
+	handleTimeOffTypes({ params }) {
+		const emp = this.findEmployee(params.user_id);
+		if (!emp) return { status: 404, body: { detail: 'Not found.' } };
+
+		const today = this.options.today || new Date();
+		return {
+			body: this.fixtures.timeOffTypes.map((type) => {
+				const balance = this.findBalance(emp, type.id);
+				const events = this.getBalanceEvents(emp, type);
+				const sum = (eventType) =>
+					events
+						.filter((e) => e.event_type === eventType)
+						.reduce((total, e) => total + parseFloat(e.amount), 0);
+				const planned = (this.fixtures.leaveRequests[emp.id] || [])
+					.filter(
+						(r) =>
+							r.time_off.id === type.id &&
+							r.status === STATUS_APPROVED &&
+							parseDateDMY(r.effective_date) > today
+					)
+					.reduce((total, r) => total - parseFloat(r.payload), 0);
+				const earned = sum(EVENT_ACCRUAL);
+
+				return {
+					id: emp.id * 10 + type.id,
+					time_off: { id: type.id, name: type.name, color: type.color },
+					time_off_balance: {
+						carryover_from_previous_year: balance.carryover || null,
+						carryover_expiry_date: balance.carryover_expiry || null,
+						entitlement_earned: earned,
+						entitlement_to_be_earned: type.entitlement - earned,
+						adjustment: 0,
+						taken: sum(EVENT_TIME_OFF),
+						planned,
+						display_taken: balance.taken ?? 0,
+						days: balance.remaining ?? 0,
+					},
+					allow_half_day_time_off_request: true,
+				};
+			}),
+		};
+	}
+
+	handleBalanceHistory({ params, url }) {
+		const emp = this.findEmployee(params.user_id);
+		const type = this.fixtures.timeOffTypes.find(
+			(t) => String(t.id) === String(params.time_off_id)
+		);
+		if (!emp || !type) return { status: 404, body: { detail: 'Not found.' } };
+		return this.paginate(url, this.getBalanceEvents(emp, type));
+	}
+
+	/**
+	 * @param {URL} url
+	 * @returns {{ start: Date, end: Date }|{ error: Object }}
+	 */
+	readCalendarRange(url) {
+		const start = parseDateDMY(url.searchParams.get('start_date'));
+		const end = parseDateDMY(url.searchParams.get('end_date'));
+		if (!start || !end) {
+			return {
+				error: {
+					status: 400,
+					body: { detail: 'start_date and end_date (DD/MM/YYYY) are required' },
+				},
+			};
+		}
+		return { start, end };
+	}
+
+	/**
+	 * Time-off calendar of one employee, as served per user and in the team calendar
+	 * @param {Object} emp
+	 * @param {Date} start
+	 * @param {Date} end
+	 * @returns {Object} { holiday, schedule, time_off_request }
+	 */
+	buildCalendar(emp, start, end) {
+		const overlaps = (from, to) => from <= end && to >= start;
+
+		const requests = (this.fixtures.leaveRequests[emp.id] || []).filter((r) =>
+			overlaps(
+				parseDateDMY(r.effective_date),
+				parseDateDMY(r.end_date || r.effective_date)
+			)
+		);
+
+		const holidays = this.fixtures.holidays.filter((h) =>
+			overlaps(
+				parseDateDMY(h.date_from),
+				parseDateDMY(h.date_to || h.date_from)
+			)
+		);
+
+		const schedule = (this.fixtures.workSchedules || []).find(
+			(s) => s.id === emp.work_schedule_id
+		);
+
+		return {
+			holiday: [
+				{
+					effective_date: formatDateDMY(start),
+					holiday_calendar: 1,
+					name: 'Public Holidays',
+					results: holidays,
+				},
+			],
+			schedule: schedule
+				? [
+						{
+							effective_date: emp.hired_date,
+							schedule: schedule.id,
+							name: schedule.name,
+							results: schedule.schedule_items,
+						},
+				  ]
+				: [],
+			time_off_request: requests,
+		};
+	}
+
+	handleTimeOffCalendar({ params, url }) {
+		const emp = this.findEmployee(params.user_id);
+		if (!emp) return { status: 404, body: { detail: 'Not found.' } };
+
+		const range = this.readCalendarRange(url);
+		if (range.error) return range.error;
+
+		return { body: this.buildCalendar(emp, range.start, range.end) };
+	}
+
+	handleTeamCalendar({ url }) {
+		const range = this.readCalendarRange(url);
+		if (range.error) return range.error;
+
+		const hidden = new Set(this.options.hiddenUserIds.map(String));
+		const entries = this.fixtures.employees.map((emp) => {
+			const calendar = this.buildCalendar(emp, range.start, range.end);
+			const isHidden = hidden.has(String(emp.id));
+			return {
+				id: emp.id,
+				system_id: emp.system_id,
+				first_name: emp.first_name,
+				last_name: emp.last_name,
+				full_name: emp.full_name,
+				employment_status: emp.employment_status,
+				...calendar,
+				time_off_request: isHidden ? [] : calendar.time_off_request,
+				hidden_events: isHidden
+					? calendar.time_off_request.map((r) => ({
+							effective_date: r.effective_date,
+							effective_date_duration: r.effective_date_duration,
+							end_date: r.end_date,
+							end_date_duration: r.end_date_duration,
+					  }))
+					: [],
+			};
+		});
+		return this.paginate(url, entries);
+	}
+
+	handleWorkSchedules() {
+		return { body: this.fixtures.workSchedules || [] };
+	}
+
+	handleWorkflowDashboard({ url }) {
+		const items = this.fixtures.employees.map((emp) => ({
+			id: emp.id,
+			system_id: emp.system_id,
+			full_name: emp.full_name,
+			all_tasks_count: 0,
+			completed_tasks_count: 0,
+			assigned_tasks_count: 0,
+			scheduled_tasks_count: 0,
+			progress_status: 1,
+			hired_date: emp.hired_date,
+			termination_date: emp.termination_date,
+			job: { position: null, location: null, department: null },
+			category_code: emp.termination_date ? 'offboarding' : 'onboarding',
+			category_value: emp.termination_date ? 'Offboarding' : 'Onboarding',
+		}));
+		return this.paginate(url, items);
+	}
+}
+
+/**
+ * @param {Object} [options] - See FakeOmniHRServer
+ * @returns {FakeOmniHRServer}
+ */
+function createFakeServer(options = {}) {
+	return new FakeOmniHRServer(options);
+}
+
+async function main() {
+	const args = process.argv.slice(2);
+	const readArg = (name) => {
+		const arg = args.find((a) => a.startsWith(`--${name}=`));
+		return arg ? arg.split('=')[1] : undefined;
+	};
+	const readNumber = (name) => {
+		const value = readArg(name);
+		return value === undefined ? undefined : Number(value);
+	};
+
+	const fake = createFakeServer({
+		seed: readNumber('seed'),
+		employeeCount: readNumber('employees'),
+		year: readNumber('year'),
+		subdomain: readArg('subdomain'),
+		tokenTtlSeconds: readNumber('token-ttl'),
+		rateLimitPerSecond: readNumber('rate-limit'),
+		latencyMs: readNumber('latency'),
+	});
+
+	const baseURL = await fake.listen(readNumber('port') || 4010);
+	console.log(`Fake OmniHR server listening on ${baseURL}`);
+	console.log(
+		`Serving ${fake.fixtures.employees.length} employees. Use:\n  OMNIHR_BASE_URL=${baseURL}`
+	);
+}
+
+if (require.main === module) {
+	main().catch((err) => {
+		console.error('Error:', err.message);
+		process.exit(1);
+	});
+}
+
+module.exports = { FakeOmniHRServer, createFakeServer };
@@ -0,0 +1,146 @@
+/**
+ * Accounting of the employees a run failed to fetch, and the threshold above
+ * which the run counts as failed. Failed employee records carry `error` (the
+ * message), `error_kind` (http, network or error) and `error_status` for HTTP
+ * errors.
+ */
+
+const DEFAULT_MAX_FAILURES = '0';
+
+/**
+ * @param {string|number} value - A number of employees ("3") or a share of
+ *   the employees processed ("10%")
+ * @returns {{ limit: number, percent: boolean }}
+ */
+function parseMaxFailures(value) {
+	const match = /^(\d+(?:\.\d+)?)(%?)$/.exec(String(value).trim());
+	const limit = match ? Number(match[1]) : NaN;
+	const percent = Boolean(match?.[2]);
+	if (
+		!match ||
+		(percent && limit > 100) ||
+		(!percent && !Number.isInteger(limit))
+	) {
+		throw new Error(
+			`Invalid failure threshold "${value}" (use a number of employees, e.g. 3, or a percentage, e.g. 10%)`
+		);
+	}
+	return { limit, percent };
+}
+
+/**
+ * @returns {{ limit: number, percent: boolean }} From OMNIHR_MAX_FAILURES,
+ *   no failures allowed by default
+ */
+function maxFailuresFromEnv() {
+	return parseMaxFailures(
+		process.env.OMNIHR_MAX_FAILURES || DEFAULT_MAX_FAILURES
+	);
+}
+
+/**
+ * @param {{ limit: number, percent: boolean }} maxFailures
+ * @returns {string} e.g. "3 employees" or "10%"
+ */
+function formatMaxFailures({ limit, percent }) {
+	if (percent) return `${limit}%`;
+	return limit === 1 ? '1 employee' : `${limit} employees`;
+}
+
+/**
+ * @param {Object} emp - Failed employee record
+ * @returns {string} e.g. "http 503", "network" or "error"
+ */
+function getFailureReason(emp) {
+	if (emp.error_status) return `http ${emp.error_status}`;
+	return emp.error_kind || 'error';
+}
+
+/**
+ * @param {Array<Object>} records - Employee records; failed ones carry `error`
+ * @returns {Object} { total, succeeded, failed, reasons }: `failed` lists
+ *   { tenant, user_id, employee_name, reason, error }, `reasons` counts them
+ *   per reason
+ */
+function summarizeFailures(records) {
+	const failed = records
+		.filter((emp) => emp.error)
+		.map((emp) => ({
+			...(emp.tenant && { tenant: emp.tenant }),
+			user_id: emp.user_id,
+			employee_name: emp.employee_name,
+			reason: getFailureReason(emp),
+			error: emp.error,
+		}));
+
+	const reasons = {};
+	for (const { reason } of failed) {
+		reasons[reason] = (reasons[reason] || 0) + 1;
+	}
+
+	return {
+		total: records.length,
+		succeeded: records.length - failed.length,
+		failed,
+		reasons,
+	};
+}
+
+/**
+ * @param {Object} failures - From summarizeFailures
+ * @param {{ limit: number, percent: boolean }} maxFailures
+ * @returns {boolean}
+ */
+function exceedsMaxFailures({ total, failed }, { limit, percent }) {
+	if (failed.length === 0) return false;
+	return percent
+		? (failed.length / total) * 100 > limit
+		: failed.length > limit;
+}
+
+class FailureThresholdError extends Error {
+	/**
+	 * @param {Object} failures - From summarizeFailures
+	 * @param {{ limit: number, percent: boolean }} maxFailures
+	 */
+	constructor(failures, maxFailures) {
+		const reasons = Object.entries(failures.reasons)
+			.map(([reason, count]) => `${reason}: ${count}`)
+			.join(', ');
+		super(
+			`${failures.failed.length} of ${
+				failures.total
+			} employees failed (${reasons}), more than the allowed ${formatMaxFailures(
+				maxFailures
+			)}`
+		);
+		this.name = 'FailureThresholdError';
+		this.failures = failures;
+	}
+}
+
+/**
+ * @param {Array<Object>} records - Employee records; failed ones carry `error`
+ * @param {{ limit: number, percent: boolean }} [maxFailures] - Defaults to
+ *   OMNIHR_MAX_FAILURES
+ * @returns {Object} From summarizeFailures
+ * @throws {FailureThresholdError} When more employees failed than allowed
+ */
+function checkFailureThreshold(records, maxFailures = maxFailuresFromEnv()) {
+	const failures = summarizeFailures(records);
+	if (exceedsMaxFailures(failures, maxFailures)) {
+		throw new FailureThresholdError(failures, maxFailures);
+	}
+	return failures;
+}
+
+module.exports = {
+	DEFAULT_MAX_FAILURES,
+	parseMaxFailures,
+	maxFailuresFromEnv,
+	formatMaxFailures,
+	summarizeFailures,
+	exceedsMaxFailures,
+	checkFailureThreshold,
+	FailureThresholdError,
+};
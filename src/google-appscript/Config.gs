@@ -34,10 +34,18 @@ const CONFIG = {
 	COLORS: {
 		FULL_DAY: '#FF0000', // Red for full day leave
 		HALF_DAY: '#FFA500', // Orange for half day leave
+		PENDING_FULL_DAY: '#F4CCCC', // Light red for pending full day leave
+		PENDING_HALF_DAY: '#FCE5CD', // Light orange for pending half day leave
 		WEEKEND: '#D3D3D3', // Light grey for weekend
 		HOLIDAY: '#FF0000', // Red for public holidays
 	},
 
+	// Leave statuses
+	// OmniHR codes: 1=pending, 3=approved, 4=rejected, 5=cancelled. Pending leave
+	// is synced so planners see likely absences, in the lighter pending colors.
+	LEAVE_STATUSES: [1, 3],
+	PENDING_STATUS: 1,
+
 	// Hours
 	// Standardized hour definitions ensure accurate capacity calculations
 	// and consistent leave processing across the entire system.
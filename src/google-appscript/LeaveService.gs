@@ -84,8 +84,10 @@ function fetchLeaveDataForMonth(token, employees, month, year) {
 			const empName = data.empName;
 			const calendar = data.calendar || {};
 
-			// Include all leave requests regardless of status
-			const allRequests = calendar.time_off_request || [];
+			// Include leave requests with a status listed in CONFIG.LEAVE_STATUSES
+			const allRequests = (calendar.time_off_request || []).filter((r) =>
+				CONFIG.LEAVE_STATUSES.includes(r.status),
+			);
 
 			if (allRequests.length === 0) continue;
 
@@ -250,6 +252,8 @@ function updateSheetWithLeaveData(
 
 	const fullDayCells = [];
 	const halfDayCellsMap = {};
+	const pendingFullDayCells = [];
+	const pendingHalfDayCellsMap = {};
 	let matchedEmployees = 0;
 
 	for (const [key, empData] of Object.entries(leaveData)) {
@@ -313,7 +317,17 @@ function updateSheetWithLeaveData(
 				continue;
 			}
 
-			assignLeaveCells(leave, activeRows, col, fullDayCells, halfDayCellsMap);
+			if (leave.status === CONFIG.PENDING_STATUS) {
+				assignLeaveCells(
+					leave,
+					activeRows,
+					col,
+					pendingFullDayCells,
+					pendingHalfDayCellsMap,
+				);
+			} else {
+				assignLeaveCells(leave, activeRows, col, fullDayCells, halfDayCellsMap);
+			}
 		}
 	}
 
@@ -343,6 +357,15 @@ function updateSheetWithLeaveData(
 		}
 	}
 
+	applyPendingLeaveCells(
+		sheet,
+		pendingFullDayCells,
+		Object.entries(pendingHalfDayCellsMap).map(([cell, value]) => ({
+			cell,
+			value: parseFloat(value),
+		})),
+	);
+
 	// Calculate and update Total Days Off (column I) per employee row
 	// Total leave is counted once per person; then divided by number of sheet rows (projects) for that person
 	// e.g. Khalilah has 5 days leave and 2 project rows -> each row shows 2.5
@@ -415,7 +438,12 @@ function updateSheetWithLeaveData(
 	}
 
 	// Add conditional formatting
-	const newLeaveCells = [...fullDayCells, ...Object.keys(halfDayCellsMap)];
+	const newLeaveCells = [
+		...fullDayCells,
+		...Object.keys(halfDayCellsMap),
+		...pendingFullDayCells,
+		...Object.keys(pendingHalfDayCellsMap),
+	];
 	const existingLeaveCells = scanForLeaveCells(sheet, dayColumns);
 	const allLeaveCells = [...new Set([...newLeaveCells, ...existingLeaveCells])];
 	Logger.log(
@@ -427,7 +455,7 @@ function updateSheetWithLeaveData(
 
 	Logger.log(
 		`Matched ${matchedEmployees} employees, updated ${
-			fullDayCells.length + halfDayCellEntries.length
+			newLeaveCells.length
 		} cells`,
 	);
 }
@@ -487,6 +515,8 @@ function applyLeaveColorsToSheet(sheet, leaveData, month, year) {
 
 	const fullDayCells = [];
 	const halfDayCells = [];
+	const pendingFullDayCells = [];
+	const pendingHalfDayCells = [];
 	let matchedEmployees = 0;
 
 	for (const [key, empData] of Object.entries(leaveData)) {
@@ -531,12 +561,13 @@ function applyLeaveColorsToSheet(sheet, leaveData, month, year) {
 			const activeRows = getActiveRows(sheet, rows, overrideCol, leave.date);
 			if (activeRows.length === 0) continue;
 
+			const isPending = leave.status === CONFIG.PENDING_STATUS;
 			assignLeaveCellsWithObjects(
 				leave,
 				activeRows,
 				col,
-				fullDayCells,
-				halfDayCells,
+				isPending ? pendingFullDayCells : fullDayCells,
+				isPending ? pendingHalfDayCells : halfDayCells,
 			);
 		}
 	}
@@ -563,8 +594,12 @@ function applyLeaveColorsToSheet(sheet, leaveData, month, year) {
 		}
 	}
 
+	applyPendingLeaveCells(sheet, pendingFullDayCells, pendingHalfDayCells);
+
 	Logger.log(
-		`Applied leave colors: ${matchedEmployees} employees, ${fullDayCells.length} full-day, ${halfDayCells.length} half-day`,
+		`Applied leave colors: ${matchedEmployees} employees, ${fullDayCells.length} full-day, ${halfDayCells.length} half-day, ${
+			pendingFullDayCells.length + pendingHalfDayCells.length
+		} pending`,
 	);
 }
 
@@ -267,6 +267,21 @@ function findEmployeeRows(
 	return [];
 }
 
+/**
+ * Check if a background color marks a leave cell, approved or pending
+ * @param {string} background - Cell background color
+ * @returns {boolean} True if leave color
+ */
+function isLeaveColor(background) {
+	const bg = String(background || '').toUpperCase();
+	return [
+		CONFIG.COLORS.FULL_DAY,
+		CONFIG.COLORS.HALF_DAY,
+		CONFIG.COLORS.PENDING_FULL_DAY,
+		CONFIG.COLORS.PENDING_HALF_DAY,
+	].some((color) => color.toUpperCase() === bg);
+}
+
 /**
  * Scan sheet for existing leave cells by background color
  * @param {Sheet} sheet - The sheet
@@ -290,14 +305,9 @@ function scanForLeaveCells(sheet, dayColumns) {
 	const range = sheet.getRange(CONFIG.FIRST_DATA_ROW, minCol, numRows, numCols);
 	const backgrounds = range.getBackgrounds();
 
-	const fullDayColor = CONFIG.COLORS.FULL_DAY.toUpperCase();
-	const halfDayColor = CONFIG.COLORS.HALF_DAY.toUpperCase();
-
 	for (let rowIdx = 0; rowIdx < numRows; rowIdx++) {
 		for (let colIdx = 0; colIdx < numCols; colIdx++) {
-			const bg = backgrounds[rowIdx][colIdx].toUpperCase();
-
-			if (bg === fullDayColor || bg === halfDayColor) {
+			if (isLeaveColor(backgrounds[rowIdx][colIdx])) {
 				const col = minCol + colIdx;
 				const row = CONFIG.FIRST_DATA_ROW + rowIdx;
 				const cellA1 = columnToLetter(col) + row;
@@ -370,9 +380,6 @@ function clearLeaveCellsRespectingOverride(
 		colToDayStr[col] = dayStr;
 	}
 
-	const fullDayColor = CONFIG.COLORS.FULL_DAY.toUpperCase();
-	const halfDayColor = CONFIG.COLORS.HALF_DAY.toUpperCase();
-
 	let clearedCount = 0;
 	let skippedInactiveCount = 0;
 
@@ -391,10 +398,8 @@ function clearLeaveCellsRespectingOverride(
 			teamData[rowIdx].toString().toLowerCase() === 'operations';
 
 		for (let colIdx = 0; colIdx < numCols; colIdx++) {
-			const bg = backgrounds[rowIdx][colIdx].toUpperCase();
-
 			// Only process cells with leave colors
-			if (bg !== fullDayColor && bg !== halfDayColor) continue;
+			if (!isLeaveColor(backgrounds[rowIdx][colIdx])) continue;
 
 			const col = minCol + colIdx;
 			const dayStr = colToDayStr[col];
@@ -670,8 +675,6 @@ function setOperationsDefaultHours(
 	const values = range.getValues();
 	const backgrounds = range.getBackgrounds();
 
-	const fullDayColor = CONFIG.COLORS.FULL_DAY.toUpperCase();
-	const halfDayColor = CONFIG.COLORS.HALF_DAY.toUpperCase();
 	const weekendColor = '#EFEFEF';
 	const holidayColor = '#FFCCCB';
 
@@ -720,8 +723,7 @@ function setOperationsDefaultHours(
 			}
 
 			// Check if cell has leave color (don't overwrite leave cells)
-			const bg = backgrounds[rowIdx][colIdx].toUpperCase();
-			if (bg === fullDayColor || bg === halfDayColor) continue;
+			if (isLeaveColor(backgrounds[rowIdx][colIdx])) continue;
 
 			// Update if current value is empty, null, or 0 (but not if it has leave color)
 			const currentValue = values[rowIdx][colIdx];
@@ -855,6 +857,33 @@ function getActiveRows(sheet, rows, overrideCol, leaveDate) {
 	});
 }
 
+/**
+ * Apply pending leave values and the lighter pending colors
+ * @param {Sheet} sheet - The sheet
+ * @param {Array} fullDayCells - Pending full-day cell A1 notations
+ * @param {Array} halfDayCells - Pending half-day cells with {cell, value}
+ */
+function applyPendingLeaveCells(sheet, fullDayCells, halfDayCells) {
+	if (fullDayCells.length > 0) {
+		Logger.log(
+			`Applying pending full-day leave to ${fullDayCells.length} cells (light red)`,
+		);
+		const fullDayRanges = sheet.getRangeList(fullDayCells);
+		fullDayRanges.setValue(0);
+		fullDayRanges.setBackground(CONFIG.COLORS.PENDING_FULL_DAY);
+		fullDayRanges.setFontColor('#000000');
+		fullDayRanges.setFontWeight('bold');
+	}
+
+	for (const { cell, value } of halfDayCells) {
+		const range = sheet.getRange(cell);
+		range.setValue(value);
+		range.setBackground(CONFIG.COLORS.PENDING_HALF_DAY);
+		range.setFontColor('#000000');
+		range.setFontWeight('bold');
+	}
+}
+
 /**
  * Assign leave cells to full-day or half-day collections
  * @param {Object} leave - Leave object with is_half_day flag
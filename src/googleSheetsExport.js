@@ -0,0 +1,309 @@
+/**
+ * Writers for `omnihr export`: leave days and leave balances as CSV files or
+ * as Google Sheets tabs.
+ *
+ * Both formats share one row layout. Leave rows take one month of data, as
+ * sliced by sliceLeaveDataByMonth; balance rows take the employee records
+ * as fetched. Uploads replace the whole tab, which is created when missing.
+ * The Sheets API is called with a service account key (the JSON file
+ * downloaded from Google Cloud), and the spreadsheet must be shared with the
+ * account's client_email.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { toISODate } = require('./leavePeriods');
+const { logger } = require('./logger');
+
+const SHEETS_API = 'https://sheets.googleapis.com/v4/spreadsheets';
+const SHEETS_SCOPE = 'https://www.googleapis.com/auth/spreadsheets';
+const DEFAULT_TOKEN_URI = 'https://oauth2.googleapis.com/token';
+
+// Renew the access token this long before it expires
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+const LEAVE_HEADERS = [
+	'Employee ID',
+	'Employee Name',
+	'Date',
+	'Leave Type',
+	'Status',
+	'Period',
+	'Hours',
+	'Request ID',
+];
+
+const BALANCE_HEADERS = [
+	'Employee ID',
+	'Employee Name',
+	'Leave Type',
+	'Entitlement',
+	'Taken',
+	'Remaining',
+];
+
+/**
+ * One row per leave day, by employee and date. Failed employees have no rows.
+ * @param {Array<Object>} monthData - From sliceLeaveDataByMonth
+ * @param {number} month - 0-indexed month
+ * @param {number} year
+ * @returns {Array<Array>} Header row first
+ */
+function leaveRows(monthData, month, year) {
+	const rows = [];
+	for (const emp of monthData) {
+		const days = [...(emp.leave_requests || [])].sort((a, b) => a.day - b.day);
+		for (const leave of days) {
+			rows.push([
+				emp.employee_id || '',
+				emp.employee_name,
+				toISODate(new Date(year, month, leave.day)),
+				leave.leave_type,
+				leave.status || 'approved',
+				leave.period || (leave.is_half_day ? 'half' : 'full'),
+				leave.hours ?? '',
+				leave.request_id ?? '',
+			]);
+		}
+	}
+	return [LEAVE_HEADERS, ...rows];
+}
+
+/**
+ * One row per employee and leave type, as OmniHR reports the balance
+ * @param {Array<Object>} leaveData - Employee records from getAllLeaveData
+ * @returns {Array<Array>} Header row first
+ */
+function balanceRows(leaveData) {
+	const rows = [];
+	for (const emp of leaveData) {
+		for (const balance of emp.leave_balances || []) {
+			rows.push([
+				emp.employee_id || '',
+				emp.employee_name,
+				balance.leave_type,
+				balance.entitlement,
+				balance.taken,
+				balance.remaining,
+			]);
+		}
+	}
+	return [BALANCE_HEADERS, ...rows];
+}
+
+/**
+ * @param {*} value
+ * @returns {string} Quoted when it holds a comma, quote or line break
+ */
+function csvField(value) {
+	const text = value === null || value === undefined ? '' : String(value);
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {string} filePath
+ * @param {Array<Array>} rows
+ */
+function writeCSV(filePath, rows) {
+	const lines = rows.map((row) => row.map(csvField).join(','));
+	fs.writeFileSync(filePath, `${lines.join('\n')}\n`);
+}
+
+/**
+ * @param {Array<Object>} monthData - From sliceLeaveDataByMonth
+ * @param {number} month - 0-indexed month
+ * @param {number} year
+ * @param {string} filePath
+ */
+function exportToCSV(monthData, month, year, filePath) {
+	writeCSV(filePath, leaveRows(monthData, month, year));
+}
+
+/**
+ * @param {Array<Object>} leaveData - Employee records from getAllLeaveData
+ * @param {string} filePath
+ */
+function exportBalancesToCSV(leaveData, filePath) {
+	writeCSV(filePath, balanceRows(leaveData));
+}
+
+class GoogleSheetsExporter {
+	/**
+	 * @param {string} credentialsPath - Service account key JSON
+	 * @param {Object} [options]
+	 * @param {Function} [options.fetch] - fetch implementation
+	 */
+	constructor(credentialsPath, options = {}) {
+		this.credentialsPath = credentialsPath;
+		this.fetch = options.fetch || fetch;
+		this.credentials = null;
+		this.token = null;
+		this.tokenExpiresAt = null;
+	}
+
+	/**
+	 * Read the service account key and get the first access token
+	 */
+	async initialize() {
+		if (!fs.existsSync(this.credentialsPath)) {
+			throw new Error(
+				`Google credentials not found: ${this.credentialsPath} (use --credentials)`
+			);
+		}
+		const credentials = JSON.parse(
+			fs.readFileSync(this.credentialsPath, 'utf8')
+		);
+		if (!credentials.client_email || !credentials.private_key) {
+			throw new Error(
+				`${this.credentialsPath} is not a service account key (client_email and private_key are required)`
+			);
+		}
+		this.credentials = credentials;
+		await this.getToken();
+	}
+
+	/**
+	 * Sign a JWT assertion for the service account and exchange it for an
+	 * access token
+	 * @returns {Promise<string>}
+	 */
+	async login() {
+		const { client_email: email, private_key: key } = this.credentials;
+		const tokenUri = this.credentials.token_uri || DEFAULT_TOKEN_URI;
+		const now = Math.floor(Date.now() / 1000);
+		const encode = (part) =>
+			Buffer.from(JSON.stringify(part)).toString('base64url');
+		const unsigned = `${encode({ alg: 'RS256', typ: 'JWT' })}.${encode({
+			iss: email,
+			scope: SHEETS_SCOPE,
+			aud: tokenUri,
+			iat: now,
+			exp: now + 3600,
+		})}`;
+		const signature = crypto
+			.sign('RSA-SHA256', Buffer.from(unsigned), key)
+			.toString('base64url');
+
+		const response = await this.fetch(tokenUri, {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+			body: new URLSearchParams({
+				grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+				assertion: `${unsigned}.${signature}`,
+			}).toString(),
+		});
+		const responseText = await response.text();
+		if (!response.ok) {
+			throw new Error(
+				`Google login failed with status ${response.status}: ${responseText}`
+			);
+		}
+
+		const data = JSON.parse(responseText);
+		this.token = data.access_token;
+		this.tokenExpiresAt = Date.now() + (data.expires_in || 3600) * 1000;
+		return this.token;
+	}
+
+	async getToken() {
+		if (this.token && this.tokenExpiresAt - TOKEN_EXPIRY_MARGIN_MS > Date.now()) {
+			return this.token;
+		}
+		return this.login();
+	}
+
+	/**
+	 * @param {string} method
+	 * @param {string} url - Relative to the Sheets API
+	 * @param {Object} [body]
+	 * @returns {Promise<Object>}
+	 */
+	async request(method, url, body) {
+		const response = await this.fetch(`${SHEETS_API}/${url}`, {
+			method,
+			headers: {
+				Authorization: `Bearer ${await this.getToken()}`,
+				'Content-Type': 'application/json',
+			},
+			body: body === undefined ? undefined : JSON.stringify(body),
+		});
+		const responseText = await response.text();
+		if (!response.ok) {
+			const err = new Error(
+				`Google Sheets ${method} failed with status ${response.status}: ${responseText}`
+			);
+			err.status = response.status;
+			throw err;
+		}
+		return responseText ? JSON.parse(responseText) : {};
+	}
+
+	/**
+	 * Create the tab unless the spreadsheet already has it
+	 * @param {string} spreadsheetId
+	 * @param {string} sheetName
+	 */
+	async ensureSheet(spreadsheetId, sheetName) {
+		const spreadsheet = await this.request(
+			'GET',
+			`${spreadsheetId}?fields=sheets.properties.title`
+		);
+		const exists = (spreadsheet.sheets || []).some(
+			(sheet) => sheet.properties.title === sheetName
+		);
+		if (exists) return;
+
+		logger.info(`Creating sheet "${sheetName}"`);
+		await this.request('POST', `${spreadsheetId}:batchUpdate`, {
+			requests: [{ addSheet: { properties: { title: sheetName } } }],
+		});
+	}
+
+	/**
+	 * Replace the contents of a tab with rows
+	 * @param {string} spreadsheetId
+	 * @param {string} sheetName
+	 * @param {Array<Array>} rows
+	 */
+	async replaceSheet(spreadsheetId, sheetName, rows) {
+		await this.ensureSheet(spreadsheetId, sheetName);
+		const range = encodeURIComponent(`'${sheetName.replace(/'/g, "''")}'`);
+		await this.request('POST', `${spreadsheetId}/values/${range}:clear`, {});
+		await this.request(
+			'PUT',
+			`${spreadsheetId}/values/${range}?valueInputOption=RAW`,
+			{ values: rows }
+		);
+		logger.info(`Wrote ${rows.length - 1} rows to "${sheetName}"`);
+	}
+
+	/**
+	 * @param {string} spreadsheetId
+	 * @param {string} sheetName
+	 * @param {Array<Object>} monthData - From sliceLeaveDataByMonth
+	 * @param {number} month - 0-indexed month
+	 * @param {number} year
+	 */
+	async uploadLeaveData(spreadsheetId, sheetName, monthData, month, year) {
+		await this.replaceSheet(
+			spreadsheetId,
+			sheetName,
+			leaveRows(monthData, month, year)
+		);
+	}
+
+	/**
+	 * @param {string} spreadsheetId
+	 * @param {string} sheetName
+	 * @param {Array<Object>} leaveData - Employee records from getAllLeaveData
+	 */
+	async uploadLeaveBalances(spreadsheetId, sheetName, leaveData) {
+		await this.replaceSheet(spreadsheetId, sheetName, balanceRows(leaveData));
+	}
+}
+
+module.exports = {
+	exportToCSV,
+	exportBalancesToCSV,
+	GoogleSheetsExporter,
+};
@@ -0,0 +1,399 @@
+/**
+ * Leave approval for managers.
+ *
+ * Lists the time-off requests waiting for approval, optionally narrowed to a
+ * team or an approver, shows which colleagues in the requester's teams have
+ * approved leave on the same days, and approves or rejects selected requests.
+ * Every decision, including dry runs and refusals, is appended to an audit
+ * log as one JSON line.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const LeaveService = require('./leaveService');
+const { parseApiDate, toISODate } = require('./leavePeriods');
+const { loadScheduleOverrides } = require('./workSchedules');
+
+const PENDING_APPROVALS_PATH = '/time-off/1.2/time-off-approvals/pending/';
+
+const DEFAULT_AUDIT_LOG = path.join(__dirname, 'data', 'approvals-audit.jsonl');
+
+const ACTIONS = ['approve', 'reject'];
+
+/**
+ * @param {Object} approval - TimeOffApprovalWithLastApproval
+ * @returns {Object} Pending request in the shape used by this module
+ */
+function toPendingRequest(approval) {
+	const request = approval.time_off_request || {};
+	const from = parseApiDate(request.effective_date);
+	return {
+		approval_id: approval.id,
+		request_id: request.id,
+		user_id: request.user?.id,
+		employee_name: request.user?.full_name || `User ${request.user?.id}`,
+		leave_type: request.time_off_type?.name,
+		from,
+		to: parseApiDate(request.end_date) || from,
+		days: parseFloat(request.payload) || null,
+		remark: request.remark || '',
+		approver_user_id: approval.approver_user_id,
+		can_approve: approval.actions?.can_approve !== false,
+		can_reject: approval.actions?.can_reject !== false,
+	};
+}
+
+/**
+ * @param {OmniHRAPIClient} client
+ * @returns {Promise<Array>} Pending requests, oldest leave first
+ */
+async function fetchPendingRequests(client) {
+	const approvals = await client.collectAll(PENDING_APPROVALS_PATH);
+	return approvals
+		.map(toPendingRequest)
+		.filter((request) => request.request_id && request.from)
+		.sort((a, b) => a.from - b.from || a.request_id - b.request_id);
+}
+
+/**
+ * Every team with its members, or only the team given by id or name
+ * @param {OmniHRAPIClient} client
+ * @param {string} [teamFilter]
+ * @returns {Promise<Array>} { id, name, members: Array } objects
+ */
+async function fetchTeams(client, teamFilter) {
+	let teams = await client.collectAll('/organization/team/');
+
+	if (teamFilter !== undefined) {
+		const wanted = String(teamFilter).trim().toLowerCase();
+		const team = teams.find(
+			(t) => String(t.id) === wanted || t.name.toLowerCase() === wanted
+		);
+		if (!team) {
+			throw new Error(
+				`Unknown team "${teamFilter}" (teams: ${teams
+					.map((t) => t.name)
+					.join(', ')})`
+			);
+		}
+		teams = [team];
+	}
+
+	const result = [];
+	for (const team of teams) {
+		const members = await client.collectAll('/employee/list/', {
+			team: team.id,
+		});
+		result.push({ id: team.id, name: team.name, members });
+	}
+	return result;
+}
+
+/**
+ * @param {Array} requests - Pending requests
+ * @param {Object} filters
+ * @param {Array} [filters.teams] - From fetchTeams, when filtering by team
+ * @param {string} [filters.approver] - Approver user id or full name
+ * @param {Array} [filters.employees] - Employee list, to resolve approver names
+ * @returns {Array} Requests matching every filter
+ */
+function filterPendingRequests(requests, { teams, approver, employees = [] }) {
+	let filtered = requests;
+
+	if (teams) {
+		const members = new Set(
+			teams.flatMap((t) => t.members.map((m) => String(m.id)))
+		);
+		filtered = filtered.filter((r) => members.has(String(r.user_id)));
+	}
+
+	if (approver !== undefined) {
+		const wanted = String(approver).trim().toLowerCase();
+		const ids = new Set([
+			wanted,
+			...employees
+				.filter((e) => (e.full_name || '').toLowerCase() === wanted)
+				.map((e) => String(e.id)),
+		]);
+		filtered = filtered.filter((r) => ids.has(String(r.approver_user_id)));
+	}
+
+	return filtered;
+}
+
+/**
+ * Approved leave of the requester's teammates on the days of each request.
+ * Each teammate's calendar is fetched once, over the span of all requests.
+ * @param {LeaveService} leaveService
+ * @param {Array} requests - Pending requests
+ * @param {Array} teams - From fetchTeams
+ * @returns {Promise<Map>} request_id -> Array of { employee_name, dates }
+ */
+async function findOverlaps(leaveService, requests, teams) {
+	const overlaps = new Map(requests.map((r) => [r.request_id, []]));
+	if (requests.length === 0) return overlaps;
+
+	const from = new Date(Math.min(...requests.map((r) => r.from)));
+	const to = new Date(Math.max(...requests.map((r) => r.to)));
+	const leaveByUser = new Map();
+
+	const approvedLeave = async (member) => {
+		const userId = leaveService.getUserId(member);
+		if (!leaveByUser.has(userId)) {
+			const calendar = await leaveService.getUserTimeOffCalendar(
+				userId,
+				from,
+				to
+			);
+			const schedule = await leaveService.resolveWorkSchedule(
+				{ employeeName: leaveService.getEmployeeName(member) },
+				calendar
+			);
+			leaveByUser.set(
+				userId,
+				leaveService.processCalendarResponse(
+					calendar,
+					from,
+					to,
+					undefined,
+					schedule,
+					['approved']
+				)
+			);
+		}
+		return leaveByUser.get(userId);
+	};
+
+	for (const request of requests) {
+		const first = toISODate(request.from);
+		const last = toISODate(request.to);
+		const teammates = new Map();
+		for (const team of teams) {
+			if (!team.members.some((m) => String(m.id) === String(request.user_id))) {
+				continue;
+			}
+			for (const member of team.members) {
+				if (String(member.id) !== String(request.user_id)) {
+					teammates.set(String(member.id), member);
+				}
+			}
+		}
+
+		for (const member of teammates.values()) {
+			const dates = (await approvedLeave(member))
+				.map((leave) => leave.date)
+				.filter((date) => date >= first && date <= last);
+			if (dates.length > 0) {
+				overlaps.get(request.request_id).push({
+					employee_name: leaveService.getEmployeeName(member),
+					dates: [...new Set(dates)],
+				});
+			}
+		}
+	}
+
+	return overlaps;
+}
+
+/**
+ * Appends decisions to a JSON Lines file, one entry per action as it happens
+ */
+class AuditLog {
+	/**
+	 * @param {string} [filePath] - Defaults to OMNIHR_APPROVAL_AUDIT_LOG or
+	 *   src/data/approvals-audit.jsonl
+	 */
+	constructor(filePath) {
+		this.filePath = path.resolve(
+			filePath || process.env.OMNIHR_APPROVAL_AUDIT_LOG || DEFAULT_AUDIT_LOG
+		);
+	}
+
+	/**
+	 * @param {Object} entry
+	 */
+	append(entry) {
+		fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+		fs.appendFileSync(
+			this.filePath,
+			`${JSON.stringify({ timestamp: new Date().toISOString(), ...entry })}\n`
+		);
+	}
+}
+
+/**
+ * Approve or reject requests. Requests that are not in `requests` (no longer
+ * pending, or filtered out) and actions the approver may not take are refused.
+ * @param {OmniHRAPIClient} client
+ * @param {Array} requests - Pending requests, after filtering
+ * @param {Map} decisions - request_id -> 'approve' or 'reject'
+ * @param {Object} options
+ * @param {AuditLog} options.auditLog
+ * @param {boolean} [options.dryRun=false] - Log what would be done, change nothing
+ * @param {string} [options.tenant] - Tenant name for the audit log
+ * @param {string} [options.actor] - Who ran the command, for the audit log
+ * @returns {Promise<Array>} One result per decision: { request_id, action, outcome, error }
+ */
+async function applyDecisions(client, requests, decisions, options) {
+	const { auditLog, dryRun = false, tenant, actor } = options;
+	const byId = new Map(requests.map((r) => [String(r.request_id), r]));
+	const results = [];
+
+	for (const [requestId, action] of decisions) {
+		if (!ACTIONS.includes(action)) {
+			throw new Error(`Unknown action "${action}" (use approve or reject)`);
+		}
+
+		const request = byId.get(String(requestId));
+		let outcome = 'done';
+		let error;
+
+		if (!request) {
+			outcome = 'refused';
+			error = 'Not a pending request in the current selection';
+		} else if (!request[action === 'approve' ? 'can_approve' : 'can_reject']) {
+			outcome = 'refused';
+			error = `Not permitted to ${action}`;
+		} else if (dryRun) {
+			outcome = 'dry-run';
+		} else {
+			const endpoint = `/employee/${request.user_id}/time-off-request/${request.request_id}/${action}/`;
+			try {
+				if (action === 'approve') await client.put(endpoint);
+				else await client.delete(endpoint);
+			} catch (err) {
+				outcome = 'failed';
+				error = err.message;
+			}
+		}
+
+		const result = {
+			request_id: Number(requestId),
+			action,
+			outcome,
+			...(error && { error }),
+		};
+		auditLog.append({
+			...(tenant && { tenant }),
+			...(actor && { actor }),
+			...result,
+			...(request && {
+				user_id: request.user_id,
+				employee_name: request.employee_name,
+				leave_type: request.leave_type,
+				from: toISODate(request.from),
+				to: toISODate(request.to),
+				days: request.days,
+			}),
+		});
+		results.push(result);
+	}
+
+	return results;
+}
+
+/**
+ * @param {Array} requests - Pending requests
+ * @param {Map} overlaps - From findOverlaps
+ * @returns {string} Plain-text listing for the terminal
+ */
+function formatPendingRequests(requests, overlaps) {
+	if (requests.length === 0) return 'No pending leave requests.';
+
+	const lines = [`Pending leave requests (${requests.length}):`];
+	for (const r of requests) {
+		const range =
+			r.from.getTime() === r.to.getTime()
+				? toISODate(r.from)
+				: `${toISODate(r.from)} to ${toISODate(r.to)}`;
+		const days = r.days !== null ? ` (${r.days} days)` : '';
+		lines.push(
+			`  #${r.request_id}  ${r.employee_name}  ${r.leave_type}  ${range}${days}  approver ${r.approver_user_id}`
+		);
+		if (r.remark) lines.push(`      remark: ${r.remark}`);
+		for (const o of overlaps.get(r.request_id) || []) {
+			lines.push(`      overlaps ${o.employee_name}: ${o.dates.join(', ')}`);
+		}
+	}
+	return lines.join('\n');
+}
+
+/**
+ * List pending requests and apply decisions for one tenant
+ * @param {Object} [options]
+ * @param {Object} [options.tenant] - Profile from profiles.js, or the OMNIHR_* env
+ * @param {Object} [options.cache] - Response cache options, see OmniHRAPIClient
+ * @param {string} [options.team] - Team id or name
+ * @param {string} [options.approver] - Approver user id or full name
+ * @param {Function} [options.decide] - Given the filtered pending requests,
+ *   returns a Map of request_id -> 'approve' or 'reject'
+ * @param {boolean} [options.dryRun=false]
+ * @param {string} [options.auditLogPath] - See AuditLog
+ * @param {string} [options.workSchedules] - Schedule overrides file, see workSchedules.js
+ * @returns {Promise<Object>} { requests, overlaps, results, auditLogPath }
+ */
+async function reviewLeaveRequests(options = {}) {
+	const {
+		tenant = null,
+		cache,
+		team,
+		approver,
+		decide = () => new Map(),
+		dryRun = false,
+		auditLogPath,
+		workSchedules,
+	} = options;
+
+	const leaveService = new LeaveService({
+		tenant,
+		cache,
+		scheduleOverrides: loadScheduleOverrides(
+			tenant?.workSchedules || workSchedules
+		),
+	});
+	const client = leaveService.apiClient;
+
+	const [pending, teams] = await Promise.all([
+		fetchPendingRequests(client),
+		fetchTeams(client, team),
+	]);
+	const employees =
+		approver !== undefined ? await leaveService.getAllEmployees() : [];
+	const requests = filterPendingRequests(pending, {
+		teams: team !== undefined ? teams : undefined,
+		approver,
+		employees,
+	});
+	client.logger.info(
+		`Found ${requests.length} pending leave requests (${pending.length} before filters)`
+	);
+
+	const overlaps = await findOverlaps(leaveService, requests, teams);
+
+	const decisions = decide(requests);
+	const auditLog = new AuditLog(auditLogPath);
+	const results = await applyDecisions(client, requests, decisions, {
+		auditLog,
+		dryRun,
+		tenant: tenant?.name,
+		actor: client.auth.username,
+	});
+
+	return {
+		requests,
+		overlaps,
+		results,
+		auditLogPath: decisions.size > 0 ? auditLog.filePath : null,
+	};
+}
+
+module.exports = {
+	fetchPendingRequests,
+	fetchTeams,
+	filterPendingRequests,
+	findOverlaps,
+	applyDecisions,
+	formatPendingRequests,
+	reviewLeaveRequests,
+	AuditLog,
+};
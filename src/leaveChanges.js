@@ -0,0 +1,357 @@
+/**
+ * Change detection between sync runs.
+ *
+ * Each fetch compares its leave data with a snapshot of the previous runs,
+ * keyed by leave request id, and records which requests were added, modified
+ * or cancelled and which balances moved. The snapshot accumulates across runs:
+ * requests outside the fetched period are kept as they were, so fetching one
+ * month never reports another month's leave as cancelled.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { toDate, toISODate } = require('./leavePeriods');
+
+const DEFAULT_SNAPSHOT_DIR = path.join(__dirname, 'data', 'snapshots');
+const CHANGES_FILE = 'leave_changes.json';
+const SNAPSHOT_VERSION = 1;
+
+// Statuses that take a request off the calendar when fetched with --status=all
+const WITHDRAWN_STATUSES = ['cancelled', 'rejected'];
+
+const BALANCE_FIELDS = ['entitlement', 'taken', 'remaining'];
+
+/**
+ * One JSON snapshot per tenant
+ */
+class SnapshotStore {
+	/**
+	 * @param {Object} [options]
+	 * @param {string} [options.dir] - Defaults to OMNIHR_SNAPSHOT_DIR or src/data/snapshots
+	 * @param {string} [options.namespace='default'] - Tenant name
+	 */
+	constructor(options = {}) {
+		this.dir =
+			options.dir || process.env.OMNIHR_SNAPSHOT_DIR || DEFAULT_SNAPSHOT_DIR;
+		this.namespace = options.namespace || 'default';
+	}
+
+	/**
+	 * @returns {string}
+	 */
+	getFilePath() {
+		const name = this.namespace.replace(/[^\w.-]/g, '_');
+		return path.join(this.dir, `${name}.json`);
+	}
+
+	/**
+	 * @returns {Object|null} Snapshot of the previous runs, null before the first
+	 */
+	load() {
+		const file = this.getFilePath();
+		if (!fs.existsSync(file)) return null;
+
+		const snapshot = JSON.parse(fs.readFileSync(file, 'utf8'));
+		if (snapshot.version !== SNAPSHOT_VERSION) {
+			throw new Error(
+				`Snapshot ${file} has version ${snapshot.version}, expected ${SNAPSHOT_VERSION}; delete it to start over`
+			);
+		}
+		return snapshot;
+	}
+
+	/**
+	 * Write then rename, so an interrupted run keeps the previous snapshot
+	 * @param {Object} snapshot
+	 */
+	save(snapshot) {
+		const file = this.getFilePath();
+		const tmp = `${file}.${process.pid}.tmp`;
+		fs.mkdirSync(this.dir, { recursive: true });
+		fs.writeFileSync(tmp, JSON.stringify(snapshot, null, 2));
+		fs.renameSync(tmp, file);
+	}
+}
+
+/**
+ * @param {Object} emp - Employee record from getAllLeaveData
+ * @returns {string}
+ */
+function getEmployeeKey(emp) {
+	return emp.employee_id || `user:${emp.user_id}`;
+}
+
+/**
+ * Leave requests and balances of one fetch, in snapshot form
+ * @param {Array<Object>} leaveData - Employee records from getAllLeaveData
+ * @returns {{ requests: Object, balances: Object }}
+ */
+function buildSnapshot(leaveData) {
+	const requests = {};
+	const balances = {};
+
+	for (const emp of leaveData) {
+		if (emp.error) continue;
+		const employee = {
+			employee_key: getEmployeeKey(emp),
+			employee_id: emp.employee_id || null,
+			employee_name: emp.employee_name,
+		};
+
+		for (const leave of emp.leave_requests || []) {
+			const request = (requests[leave.request_id] ||= {
+				request_id: leave.request_id,
+				...employee,
+				leave_type: leave.leave_type,
+				status: leave.status || 'approved',
+				days: {},
+			});
+			request.days[leave.date] = {
+				period: leave.period || (leave.is_half_day ? 'am' : 'full'),
+				hours: leave.hours ?? null,
+			};
+		}
+
+		// Fetched without balances: keep the snapshot's, report no change
+		if (!emp.leave_balances) continue;
+		balances[employee.employee_key] = {
+			...employee,
+			types: Object.fromEntries(
+				emp.leave_balances.map((b) => [
+					b.leave_type,
+					Object.fromEntries(BALANCE_FIELDS.map((f) => [f, b[f] ?? null])),
+				])
+			),
+		};
+	}
+
+	return { requests, balances };
+}
+
+/**
+ * @param {Object} days - { YYYY-MM-DD: { period, hours } }
+ * @param {{ from: Date, to: Date }} period
+ * @param {boolean} inside - Keep the days inside the period, or outside it
+ * @returns {Object}
+ */
+function filterDays(days, { from, to }, inside) {
+	const first = toISODate(from);
+	const last = toISODate(to);
+	return Object.fromEntries(
+		Object.entries(days).filter(
+			([date]) => (date >= first && date <= last) === inside
+		)
+	);
+}
+
+/**
+ * @param {Object} before - Days of the previous snapshot
+ * @param {Object} after - Days of this fetch
+ * @returns {Object|null} { added, removed, changed } dates, null when equal
+ */
+function diffDays(before, after) {
+	const added = Object.keys(after).filter((date) => !before[date]);
+	const removed = Object.keys(before).filter((date) => !after[date]);
+	const changed = Object.keys(after).filter(
+		(date) =>
+			before[date] &&
+			(before[date].period !== after[date].period ||
+				before[date].hours !== after[date].hours)
+	);
+	if (added.length + removed.length + changed.length === 0) return null;
+	return { added, removed, changed };
+}
+
+/**
+ * Compare a fetch with the previous snapshot.
+ *
+ * Requests of employees whose fetch failed are left alone, so a failed
+ * request is never reported as cancelled. Only days inside the fetched period
+ * are compared.
+ * @param {Object|null} previous - From SnapshotStore.load
+ * @param {Array<Object>} leaveData - Employee records from getAllLeaveData
+ * @param {{ from: Date|string, to: Date|string }} period - The fetched period
+ * @returns {{ changes: Object, snapshot: Object }} The change log and the
+ *   snapshot to save for the next run
+ */
+function detectChanges(previous, leaveData, period) {
+	const range = { from: toDate(period.from), to: toDate(period.to) };
+	const current = buildSnapshot(leaveData);
+	const failed = new Set(
+		leaveData.filter((emp) => emp.error).map(getEmployeeKey)
+	);
+	const before = previous?.requests || {};
+	const requests = { added: [], modified: [], cancelled: [] };
+	const merged = {};
+
+	for (const [id, request] of Object.entries(before)) {
+		const outside = filterDays(request.days, range, false);
+		const inside = filterDays(request.days, range, true);
+		const now = current.requests[id];
+
+		if (now || failed.has(request.employee_key)) {
+			merged[id] = request;
+			continue;
+		}
+		if (Object.keys(inside).length > 0) {
+			requests.cancelled.push({ ...request, days: inside });
+		}
+		if (Object.keys(outside).length > 0) {
+			merged[id] = { ...request, days: outside };
+		}
+	}
+
+	for (const [id, request] of Object.entries(current.requests)) {
+		const old = before[id];
+		merged[id] = {
+			...request,
+			days: {
+				...(old ? filterDays(old.days, range, false) : {}),
+				...request.days,
+			},
+		};
+
+		if (!old) {
+			requests.added.push(request);
+			continue;
+		}
+
+		const fieldChanges = {};
+		for (const field of ['status', 'leave_type']) {
+			if (old[field] !== request[field]) {
+				fieldChanges[field] = { from: old[field], to: request[field] };
+			}
+		}
+		const days = diffDays(filterDays(old.days, range, true), request.days);
+		if (days) fieldChanges.days = days;
+		if (Object.keys(fieldChanges).length === 0) continue;
+
+		const entry = {
+			...request,
+			previous_days: filterDays(old.days, range, true),
+			changes: fieldChanges,
+		};
+		const withdrawn =
+			fieldChanges.status && WITHDRAWN_STATUSES.includes(request.status);
+		(withdrawn ? requests.cancelled : requests.modified).push(entry);
+	}
+
+	const balances = [];
+	for (const [key, employee] of Object.entries(current.balances)) {
+		const oldTypes = previous?.balances?.[key]?.types || {};
+		for (const [leaveType, values] of Object.entries(employee.types)) {
+			const changes = {};
+			for (const field of BALANCE_FIELDS) {
+				const from = oldTypes[leaveType]?.[field] ?? null;
+				if (from !== values[field]) {
+					changes[field] = { from, to: values[field] };
+				}
+			}
+			if (Object.keys(changes).length > 0) {
+				balances.push({
+					employee_id: employee.employee_id,
+					employee_name: employee.employee_name,
+					leave_type: leaveType,
+					changes,
+				});
+			}
+		}
+	}
+
+	const takenAt = new Date().toISOString();
+	return {
+		changes: {
+			since: previous?.takenAt || null,
+			until: takenAt,
+			period: { from: toISODate(range.from), to: toISODate(range.to) },
+			summary: {
+				added: requests.added.length,
+				modified: requests.modified.length,
+				cancelled: requests.cancelled.length,
+				balances: balances.length,
+			},
+			requests,
+			balances,
+		},
+		snapshot: {
+			version: SNAPSHOT_VERSION,
+			takenAt,
+			requests: merged,
+			balances: { ...previous?.balances, ...current.balances },
+		},
+	};
+}
+
+/**
+ * Merge the change logs of several tenants, tagging each entry
+ * @param {Array<{ tenant: string|null, changes: Object }>} logs
+ * @returns {Object} Change log in the detectChanges format
+ */
+function mergeChanges(logs) {
+	if (logs.length === 1 && !logs[0].tenant) return logs[0].changes;
+
+	const tag = (tenant, items) =>
+		items.map((item) => (tenant ? { tenant, ...item } : item));
+	const merged = {
+		since: logs[0].changes.since,
+		until: logs[logs.length - 1].changes.until,
+		period: logs[0].changes.period,
+		summary: { added: 0, modified: 0, cancelled: 0, balances: 0 },
+		requests: { added: [], modified: [], cancelled: [] },
+		balances: [],
+	};
+
+	for (const { tenant, changes } of logs) {
+		for (const kind of Object.keys(merged.requests)) {
+			merged.requests[kind].push(...tag(tenant, changes.requests[kind]));
+			merged.summary[kind] += changes.summary[kind];
+		}
+		merged.balances.push(...tag(tenant, changes.balances));
+		merged.summary.balances += changes.summary.balances;
+	}
+	return merged;
+}
+
+/**
+ * Add the changes of a later run to an earlier change log of the same period,
+ * e.g. a --retry-failed run to the run it retried
+ * @param {Object} earlier - Change log
+ * @param {Object} later - Change log
+ * @returns {Object} Change log covering both runs
+ */
+function appendChanges(earlier, later) {
+	const requests = {};
+	const summary = {};
+	for (const kind of Object.keys(earlier.requests)) {
+		requests[kind] = [...earlier.requests[kind], ...later.requests[kind]];
+	}
+	for (const key of Object.keys(earlier.summary)) {
+		summary[key] = earlier.summary[key] + later.summary[key];
+	}
+	return {
+		since: earlier.since,
+		until: later.until,
+		period: earlier.period,
+		summary,
+		requests,
+		balances: [...earlier.balances, ...later.balances],
+	};
+}
+
+/**
+ * @param {Object} changes - Change log
+ * @returns {string} e.g. "3 added, 1 modified, 0 cancelled, 4 balance changes"
+ */
+function formatChanges({ summary }) {
+	return `${summary.added} added, ${summary.modified} modified, ${summary.cancelled} cancelled, ${summary.balances} balance changes`;
+}
+
+module.exports = {
+	SnapshotStore,
+	buildSnapshot,
+	detectChanges,
+	mergeChanges,
+	appendChanges,
+	formatChanges,
+	CHANGES_FILE,
+};
@@ -0,0 +1,133 @@
+/**
+ * Colours of leave cells in the Excel output, per leave type.
+ *
+ * A palette file maps OmniHR leave type names to a colour for full days, or
+ * to { full, half } colours; a single colour gets a lighter tint of itself
+ * for half days. Types not in the file, and every type without a file, are
+ * red for full days and orange for half days. Pending leave is drawn hatched
+ * in the same colours.
+ *
+ *   { "Medical Leave": "#4A86E8", "Unpaid Leave": { "full": "#674EA7", "half": "#B4A7D6" } }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PALETTE_PATH = path.join(__dirname, '..', 'leave-palette.json');
+
+const DEFAULT_LEAVE_COLORS = { full: 'FFFF0000', half: 'FFFFA500' };
+
+const FONT_BLACK = 'FF000000';
+const FONT_WHITE = 'FFFFFFFF';
+
+/**
+ * @param {string} color - "#4A86E8", "4A86E8" or ARGB "FF4A86E8"
+ * @param {string} [source] - For the error message
+ * @returns {string} ARGB colour
+ */
+function toArgb(color, source = 'leave palette') {
+	const hex = String(color).trim().replace(/^#/, '').toUpperCase();
+	if (/^[0-9A-F]{6}$/.test(hex)) return `FF${hex}`;
+	if (/^[0-9A-F]{8}$/.test(hex)) return hex;
+	throw new Error(`${source}: invalid colour "${color}" (use #RRGGBB)`);
+}
+
+/**
+ * @param {string} argb
+ * @param {number} amount - 0 keeps the colour, 1 is white
+ * @returns {string} ARGB colour mixed with white
+ */
+function tint(argb, amount) {
+	const channels = [2, 4, 6].map((i) => {
+		const value = parseInt(argb.slice(i, i + 2), 16);
+		return Math.round(value + (255 - value) * amount)
+			.toString(16)
+			.padStart(2, '0');
+	});
+	return `FF${channels.join('')}`.toUpperCase();
+}
+
+/**
+ * @param {string} argb - Fill colour
+ * @returns {string} Black or white, whichever reads better on the fill
+ */
+function readableFont(argb) {
+	const [r, g, b] = [2, 4, 6].map((i) => parseInt(argb.slice(i, i + 2), 16));
+	const luminance = (0.2126 * r + 0.7152 * g + 0.0722 * b) / 255;
+	return luminance > 0.5 ? FONT_BLACK : FONT_WHITE;
+}
+
+/**
+ * @param {Object} raw - Parsed palette file
+ * @param {string} [source] - File name, for error messages
+ * @returns {Map} Lower-cased leave type -> { full, half } ARGB colours
+ */
+function parseLeavePalette(raw, source = 'leave palette') {
+	if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+		throw new Error(`${source}: expected an object keyed by leave type`);
+	}
+
+	const palette = new Map();
+	for (const [leaveType, value] of Object.entries(raw)) {
+		const pair = value && typeof value === 'object' ? value : { full: value };
+		const full = toArgb(pair.full, source);
+		const half =
+			pair.half !== undefined ? toArgb(pair.half, source) : tint(full, 0.5);
+		palette.set(leaveType.trim().toLowerCase(), { full, half });
+	}
+	return palette;
+}
+
+/**
+ * @param {string} [filePath] - Defaults to OMNIHR_LEAVE_PALETTE or
+ *   leave-palette.json in the project root
+ * @returns {Map} From parseLeavePalette, empty without a file
+ */
+function loadLeavePalette(filePath) {
+	const explicit = filePath || process.env.OMNIHR_LEAVE_PALETTE;
+	const file = path.resolve(explicit || DEFAULT_PALETTE_PATH);
+	if (!fs.existsSync(file)) {
+		if (explicit) throw new Error(`Leave palette file not found: ${file}`);
+		return new Map();
+	}
+	return parseLeavePalette(
+		JSON.parse(fs.readFileSync(file, 'utf8')),
+		path.basename(file)
+	);
+}
+
+/**
+ * @param {Map} palette - From loadLeavePalette
+ * @param {string} [leaveType]
+ * @returns {{ full: string, half: string }} ARGB colours
+ */
+function leaveColors(palette, leaveType) {
+	return (
+		palette.get(String(leaveType || '').trim().toLowerCase()) ||
+		DEFAULT_LEAVE_COLORS
+	);
+}
+
+/**
+ * @param {Map} palette - From loadLeavePalette
+ * @returns {Set<string>} Every colour a leave cell can have
+ */
+function paletteColors(palette) {
+	return new Set(
+		[DEFAULT_LEAVE_COLORS, ...palette.values()].flatMap(({ full, half }) => [
+			full,
+			half,
+		])
+	);
+}
+
+module.exports = {
+	DEFAULT_LEAVE_COLORS,
+	toArgb,
+	tint,
+	readableFont,
+	parseLeavePalette,
+	loadLeavePalette,
+	leaveColors,
+	paletteColors,
+};
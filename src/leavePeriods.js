@@ -0,0 +1,150 @@
+/**
+ * Date helpers for leave data spanning several months.
+ *
+ * LeaveService emits leave days with full ISO dates (YYYY-MM-DD). The Excel
+ * and CSV writers work one month at a time with day-of-month columns, so they
+ * slice the data per month first; sliced leave days and holidays carry `day`
+ * as well.
+ */
+
+/**
+ * @param {Date} date
+ * @returns {string} Local date as YYYY-MM-DD
+ */
+function toISODate(date) {
+	const year = date.getFullYear();
+	const month = String(date.getMonth() + 1).padStart(2, '0');
+	const day = String(date.getDate()).padStart(2, '0');
+	return `${year}-${month}-${day}`;
+}
+
+/**
+ * @param {string} value - YYYY-MM-DD
+ * @returns {Date|null} Local midnight, or null when invalid
+ */
+function parseISODate(value) {
+	const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+	if (!match) return null;
+	const [year, month, day] = match.slice(1).map(Number);
+	const date = new Date(year, month - 1, day);
+	return date.getMonth() === month - 1 ? date : null;
+}
+
+/**
+ * OmniHR sends most dates as DD/MM/YYYY and some as YYYY-MM-DD
+ * @param {string} value
+ * @returns {Date|null} Local midnight, or null when invalid
+ */
+function parseApiDate(value) {
+	const match = /^(\d{2})\/(\d{2})\/(\d{4})$/.exec(value || '');
+	if (!match) return parseISODate(value);
+	return parseISODate(`${match[3]}-${match[2]}-${match[1]}`);
+}
+
+/**
+ * @param {Date|string} value - Date or YYYY-MM-DD
+ * @returns {Date} Local midnight
+ */
+function toDate(value) {
+	if (value instanceof Date) {
+		return new Date(value.getFullYear(), value.getMonth(), value.getDate());
+	}
+	const date = parseISODate(value);
+	if (!date) throw new Error(`Invalid date "${value}", expected YYYY-MM-DD`);
+	return date;
+}
+
+/**
+ * @param {number} month - 0-indexed month
+ * @param {number} year
+ * @returns {{ from: Date, to: Date }} First and last day of the month
+ */
+function monthRange(month, year) {
+	return { from: new Date(year, month, 1), to: new Date(year, month + 1, 0) };
+}
+
+/**
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Array<{ month: number, year: number }>} Months touched by the range
+ */
+function monthsInRange(from, to) {
+	const months = [];
+	const cursor = new Date(from.getFullYear(), from.getMonth(), 1);
+	while (cursor <= to) {
+		months.push({ month: cursor.getMonth(), year: cursor.getFullYear() });
+		cursor.setMonth(cursor.getMonth() + 1);
+	}
+	return months;
+}
+
+/**
+ * Leave days falling in one month, each with its day of month as `day`.
+ * Files written before leave days had ISO dates hold a bare day number in
+ * `date`; those are taken to be in the requested month already.
+ * @param {Array<Object>} leaveDays - Leave day records
+ * @param {number} month - 0-indexed month
+ * @param {number} year
+ * @returns {Array<Object>}
+ */
+function sliceLeaveDaysByMonth(leaveDays, month, year) {
+	const prefix = toISODate(new Date(year, month, 1)).slice(0, 8);
+
+	return (leaveDays || []).flatMap((leave) => {
+		if (typeof leave.date === 'number') {
+			return [{ ...leave, day: leave.date }];
+		}
+		if (!String(leave.date).startsWith(prefix)) return [];
+		return [{ ...leave, day: Number(leave.date.slice(8, 10)) }];
+	});
+}
+
+/**
+ * Employee leave data restricted to one month, for the per-month writers
+ * @param {Array<Object>} leaveData - Employee records from getAllLeaveData
+ * @param {number} month - 0-indexed month
+ * @param {number} year
+ * @returns {Array<Object>} Copies with leave_requests and holidays sliced
+ *   to the month
+ */
+function sliceLeaveDataByMonth(leaveData, month, year) {
+	return leaveData.map((emp) => {
+		const sliced = { ...emp };
+		for (const key of ['leave_requests', 'holidays']) {
+			if (emp[key]) {
+				sliced[key] = sliceLeaveDaysByMonth(emp[key], month, year);
+			}
+		}
+		return sliced;
+	});
+}
+
+/**
+ * Public holidays across all employees, one per date. Employees on different
+ * holiday calendars can differ; the per-employee `holidays` lists are exact.
+ * @param {Array<Object>} leaveData - Employee records from getAllLeaveData
+ * @returns {Array<Object>} Holidays sorted by date
+ */
+function collectHolidays(leaveData) {
+	const byDate = new Map();
+	for (const emp of leaveData) {
+		for (const holiday of emp.holidays || []) {
+			if (!byDate.has(holiday.date)) byDate.set(holiday.date, holiday);
+		}
+	}
+	return [...byDate.values()].sort((a, b) =>
+		String(a.date).localeCompare(String(b.date))
+	);
+}
+
+module.exports = {
+	toISODate,
+	parseISODate,
+	parseApiDate,
+	toDate,
+	monthRange,
+	monthsInRange,
+	sliceLeaveDaysByMonth,
+	sliceLeaveDataByMonth,
+	collectHolidays,
+};
@@ -1,18 +1,75 @@
 const OmniHRAPIClient = require('./apiClient');
-
-// OmniHR API status codes
-const LEAVE_STATUS_APPROVED = 3;
-
-// OmniHR duration types: 1=full day, 2=half AM, 3=half PM
+const {
+	toISODate,
+	toDate,
+	parseISODate,
+	monthRange,
+} = require('./leavePeriods');
+const {
+	DEFAULT_SCHEDULE,
+	fromScheduleItems,
+	hoursOn,
+	isWorkingDay,
+	parseTime,
+} = require('./workSchedules');
+const {
+	LEAVE_STATUSES,
+	DEFAULT_LEAVE_STATUSES,
+	getStatusName,
+	leaveStatusesFromEnv,
+} = require('./leaveStatuses');
+
+// OmniHR duration types: 1=full day, 2=half AM, 3=half PM, 4=custom hours
+const DURATION_FULL = 1;
 const DURATION_HALF_AM = 2;
 const DURATION_HALF_PM = 3;
+const DURATION_HOURS = 4;
+
+// Leave day periods, by duration type
+const PERIODS = {
+	[DURATION_FULL]: 'full',
+	[DURATION_HALF_AM]: 'am',
+	[DURATION_HALF_PM]: 'pm',
+	[DURATION_HOURS]: 'hours',
+};
+
+// Where getAllLeaveData reads time-off calendars from: the team calendar,
+// a few paginated requests for everyone, or one request per employee
+const CALENDAR_SOURCES = ['team', 'user'];
+
+// Team calendar responses meaning it is not there or not for this user; any
+// other failure fails the fetch rather than costing a request per employee
+const TEAM_CALENDAR_UNAVAILABLE = [403, 404];
 
 /**
  * Service for fetching and processing leave data from OmniHR API
  */
 class LeaveService {
-	constructor() {
-		this.apiClient = new OmniHRAPIClient();
+	/**
+	 * @param {Object} [options]
+	 * @param {OmniHRAPIClient} [options.apiClient] - Client to use instead of a new one
+	 * @param {Object} [options.tenant] - Profile from profiles.js for a new client
+	 * @param {Object} [options.cache] - Response cache options for a new client
+	 * @param {Object} [options.scheduleOverrides] - From loadScheduleOverrides,
+	 *   takes precedence over the schedules in OmniHR
+	 * @param {string} [options.calendarSource] - team or user, defaults to
+	 *   OMNIHR_CALENDAR_SOURCE or team; see getAllLeaveData
+	 */
+	constructor(options = {}) {
+		this.apiClient =
+			options.apiClient ||
+			new OmniHRAPIClient({ tenant: options.tenant, cache: options.cache });
+		this.scheduleOverrides = options.scheduleOverrides || null;
+		this.workSchedules = null;
+		this.calendarSource =
+			options.calendarSource || process.env.OMNIHR_CALENDAR_SOURCE || 'team';
+		if (!CALENDAR_SOURCES.includes(this.calendarSource)) {
+			throw new Error(
+				`Unknown calendar source "${
+					this.calendarSource
+				}" (use ${CALENDAR_SOURCES.join(' or ')})`
+			);
+		}
 	}
 
 	/**
@@ -41,15 +98,6 @@ class LeaveService {
 		);
 	}
 
-	/**
-	 * @param {Date} date
-	 * @returns {boolean}
-	 */
-	isWeekend(date) {
-		const day = date.getDay();
-		return day === 0 || day === 6;
-	}
-
 	/**
 	 * @param {number} duration - OmniHR duration type
 	 * @returns {boolean}
@@ -78,27 +126,29 @@ class LeaveService {
 		return employee.id || employee.user_id;
 	}
 
+	/**
+	 * Pagination options for a list fetched up front: pages after the first
+	 * are requested `concurrency` at a time, and the items fetched so far are
+	 * reported as progress
+	 * @param {string} label - e.g. "Listing employees"
+	 * @param {number} concurrency
+	 * @returns {Object} See OmniHRAPIClient.paginate
+	 */
+	listOptions(label, concurrency) {
+		return {
+			concurrency,
+			onProgress: (fetched, total) =>
+				this.apiClient.logger.progress(label, fetched, total ?? '?'),
+		};
+	}
+
 	/**
 	 * Fetches all employees with pagination
+	 * @param {Object} [options] - Pagination options, see OmniHRAPIClient.paginate
 	 * @returns {Promise<Array>}
 	 */
-	async getAllEmployees() {
-		const allEmployees = [];
-		let page = 1;
-		let hasMore = true;
-
-		while (hasMore) {
-			const response = await this.apiClient.get('/employee/list/', {
-				page,
-				page_size: 100,
-			});
-			const results = response.results || response;
-			allEmployees.push(...results);
-			hasMore = response.next != null;
-			page++;
-		}
-
-		return allEmployees;
+	async getAllEmployees(options = {}) {
+		return this.apiClient.collectAll('/employee/list/', {}, options);
 	}
 
 	/**
@@ -143,38 +193,190 @@ class LeaveService {
 	}
 
 	/**
+	 * Time-off calendars of every employee the user can see, in a few
+	 * paginated requests instead of one per employee
 	 * @param {Date} startDate
 	 * @param {Date} endDate
-	 * @returns {Promise<Array>} All leave events with employee info
+	 * @param {Object} [options] - Pagination options, see OmniHRAPIClient.paginate
+	 * @returns {Promise<Map|null>} Calendar entries by user id, or null when the
+	 *   team calendar is not available to this user (403 or 404), which is
+	 *   recorded as a fallback in the request metrics
+	 * @throws {Error} Any other failure of the team calendar
+	 */
+	async getTeamCalendar(startDate, endDate, options = {}) {
+		try {
+			const entries = await this.apiClient.collectAll(
+				'/employee/team-calendar/',
+				{
+					start_date: this.formatDateDMY(startDate),
+					end_date: this.formatDateDMY(endDate),
+					all_employees: true,
+				},
+				options
+			);
+			return new Map(entries.map((entry) => [String(entry.id), entry]));
+		} catch (err) {
+			if (!TEAM_CALENDAR_UNAVAILABLE.includes(err.status)) throw err;
+			this.apiClient.logger.warn(
+				'Team calendar unavailable, fetching calendars per employee',
+				{ status: err.status, error: err.message }
+			);
+			this.apiClient.metrics.recordFallback('team-calendar');
+			return null;
+		}
+	}
+
+	/**
+	 * @param {Map|null} teamCalendar - From getTeamCalendar
+	 * @param {number} userId
+	 * @returns {Object|null} The employee's calendar entry, or null when it is
+	 *   missing or hides leave from this user, so the per-user calendar is needed
+	 */
+	getTeamCalendarEntry(teamCalendar, userId) {
+		const entry = teamCalendar?.get(String(userId));
+		if (
+			!entry ||
+			!Array.isArray(entry.time_off_request) ||
+			entry.hidden_events?.length > 0
+		) {
+			return null;
+		}
+		return entry;
+	}
+
+	/**
+	 * The organisation's work schedules, fetched once per service. The endpoint
+	 * is undocumented and may be disabled for a tenant, so failures fall back
+	 * to an empty list.
+	 * @returns {Promise<Map>} Schedules by id and by lower-cased name
+	 */
+	async getWorkSchedules() {
+		if (!this.workSchedules) {
+			this.workSchedules = this.apiClient
+				.collectAll('/attendance/1.0/list/work-schedules/')
+				.catch((err) => {
+					this.apiClient.logger.warn('Failed to fetch work schedules', {
+						error: err.message,
+					});
+					return [];
+				})
+				.then((items) => {
+					const byKey = new Map();
+					for (const item of items) {
+						const schedule = fromScheduleItems(
+							item.schedule_items || item.results || [],
+							item.name,
+							'api'
+						);
+						byKey.set(item.id, schedule);
+						if (item.name) byKey.set(item.name.toLowerCase(), schedule);
+					}
+					return byKey;
+				});
+		}
+		return this.workSchedules;
+	}
+
+	/**
+	 * Work schedule of one employee, first match wins: the override file (by
+	 * employee ID, then name), the `schedule` group of the time-off calendar,
+	 * then Mon-Fri. A calendar covering a schedule change uses the schedule in
+	 * effect at the end of the range.
+	 * @param {Object} employee - { employeeId, employeeName }
+	 * @param {Object} [calendarResponse]
+	 * @returns {Promise<Object>} Schedule { name, source, hours: { 1..7: hours } }
+	 */
+	async resolveWorkSchedule({ employeeId, employeeName }, calendarResponse) {
+		const overrides = this.scheduleOverrides;
+		const override =
+			overrides &&
+			[employeeId, employeeName]
+				.filter(Boolean)
+				.map((key) => overrides.employees[key.trim().toLowerCase()])
+				.find(Boolean);
+
+		if (typeof override === 'object') return override;
+		if (override) {
+			const named =
+				overrides.schedules[override] ||
+				(await this.getWorkSchedules()).get(override.toLowerCase());
+			if (named) return named;
+			this.apiClient.logger.warn('Unknown work schedule in overrides', {
+				employee: employeeName,
+				schedule: override,
+			});
+		}
+
+		const groups = calendarResponse?.schedule || [];
+		const group = groups[groups.length - 1];
+		if (group?.results?.length) {
+			return fromScheduleItems(group.results, group.name, 'api');
+		}
+		if (group?.schedule) {
+			const schedule = (await this.getWorkSchedules()).get(group.schedule);
+			if (schedule) return schedule;
+		}
+		return DEFAULT_SCHEDULE;
+	}
+
+	/**
+	 * Time-off requests of every employee, tagged with the employee
+	 * @param {Date} startDate
+	 * @param {Date} endDate
+	 * @returns {Promise<Object>} { events, failures }: the requests, and the
+	 *   employees whose calendar could not be fetched (see describeFailure)
 	 */
 	async getAllLeaveEvents(startDate, endDate) {
 		const employees = await this.getAllEmployees();
-		const allLeaveEvents = [];
+		const events = [];
+		const failures = [];
 
 		for (const emp of employees) {
 			const userId = this.getUserId(emp);
 			const empName = this.getEmployeeName(emp);
 
 			try {
-				const events = await this.getUserTimeOffCalendar(
+				const calendar = await this.getUserTimeOffCalendar(
 					userId,
 					startDate,
 					endDate
 				);
-				if (events?.length > 0) {
-					const eventsWithUser = events.map((event) => ({
-						...event,
-						user_id: userId,
-						employee_name: empName,
-					}));
-					allLeaveEvents.push(...eventsWithUser);
+				for (const request of calendar?.time_off_request || []) {
+					events.push({ ...request, user_id: userId, employee_name: empName });
 				}
-			} catch {
-				// Skip errors for individual users
+			} catch (err) {
+				this.apiClient.logger.warn('Failed to fetch time-off calendar', {
+					employee: empName,
+					user_id: userId,
+					error: err.message,
+				});
+				failures.push({
+					user_id: userId,
+					employee_name: empName,
+					...this.describeFailure(err),
+				});
 			}
 		}
 
-		return allLeaveEvents;
+		return { events, failures };
+	}
+
+	/**
+	 * @param {Error} err - Error thrown while fetching an employee
+	 * @returns {Object} { error, error_kind, error_status }, see fetchFailures.js
+	 */
+	describeFailure(err) {
+		let kind = 'error';
+		if (err.status) {
+			kind = 'http';
+		} else if (this.apiClient.isNetworkError(err)) {
+			kind = 'network';
+		}
+		return {
+			error: err.message,
+			error_kind: kind,
+			...(err.status && { error_status: err.status }),
+		};
 	}
 
 	/**
@@ -183,40 +385,153 @@ class LeaveService {
 	 * @param {Date} currentDate
 	 * @param {Date} leaveStart
 	 * @param {Date} leaveEnd
-	 * @returns {boolean}
+	 * @returns {number} OmniHR duration type
 	 */
-	determineHalfDay(request, currentDate, leaveStart, leaveEnd) {
+	getDayDuration(request, currentDate, leaveStart, leaveEnd) {
 		const isFirstDay = currentDate.getTime() === leaveStart.getTime();
 		const isLastDay = currentDate.getTime() === leaveEnd.getTime();
 
 		if (isFirstDay) {
-			return this.isHalfDayDuration(request.effective_date_duration);
+			return request.effective_date_duration || DURATION_FULL;
 		}
 
 		if (isLastDay) {
-			return this.isHalfDayDuration(request.end_date_duration);
+			return request.end_date_duration || DURATION_FULL;
 		}
 
-		return false;
+		return DURATION_FULL;
+	}
+
+	/**
+	 * @param {Object} request - Leave request object
+	 * @param {Date} currentDate
+	 * @param {Date} leaveStart
+	 * @param {Date} leaveEnd
+	 * @returns {boolean}
+	 */
+	determineHalfDay(request, currentDate, leaveStart, leaveEnd) {
+		return this.isHalfDayDuration(
+			this.getDayDuration(request, currentDate, leaveStart, leaveEnd)
+		);
+	}
+
+	/**
+	 * Hours taken on one day of a custom-duration (hourly) leave request. The
+	 * calendar documents no hour fields, so the first of these that is set wins:
+	 * effective_date_hours/end_date_hours for the first/last day, hours,
+	 * time_from/time_to, and for a single-day request the payload, which is in
+	 * days. Otherwise the whole scheduled day is taken.
+	 * @param {Object} request - Leave request object
+	 * @param {Date} currentDate
+	 * @param {Date} leaveStart
+	 * @param {Date} leaveEnd
+	 * @param {number} scheduledHours - Working hours of the day
+	 * @returns {number}
+	 */
+	getCustomLeaveHours(
+		request,
+		currentDate,
+		leaveStart,
+		leaveEnd,
+		scheduledHours
+	) {
+		const isFirstDay = currentDate.getTime() === leaveStart.getTime();
+		const isLastDay = currentDate.getTime() === leaveEnd.getTime();
+		const from = parseTime(request.time_from);
+		const to = parseTime(request.time_to);
+
+		const candidates = [
+			isFirstDay ? request.effective_date_hours : undefined,
+			isLastDay ? request.end_date_hours : undefined,
+			request.hours,
+			from !== null && to !== null ? to - from : undefined,
+			isFirstDay && isLastDay
+				? parseFloat(request.payload) * scheduledHours
+				: undefined,
+		];
+		const hours = candidates
+			.map((value) => parseFloat(value))
+			.find((value) => value > 0);
+
+		return hours ? Math.min(hours, scheduledHours) : scheduledHours;
 	}
 
 	/**
 	 * @param {Date} date
-	 * @param {number} month - 0-indexed month
-	 * @param {number} year
+	 * @param {Date} from
+	 * @param {Date} to
 	 * @returns {boolean}
 	 */
-	isInTargetMonth(date, month, year) {
-		return date.getMonth() === month && date.getFullYear() === year;
+	isInRange(date, from, to) {
+		return date >= from && date <= to;
+	}
+
+	/**
+	 * Public holidays from the `holiday` groups of a time-off calendar response,
+	 * one record per day inside [from, to]. Multi-day holidays are expanded.
+	 * @param {Object} calendarResponse
+	 * @param {Date} from
+	 * @param {Date} to
+	 * @returns {Array} Holidays { date: YYYY-MM-DD, name, is_half_day, holiday_calendar }
+	 */
+	extractHolidays(calendarResponse, from, to) {
+		// The calendar sends DD/MM/YYYY, swagger documents ISO dates
+		const parseDate = (value) =>
+			this.parseDateDMY(value) || parseISODate(value);
+		const holidays = new Map();
+
+		for (const group of calendarResponse?.holiday || []) {
+			for (const item of group.results || []) {
+				const start = parseDate(item.date_from);
+				if (!start) continue;
+				const end = parseDate(item.date_to) || start;
+				// Day types use the same codes as leave durations
+				const durations = {
+					effective_date_duration: item.day_type_from,
+					end_date_duration: item.day_type_to,
+				};
+				const current = new Date(start);
+
+				while (current <= end) {
+					const date = toISODate(current);
+					if (this.isInRange(current, from, to) && !holidays.has(date)) {
+						holidays.set(date, {
+							date,
+							name: item.name || 'Public Holiday',
+							is_half_day: this.determineHalfDay(
+								durations,
+								current,
+								start,
+								end
+							),
+							holiday_calendar: group.holiday_calendar ?? null,
+						});
+					}
+					current.setDate(current.getDate() + 1);
+				}
+			}
+		}
+
+		return [...holidays.values()].sort((a, b) => a.date.localeCompare(b.date));
 	}
 
 	/**
+	 * Expand a leave request into one record per working day inside [from, to]
 	 * @param {Object} request - Leave request from API
-	 * @param {number} month - 0-indexed month
-	 * @param {number} year
-	 * @returns {Array} Array of leave day objects
+	 * @param {Date} from
+	 * @param {Date} to
+	 * @param {Set<string>} [holidayDates] - YYYY-MM-DD dates that are not leave days
+	 * @param {Object} [schedule] - Work schedule, Mon-Fri if omitted
+	 * @returns {Array} Leave days { date: YYYY-MM-DD, request_id, leave_type, status,
+	 *   is_half_day, period: full|am|pm|hours, hours }
 	 */
-	processLeaveRequest(request, month, year) {
+	processLeaveRequest(
+		request,
+		from,
+		to,
+		holidayDates = new Set(),
+		schedule = DEFAULT_SCHEDULE
+	) {
 		const leaveStart = this.parseDateDMY(request.effective_date);
 		if (!leaveStart) return [];
 
@@ -228,20 +543,41 @@ class LeaveService {
 		const currentDate = new Date(leaveStart);
 
 		while (currentDate <= leaveEnd) {
+			const date = toISODate(currentDate);
 			const shouldInclude =
-				!this.isWeekend(currentDate) &&
-				this.isInTargetMonth(currentDate, month, year);
+				isWorkingDay(schedule, currentDate) &&
+				!holidayDates.has(date) &&
+				this.isInRange(currentDate, from, to);
 
 			if (shouldInclude) {
-				leaveDays.push({
-					date: currentDate.getDate(),
-					leave_type: request.time_off?.name,
-					is_half_day: this.determineHalfDay(
+				const duration = this.getDayDuration(
+					request,
+					currentDate,
+					leaveStart,
+					leaveEnd
+				);
+				const scheduledHours = hoursOn(schedule, currentDate);
+				let hours = scheduledHours;
+				if (this.isHalfDayDuration(duration)) {
+					hours = scheduledHours / 2;
+				} else if (duration === DURATION_HOURS) {
+					hours = this.getCustomLeaveHours(
 						request,
 						currentDate,
 						leaveStart,
-						leaveEnd
-					),
+						leaveEnd,
+						scheduledHours
+					);
+				}
+
+				leaveDays.push({
+					date,
+					request_id: request.id,
+					leave_type: request.time_off?.name,
+					status: getStatusName(request.status),
+					is_half_day: this.isHalfDayDuration(duration),
+					period: PERIODS[duration] || PERIODS[DURATION_FULL],
+					hours,
 				});
 			}
 
@@ -252,44 +588,74 @@ class LeaveService {
 	}
 
 	/**
-	 * Only process approved leave requests (status=3)
+	 * Only process leave requests with one of `statuses`, approved by default.
+	 * Full-day public holidays are not leave days; half-day holidays still count.
 	 * @param {Object} calendarResponse
-	 * @param {number} month - 0-indexed month
-	 * @param {number} year
+	 * @param {Date} from
+	 * @param {Date} to
+	 * @param {Array} [holidays] - From extractHolidays, extracted here if omitted
+	 * @param {Object} [schedule] - Work schedule, Mon-Fri if omitted
+	 * @param {Array<string>} [statuses] - Status names, see leaveStatuses.js
 	 * @returns {Array}
 	 */
-	processCalendarResponse(calendarResponse, month, year) {
-		const timeOffRequests = calendarResponse?.time_off_request || [];
-		const approvedRequests = timeOffRequests.filter(
-			(r) => r.status === LEAVE_STATUS_APPROVED
+	processCalendarResponse(
+		calendarResponse,
+		from,
+		to,
+		holidays,
+		schedule,
+		statuses = DEFAULT_LEAVE_STATUSES
+	) {
+		const holidayDates = new Set(
+			(holidays || this.extractHolidays(calendarResponse, from, to))
+				.filter((h) => !h.is_half_day)
+				.map((h) => h.date)
 		);
+		const codes = new Set(statuses.map((name) => LEAVE_STATUSES[name]));
+		const timeOffRequests = calendarResponse?.time_off_request || [];
+		const selectedRequests = timeOffRequests.filter((r) => codes.has(r.status));
 
-		return approvedRequests.flatMap((request) =>
-			this.processLeaveRequest(request, month, year)
+		return selectedRequests.flatMap((request) =>
+			this.processLeaveRequest(request, from, to, holidayDates, schedule)
 		);
 	}
 
 	/**
-	 * Fetch base data, leave balances, and calendar in parallel for performance
+	 * Fetch base data, leave balances, and calendar in parallel for performance.
+	 * Base data is skipped when the employee list already has the employee_id,
+	 * the calendar when the team calendar entry is given, and balances unless
+	 * asked for.
 	 * @param {Object} employee
 	 * @param {Date|null} startDate
 	 * @param {Date|null} endDate
-	 * @param {number} month
-	 * @param {number} year
+	 * @param {Array<string>} [statuses] - Leave statuses to keep, approved by default
+	 * @param {Object} [calendar] - Entry from getTeamCalendarEntry
+	 * @param {boolean} [withBalances=false] - Add leave_balances
 	 * @returns {Promise<Object>} Employee leave data
 	 */
-	async processEmployee(employee, startDate, endDate, month, year) {
+	async processEmployee(
+		employee,
+		startDate,
+		endDate,
+		statuses,
+		calendar,
+		withBalances = false
+	) {
 		const userId = this.getUserId(employee);
 		const employeeName = this.getEmployeeName(employee);
 
 		try {
 			const promises = [
-				this.getEmployeeBaseData(userId),
-				this.getEmployeeLeaveBalances(userId),
+				employee.employee_id
+					? { employee_id: employee.employee_id }
+					: this.getEmployeeBaseData(userId),
+				withBalances ? this.getEmployeeLeaveBalances(userId) : null,
 			];
 
 			if (startDate && endDate) {
-				promises.push(this.getUserTimeOffCalendar(userId, startDate, endDate));
+				promises.push(
+					calendar || this.getUserTimeOffCalendar(userId, startDate, endDate)
+				);
 			}
 
 			const [baseData, leaveBalances, calendarResponse] = await Promise.all(
@@ -300,57 +666,150 @@ class LeaveService {
 				user_id: userId,
 				employee_id: baseData?.employee_id,
 				employee_name: employeeName,
-				leave_balances: leaveBalances,
+				...(leaveBalances && { leave_balances: leaveBalances }),
 			};
 
 			if (calendarResponse) {
+				employeeData.work_schedule = await this.resolveWorkSchedule(
+					{ employeeId: employeeData.employee_id, employeeName },
+					calendarResponse
+				);
+				employeeData.holidays = this.extractHolidays(
+					calendarResponse,
+					startDate,
+					endDate
+				);
 				employeeData.leave_requests = this.processCalendarResponse(
 					calendarResponse,
-					month,
-					year
+					startDate,
+					endDate,
+					employeeData.holidays,
+					employeeData.work_schedule,
+					statuses
 				);
 			}
 
 			return employeeData;
 		} catch (err) {
+			this.apiClient.logger.warn('Failed to fetch employee', {
+				employee: employeeName,
+				user_id: userId,
+				error: err.message,
+			});
 			return {
 				user_id: userId,
 				employee_name: employeeName,
-				leave_balances: [],
+				...(withBalances && { leave_balances: [] }),
 				leave_requests: [],
-				error: err.message,
+				holidays: [],
+				...this.describeFailure(err),
 			};
 		}
 	}
 
 	/**
-	 * Main entry point: fetches all employees and processes in batches
+	 * Resolve the leave period from from/to or month/year
+	 * @param {Object} options - See getAllLeaveData
+	 * @returns {{ from: Date, to: Date }|null} Null when no period was given
+	 */
+	resolvePeriod(options) {
+		const { from, to, month, year } = options;
+
+		if (from !== undefined || to !== undefined) {
+			if (from === undefined || to === undefined) {
+				throw new Error('from and to must be given together');
+			}
+			const period = { from: toDate(from), to: toDate(to) };
+			if (period.from > period.to) {
+				throw new Error('from must not be after to');
+			}
+			return period;
+		}
+
+		if (month !== undefined && year !== undefined) {
+			return monthRange(month, year);
+		}
+		return null;
+	}
+
+	/**
+	 * Main entry point: fetches all employees and processes in batches.
+	 *
+	 * With the team calendar source, every calendar comes from
+	 * /employee/team-calendar/ in a few paginated requests; employees missing
+	 * from it, or with leave hidden from this user, fall back to their own
+	 * calendar, as does everyone when the team calendar cannot be read.
+	 * Balances have no list endpoint, so they cost one request per employee and
+	 * are only fetched with `balances`.
 	 * @param {Object} options
 	 * @param {Function} [options.onProgress] - Progress callback (completed, total, lastEmployeeName)
-	 * @param {number} [options.month] - 0-indexed month
+	 * @param {Date|string} [options.from] - First day (Date or YYYY-MM-DD), with `to`
+	 * @param {Date|string} [options.to] - Last day, inclusive; may be in another year
+	 * @param {number} [options.month] - 0-indexed month, shorthand for a one-month range
 	 * @param {number} [options.year]
-	 * @param {number} [options.concurrency=5] - Number of parallel requests
-	 * @returns {Promise<Array>} Array of employee leave data
+	 * @param {number} [options.concurrency=5] - Number of parallel requests, for
+	 *   the pages of the employee list and team calendar as well
+	 * @param {Array<string>} [options.excludedEmployees] - Full names to skip (case-insensitive)
+	 * @param {Array<string>} [options.statuses] - Leave statuses to include (approved,
+	 *   pending, rejected, cancelled); defaults to OMNIHR_LEAVE_STATUSES or approved
+	 * @param {Array<number>} [options.userIds] - Only fetch these employees, e.g.
+	 *   the ones that failed in a previous run
+	 * @param {boolean} [options.balances=false] - Add each employee's
+	 *   leave_balances
+	 * @returns {Promise<Array>} Array of employee leave data; employees that
+	 *   could not be fetched carry `error`, see fetchFailures.js
 	 */
 	async getAllLeaveData(options = {}) {
-		const { onProgress, month, year, concurrency = 5 } = options;
-
-		const employees = await this.getAllEmployees();
+		const {
+			onProgress,
+			concurrency = 5,
+			excludedEmployees = [],
+			statuses = leaveStatusesFromEnv(),
+			userIds,
+			balances = false,
+		} = options;
+		const period = this.resolvePeriod(options);
+
+		const excluded = new Set(excludedEmployees.map((n) => n.toLowerCase()));
+		const selected = userIds && new Set(userIds.map(String));
+		const employeePages = this.listOptions('Listing employees', concurrency);
+		const employees = (await this.getAllEmployees(employeePages)).filter(
+			(emp) =>
+				!excluded.has(this.getEmployeeName(emp).trim().toLowerCase()) &&
+				(!selected || selected.has(String(this.getUserId(emp))))
+		);
 
-		const hasDateRange = month !== undefined && year !== undefined;
-		const startDate = hasDateRange ? new Date(year, month, 1) : null;
-		const endDate = hasDateRange ? new Date(year, month + 1, 0) : null;
+		const startDate = period ? period.from : null;
+		const endDate = period ? period.to : null;
+		const calendarPages = this.listOptions('Reading team calendar', concurrency);
+		const teamCalendar =
+			period && this.calendarSource === 'team' && employees.length > 0
+				? await this.getTeamCalendar(startDate, endDate, calendarPages)
+				: null;
 
 		const allLeaveData = [];
 		let completed = 0;
+		let fromTeamCalendar = 0;
 
 		for (let i = 0; i < employees.length; i += concurrency) {
 			const batch = employees.slice(i, i + concurrency);
 
 			const results = await Promise.all(
-				batch.map((emp) =>
-					this.processEmployee(emp, startDate, endDate, month, year)
-				)
+				batch.map((emp) => {
+					const calendar = this.getTeamCalendarEntry(
+						teamCalendar,
+						this.getUserId(emp)
+					);
+					if (calendar) fromTeamCalendar++;
+					return this.processEmployee(
+						emp,
+						startDate,
+						endDate,
+						statuses,
+						calendar,
+						balances
+					);
+				})
 			);
 
 			allLeaveData.push(...results);
@@ -362,6 +821,13 @@ class LeaveService {
 			}
 		}
 
+		if (teamCalendar) {
+			this.apiClient.logger.info(
+				`Calendars: ${fromTeamCalendar} from the team calendar, ${
+					employees.length - fromTeamCalendar
+				} fetched per employee`
+			);
+		}
 		return allLeaveData;
 	}
 }
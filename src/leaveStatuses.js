@@ -0,0 +1,70 @@
+/**
+ * OmniHR time-off request statuses, and the status filter applied when leave
+ * requests are expanded into leave days. Leave days carry the status name.
+ */
+
+// OmniHR API status codes
+const LEAVE_STATUSES = {
+	pending: 1,
+	approved: 3,
+	rejected: 4,
+	cancelled: 5,
+};
+
+const DEFAULT_LEAVE_STATUSES = ['approved'];
+
+/**
+ * @param {number} code - OmniHR status code
+ * @returns {string} Status name, or the code as a string when unknown
+ */
+function getStatusName(code) {
+	const entry = Object.entries(LEAVE_STATUSES).find(([, c]) => c === code);
+	return entry ? entry[0] : String(code);
+}
+
+/**
+ * @param {string|Array<string>} value - Comma-separated names, an array of
+ *   names, or "all"
+ * @returns {Array<string>} Status names, deduplicated
+ */
+function parseLeaveStatuses(value) {
+	const names = (Array.isArray(value) ? value : String(value).split(','))
+		.map((name) => name.trim().toLowerCase())
+		.filter(Boolean);
+
+	if (names.length === 1 && names[0] === 'all') {
+		return Object.keys(LEAVE_STATUSES);
+	}
+	if (names.length === 0) {
+		throw new Error('At least one leave status is required');
+	}
+
+	const unknown = names.filter(
+		(name) => !Object.hasOwn(LEAVE_STATUSES, name)
+	);
+	if (unknown.length > 0) {
+		throw new Error(
+			`Unknown leave status "${unknown.join('", "')}" (use ${Object.keys(
+				LEAVE_STATUSES
+			).join(', ')} or all)`
+		);
+	}
+	return [...new Set(names)];
+}
+
+/**
+ * @returns {Array<string>} Statuses from OMNIHR_LEAVE_STATUSES, or approved only
+ */
+function leaveStatusesFromEnv() {
+	return process.env.OMNIHR_LEAVE_STATUSES
+		? parseLeaveStatuses(process.env.OMNIHR_LEAVE_STATUSES)
+		: DEFAULT_LEAVE_STATUSES;
+}
+
+module.exports = {
+	LEAVE_STATUSES,
+	DEFAULT_LEAVE_STATUSES,
+	getStatusName,
+	parseLeaveStatuses,
+	leaveStatusesFromEnv,
+};
@@ -0,0 +1,169 @@
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const FORMATS = ['text', 'json'];
+
+/**
+ * Leveled logger with a human-readable text format and a JSON-lines format
+ * for scheduled runs. Info and debug go to stdout, warnings and errors to
+ * stderr. Child loggers add fields (e.g. tenant) to every entry.
+ */
+class Logger {
+	/**
+	 * @param {Object} [options]
+	 * @param {string} [options.level='info'] - debug, info, warn, error or silent
+	 * @param {string} [options.format='text'] - text or json
+	 * @param {Object} [options.fields] - Added to every entry
+	 * @param {Object} [options.stdout=process.stdout]
+	 * @param {Object} [options.stderr=process.stderr]
+	 */
+	constructor(options = {}) {
+		this.fields = options.fields || {};
+		this.stdout = options.stdout || process.stdout;
+		this.stderr = options.stderr || process.stderr;
+		// Shared with children so configure() reaches all of them
+		this.settings = options.settings || {};
+		this.configure({ level: options.level, format: options.format });
+	}
+
+	/**
+	 * Change level and/or format, e.g. from CLI flags
+	 * @param {Object} settings - { level, format }
+	 */
+	configure({ level, format } = {}) {
+		if (level !== undefined) {
+			if (!(level in LEVELS)) {
+				throw new Error(
+					`Unknown log level "${level}" (use ${Object.keys(LEVELS).join(', ')})`
+				);
+			}
+			this.settings.level = level;
+		}
+		if (format !== undefined) {
+			if (!FORMATS.includes(format)) {
+				throw new Error(
+					`Unknown log format "${format}" (use ${FORMATS.join(', ')})`
+				);
+			}
+			this.settings.format = format;
+		}
+		this.settings.level = this.settings.level || 'info';
+		this.settings.format = this.settings.format || 'text';
+	}
+
+	/**
+	 * @param {Object} fields
+	 * @returns {Logger} Logger adding `fields` to every entry
+	 */
+	child(fields) {
+		return new Logger({
+			fields: { ...this.fields, ...fields },
+			stdout: this.stdout,
+			stderr: this.stderr,
+			settings: this.settings,
+		});
+	}
+
+	/**
+	 * @param {string} level
+	 * @returns {boolean}
+	 */
+	isEnabled(level) {
+		return LEVELS[level] >= LEVELS[this.settings.level];
+	}
+
+	/**
+	 * @param {string} level
+	 * @param {string} message
+	 * @param {Object} [fields]
+	 */
+	log(level, message, fields = {}) {
+		if (!this.isEnabled(level)) return;
+
+		const stream = LEVELS[level] >= LEVELS.warn ? this.stderr : this.stdout;
+		const entry = { ...this.fields, ...fields };
+
+		if (this.settings.format === 'json') {
+			stream.write(
+				`${JSON.stringify({
+					time: new Date().toISOString(),
+					level,
+					msg: message,
+					...entry,
+				})}\n`
+			);
+			return;
+		}
+
+		const { tenant, ...rest } = entry;
+		const prefix = [
+			level === 'info' ? '' : `${level}: `,
+			tenant ? `[${tenant}] ` : '',
+		].join('');
+		const suffix = Object.entries(rest)
+			.filter(([, value]) => value !== undefined)
+			.map(([key, value]) => ` ${key}=${formatValue(value)}`)
+			.join('');
+		stream.write(`${prefix}${message}${suffix}\n`);
+	}
+
+	debug(message, fields) {
+		this.log('debug', message, fields);
+	}
+
+	info(message, fields) {
+		this.log('info', message, fields);
+	}
+
+	warn(message, fields) {
+		this.log('warn', message, fields);
+	}
+
+	error(message, fields) {
+		this.log('error', message, fields);
+	}
+
+	/**
+	 * Progress of a long loop: an updating line on a terminal in text mode,
+	 * otherwise a debug entry per step so JSON logs stay one line per event
+	 * @param {string} message - e.g. "Fetching employees"
+	 * @param {number} current
+	 * @param {number} total
+	 */
+	progress(message, current, total) {
+		if (this.settings.format === 'text' && this.stdout.isTTY) {
+			if (!this.isEnabled('info')) return;
+			const { tenant } = this.fields;
+			const prefix = tenant ? `[${tenant}] ` : '';
+			this.stdout.write(`\r${prefix}${message}: ${current}/${total}`);
+			if (current === total) this.stdout.write('\n');
+			return;
+		}
+		this.debug(message, { current, total });
+	}
+}
+
+/**
+ * @param {*} value
+ * @returns {string}
+ */
+function formatValue(value) {
+	if (typeof value === 'string') {
+		return /[\s"=]/.test(value) ? JSON.stringify(value) : value;
+	}
+	return JSON.stringify(value);
+}
+
+/**
+ * Build a logger from OMNIHR_LOG_LEVEL / OMNIHR_LOG_FORMAT
+ * @returns {Logger}
+ */
+function loggerFromEnv() {
+	return new Logger({
+		level: process.env.OMNIHR_LOG_LEVEL || undefined,
+		format: process.env.OMNIHR_LOG_FORMAT || undefined,
+	});
+}
+
+// Shared by the scripts so one --log-level/--log-format applies everywhere
+const logger = loggerFromEnv();
+
+module.exports = { Logger, loggerFromEnv, logger, LEVELS };
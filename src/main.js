@@ -1,50 +1,323 @@
-require('dotenv').config();
+if (require.main === module) require('dotenv').config({ quiet: true });
 const fs = require('fs');
 const path = require('path');
 const LeaveService = require('./leaveService');
-const { month, year } = require('./config');
+const config = require('./config');
+const { logger } = require('./logger');
+const { loadScheduleOverrides } = require('./workSchedules');
+const { leaveStatusesFromEnv } = require('./leaveStatuses');
+const { checkFailureThreshold } = require('./fetchFailures');
+const {
+	SnapshotStore,
+	detectChanges,
+	mergeChanges,
+	appendChanges,
+	formatChanges,
+	CHANGES_FILE,
+} = require('./leaveChanges');
+const {
+	toDate,
+	toISODate,
+	monthRange,
+	collectHolidays,
+} = require('./leavePeriods');
 
-async function main() {
-	try {
-		const leaveService = new LeaveService();
+/**
+ * @param {{ from: Date, to: Date }} period
+ * @returns {string} "12/2025" for a whole month, otherwise the ISO range
+ */
+function formatPeriod({ from, to }) {
+	const whole = monthRange(from.getMonth(), from.getFullYear());
+	if (
+		from.getTime() === whole.from.getTime() &&
+		to.getTime() === whole.to.getTime()
+	) {
+		return `${from.getMonth() + 1}/${from.getFullYear()}`;
+	}
+	return `${toISODate(from)} to ${toISODate(to)}`;
+}
 
-		console.log(
-			`Fetching leave data with requests for ${month + 1}/${year}...\n`
-		);
+/**
+ * Replace the failed records of a previous run with their retried ones
+ * @param {Array<Object>} previous - Employee records of the previous run
+ * @param {Array<Object>} retried - Records fetched again
+ * @returns {Array<Object>} The previous records, in their order
+ */
+function mergeRetried(previous, retried) {
+	const byUser = new Map(retried.map((emp) => [String(emp.user_id), emp]));
+	return previous.map((emp) =>
+		emp.error ? byUser.get(String(emp.user_id)) || emp : emp
+	);
+}
 
-		const leaveData = await leaveService.getAllLeaveData({
-			month,
-			year,
-			onProgress: (current, total, name) => {
-				process.stdout.write(`Progress: ${current}/${total} - ${name}\r`);
-			},
-		});
+/**
+ * Fetch leave data for one tenant and compare it with the tenant's snapshot
+ * @param {Object|null} tenant - Profile from profiles.js, or null for the OMNIHR_* env
+ * @param {{ from: Date, to: Date }} period
+ * @param {Object} options - cache, workSchedules, statuses, balances and
+ *   snapshotDir, see fetchLeaveData
+ * @param {Array<Object>} [options.retry] - The tenant's records of a previous
+ *   run: only its failed employees are fetched, and merged into it
+ * @returns {Promise<{ leaveData: Array, changes: Object }>} Employee leave data
+ *   tagged with the tenant name, and the changes since the previous run
+ */
+async function fetchTenantLeaveData(tenant, period, options) {
+	const { cache, workSchedules, statuses, balances, snapshotDir, retry } =
+		options;
+	const leaveService = new LeaveService({
+		tenant,
+		cache,
+		scheduleOverrides: loadScheduleOverrides(
+			tenant?.workSchedules || workSchedules
+		),
+	});
+	const log = leaveService.apiClient.logger;
+
+	const userIds = retry?.filter((emp) => emp.error).map((emp) => emp.user_id);
+	log.info(
+		userIds
+			? `Retrying ${userIds.length} failed employees for ${formatPeriod(period)}`
+			: `Fetching leave data for ${formatPeriod(period)}`
+	);
 
-		console.log(`Total employees processed: ${leaveData.length}`);
+	const fetched = await leaveService.getAllLeaveData({
+		...period,
+		excludedEmployees: tenant?.excludedEmployees,
+		statuses,
+		balances,
+		userIds,
+		onProgress: (current, total) => {
+			log.progress('Employees', current, total);
+		},
+	});
+	if (userIds && fetched.length < userIds.length) {
+		log.warn(
+			`${
+				userIds.length - fetched.length
+			} failed employees are no longer in the employee list and stay failed`
+		);
+	}
+	const leaveData = retry ? mergeRetried(retry, fetched) : fetched;
 
-		// Save to JSON file
-		const outputPath = path.join(__dirname, 'data', 'leave_data.json');
-		fs.writeFileSync(outputPath, JSON.stringify(leaveData, null, 2));
-		console.log(`Data saved to: ${outputPath}`);
+	const failed = leaveData.filter((emp) => emp.error).length;
+	log.info(`Total employees processed: ${leaveData.length}`, {
+		failed: failed || undefined,
+	});
+	if (leaveService.apiClient.cache.isEnabled()) {
+		log.info(leaveService.apiClient.cache.formatStats());
+	}
 
-		// Show sample with leave requests
-		const withRequests = leaveData.filter(
-			(e) => e.leave_requests && e.leave_requests.length > 0
+	const store = new SnapshotStore({
+		dir: snapshotDir,
+		namespace: tenant?.name,
+	});
+	const previous = store.load();
+	if (previous && String(previous.statuses) !== String(statuses)) {
+		log.warn(
+			'Leave statuses differ from the previous run; requests fetched by only one run show up as added or cancelled',
+			{ previous: previous.statuses.join(), current: statuses.join() }
 		);
-		console.log(
-			`Employees with leave requests in ${month + 1}/${year}: ${
-				withRequests.length
-			}`
+	}
+	const { changes, snapshot } = detectChanges(previous, leaveData, period);
+	store.save({ ...snapshot, statuses });
+	log.info(
+		previous
+			? `Changes since ${previous.takenAt}: ${formatChanges(changes)}`
+			: `No previous snapshot, all ${changes.summary.added} leave requests are new`
+	);
+
+	if (!tenant) return { leaveData, changes };
+
+	const tagged = leaveData.map((emp) => ({ tenant: tenant.name, ...emp }));
+	if (tenant.outputDir) {
+		const tenantPath = path.join(tenant.outputDir, 'leave_data.json');
+		fs.mkdirSync(tenant.outputDir, { recursive: true });
+		fs.writeFileSync(tenantPath, JSON.stringify(tagged, null, 2));
+		log.info(`Data saved to: ${tenantPath}`);
+	}
+	return { leaveData: tagged, changes };
+}
+
+/**
+ * Leave data and change log of the run that --retry-failed completes
+ * @param {string} outputPath - Leave data written by that run
+ * @param {{ from: Date, to: Date }} period - Must be the period of that run
+ * @returns {{ leaveData: Array<Object>, changes: Object|null }}
+ */
+function loadPreviousRun(outputPath, period) {
+	if (!fs.existsSync(outputPath)) {
+		throw new Error(`Nothing to retry, ${outputPath} does not exist`);
+	}
+	const leaveData = JSON.parse(fs.readFileSync(outputPath, 'utf8'));
+
+	const changesPath = path.join(path.dirname(outputPath), CHANGES_FILE);
+	const changes = fs.existsSync(changesPath)
+		? JSON.parse(fs.readFileSync(changesPath, 'utf8'))
+		: null;
+	if (
+		changes &&
+		(changes.period.from !== toISODate(period.from) ||
+			changes.period.to !== toISODate(period.to))
+	) {
+		throw new Error(
+			`${outputPath} was fetched for ${changes.period.from} to ${
+				changes.period.to
+			}, not ${formatPeriod(period)}; retry with the same period`
 		);
+	}
+	return { leaveData, changes };
+}
+
+/**
+ * Group the records of a previous run by tenant, in their order
+ * @param {Array<Object>} leaveData - Employee records, tagged with `tenant`
+ *   when fetched with profiles
+ * @param {Array<Object|null>} tenants - Selected profiles
+ * @returns {Array<{ tenant: Object|null, records: Array<Object> }>}
+ */
+function groupByTenant(leaveData, tenants) {
+	const groups = new Map();
+	for (const emp of leaveData) {
+		const name = emp.tenant || null;
+		if (!groups.has(name)) groups.set(name, []);
+		groups.get(name).push(emp);
+	}
 
-		if (withRequests.length > 0) {
-			console.log('Sample employee with leave requests:');
-			console.log(JSON.stringify(withRequests[0], null, 2));
+	return [...groups].map(([name, records]) => {
+		const tenant = name && tenants.find((t) => t?.name === name);
+		if (name && !tenant && records.some((emp) => emp.error)) {
+			throw new Error(
+				`Tenant "${name}" has failed employees, select its profile with --profile to retry them`
+			);
 		}
+		return { tenant: tenant || null, records };
+	});
+}
+
+/**
+ * Fetch leave data for a month or date range and save it as JSON. With several
+ * tenants the output merges all of them, each employee record carrying its
+ * `tenant`. What changed since the previous run is written next to it as
+ * leave_changes.json, see leaveChanges.js.
+ *
+ * With `retryFailed`, only the employees that failed in the previous run
+ * written to `outputPath` are fetched again, for the same period, and merged
+ * into it; their changes are added to that run's change log.
+ * @param {Object} options
+ * @param {Date|string} [options.from] - First day (Date or YYYY-MM-DD), with `to`
+ * @param {Date|string} [options.to] - Last day, inclusive
+ * @param {number} [options.month] - 0-indexed month, when from/to are not given
+ * @param {number} [options.year]
+ * @param {string} [options.outputPath] - Defaults to data/leave_data.json
+ * @param {Array<Object>} [options.tenants] - Profiles from profiles.js
+ * @param {Object} [options.cache] - Response cache options, see OmniHRAPIClient
+ * @param {string} [options.workSchedules] - Schedule overrides file, see workSchedules.js
+ * @param {Array<string>} [options.statuses] - Leave statuses to include, approved by default
+ * @param {boolean} [options.balances=false] - Fetch leave balances too, one
+ *   request per employee; balance changes are only reported with them
+ * @param {string} [options.snapshotDir] - Where snapshots are kept, see SnapshotStore
+ * @param {boolean} [options.retryFailed=false] - Retry the failed employees of
+ *   the previous run
+ * @returns {Promise<Object>} { leaveData, changes, changesPath }; changes and
+ *   changesPath are null when there was nothing to retry
+ */
+async function fetchLeaveData(options) {
+	const {
+		from,
+		to,
+		month,
+		year,
+		outputPath = path.join(__dirname, 'data', 'leave_data.json'),
+		tenants = [null],
+		cache,
+		workSchedules,
+		statuses = leaveStatusesFromEnv(),
+		balances = false,
+		snapshotDir,
+		retryFailed = false,
+	} = options;
+
+	const period =
+		from !== undefined
+			? { from: toDate(from), to: toDate(to) }
+			: monthRange(month, year);
+
+	const previous = retryFailed ? loadPreviousRun(outputPath, period) : null;
+	if (previous && !previous.leaveData.some((emp) => emp.error)) {
+		logger.info(`No failed employees in ${outputPath}, nothing to retry`);
+		return { leaveData: previous.leaveData, changes: null, changesPath: null };
+	}
+	const groups = previous
+		? groupByTenant(previous.leaveData, tenants)
+		: tenants.map((tenant) => ({ tenant, records: null }));
+
+	const leaveData = [];
+	const changeLogs = [];
+	for (const { tenant, records } of groups) {
+		if (records && !records.some((emp) => emp.error)) {
+			leaveData.push(...records);
+			continue;
+		}
+		const result = await fetchTenantLeaveData(tenant, period, {
+			cache,
+			workSchedules,
+			statuses,
+			balances,
+			snapshotDir,
+			retry: records,
+		});
+		leaveData.push(...result.leaveData);
+		changeLogs.push({ tenant: tenant?.name || null, changes: result.changes });
+	}
+
+	// Save to JSON file
+	fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+	fs.writeFileSync(outputPath, JSON.stringify(leaveData, null, 2));
+	logger.info(`Data saved to: ${outputPath}`);
+
+	let changes = mergeChanges(changeLogs);
+	if (previous?.changes) changes = appendChanges(previous.changes, changes);
+	const changesPath = path.join(path.dirname(outputPath), CHANGES_FILE);
+	fs.writeFileSync(changesPath, JSON.stringify(changes, null, 2));
+	logger.info(`Changes saved to: ${changesPath}`);
+
+	const withRequests = leaveData.filter(
+		(e) => e.leave_requests && e.leave_requests.length > 0
+	);
+	logger.info(
+		`Employees with leave requests in ${formatPeriod(period)}: ${
+			withRequests.length
+		}`
+	);
+	logger.info(
+		`Public holidays in ${formatPeriod(period)}: ${
+			collectHolidays(leaveData).length
+		}`
+	);
+	if (withRequests.length > 0) {
+		logger.debug('Sample employee with leave requests', {
+			sample: withRequests[0],
+		});
+	}
+
+	return { leaveData, changes, changesPath };
+}
+
+async function main() {
+	try {
+		const { leaveData } = await fetchLeaveData({
+			month: config.month,
+			year: config.year,
+		});
+		checkFailureThreshold(leaveData);
 	} catch (error) {
-		console.error('Error:', error.message);
+		logger.error(error.message);
 		process.exit(1);
 	}
 }
 
-main();
+if (require.main === module) {
+	main();
+}
+
+module.exports = { fetchLeaveData };
@@ -0,0 +1,203 @@
+const fs = require('fs');
+const path = require('path');
+const { findPathTemplate } = require('./swagger');
+
+const RUN_SUMMARY_FILE = 'run-summary.json';
+
+/**
+ * @param {Array<number>} sorted - Ascending values
+ * @param {number} p - Percentile, 0-100
+ * @returns {number}
+ */
+function percentile(sorted, p) {
+	if (sorted.length === 0) return 0;
+	const index = Math.min(
+		sorted.length - 1,
+		Math.ceil((p / 100) * sorted.length) - 1
+	);
+	return sorted[Math.max(0, index)];
+}
+
+/**
+ * Request count, latency and status codes per endpoint. Endpoints are grouped
+ * by their swagger path template so that per-employee URLs add up. Also
+ * counts fallbacks to a costlier way of fetching, e.g. per-employee calendars
+ * when the team calendar is unavailable.
+ */
+class RequestMetrics {
+	constructor() {
+		this.reset();
+	}
+
+	reset() {
+		this.endpoints = {};
+		this.fallbacks = {};
+	}
+
+	/**
+	 * @param {string} method
+	 * @param {string} endpoint - Path relative to baseURL
+	 * @returns {Object} Counters for the endpoint's route
+	 */
+	getRoute(method, endpoint) {
+		const pathname = endpoint.split('?')[0];
+		const key = `${method} ${findPathTemplate(pathname) || pathname}`;
+		if (!this.endpoints[key]) {
+			this.endpoints[key] = {
+				requests: 0,
+				cached: 0,
+				byStatus: {},
+				latencies: [],
+			};
+		}
+		return this.endpoints[key];
+	}
+
+	/**
+	 * Record one HTTP attempt; retries count as separate requests
+	 * @param {Object} request
+	 * @param {string} request.method
+	 * @param {string} request.endpoint
+	 * @param {number|string} request.status - HTTP status, or 'network_error'
+	 * @param {number} request.durationMs
+	 */
+	record({ method, endpoint, status, durationMs }) {
+		const route = this.getRoute(method, endpoint);
+		route.requests++;
+		route.byStatus[status] = (route.byStatus[status] || 0) + 1;
+		route.latencies.push(durationMs);
+	}
+
+	/**
+	 * Record a response served from the cache without a request
+	 * @param {string} method
+	 * @param {string} endpoint
+	 */
+	recordCacheHit(method, endpoint) {
+		this.getRoute(method, endpoint).cached++;
+	}
+
+	/**
+	 * @param {string} name - e.g. team-calendar
+	 */
+	recordFallback(name) {
+		this.fallbacks[name] = (this.fallbacks[name] || 0) + 1;
+	}
+
+	/**
+	 * @returns {Object} { requests, cached, fallbacks: { name: count },
+	 *   endpoints: { "GET /route": {...} } }
+	 */
+	toJSON() {
+		let requests = 0;
+		let cached = 0;
+		const endpoints = {};
+
+		for (const [key, route] of Object.entries(this.endpoints)) {
+			const sorted = [...route.latencies].sort((a, b) => a - b);
+			const total = sorted.reduce((sum, ms) => sum + ms, 0);
+			requests += route.requests;
+			cached += route.cached;
+			endpoints[key] = {
+				requests: route.requests,
+				cached: route.cached,
+				byStatus: route.byStatus,
+				latencyMs: {
+					avg: sorted.length ? Math.round(total / sorted.length) : 0,
+					p95: Math.round(percentile(sorted, 95)),
+					max: Math.round(sorted[sorted.length - 1] || 0),
+				},
+			};
+		}
+
+		return { requests, cached, fallbacks: this.fallbacks, endpoints };
+	}
+}
+
+// One per process, shared by every client so a run's summary covers all tenants
+const requestMetrics = new RequestMetrics();
+
+/**
+ * Outcome of one CLI run, written as run-summary.json next to its outputs so
+ * scheduled runs can be monitored without parsing logs
+ */
+class RunSummary {
+	/**
+	 * @param {string} command - e.g. "fetch"
+	 * @param {RequestMetrics} [metrics=requestMetrics]
+	 */
+	constructor(command, metrics = requestMetrics) {
+		this.command = command;
+		this.metrics = metrics;
+		this.startedAt = new Date();
+		this.outputs = [];
+		this.counts = {};
+		this.failures = [];
+	}
+
+	/**
+	 * @param {string} filePath
+	 */
+	addOutput(filePath) {
+		if (!this.outputs.includes(filePath)) this.outputs.push(filePath);
+	}
+
+	/**
+	 * @param {string} name - e.g. employeesProcessed, cellsUpdated
+	 * @param {number} [by=1]
+	 */
+	increment(name, by = 1) {
+		this.counts[name] = (this.counts[name] || 0) + by;
+	}
+
+	/**
+	 * @param {Object} failure - e.g. { employee, error }
+	 */
+	addFailure(failure) {
+		this.failures.push(failure);
+	}
+
+	/**
+	 * @param {Error} [error] - Set when the run failed as a whole
+	 * @returns {Object}
+	 */
+	toJSON(error) {
+		const finishedAt = new Date();
+		return {
+			command: this.command,
+			status: error ? 'failed' : 'success',
+			...(error && { error: error.message }),
+			startedAt: this.startedAt.toISOString(),
+			finishedAt: finishedAt.toISOString(),
+			durationMs: finishedAt - this.startedAt,
+			outputs: this.outputs,
+			...this.counts,
+			failures: this.failures,
+			requests: this.metrics.toJSON(),
+		};
+	}
+
+	/**
+	 * Write run-summary.json into the directory of the first output
+	 * @param {Error} [error]
+	 * @returns {string|null} Path written, or null when the run had no outputs
+	 */
+	write(error) {
+		if (this.outputs.length === 0) return null;
+
+		const filePath = path.join(
+			path.dirname(this.outputs[0]),
+			RUN_SUMMARY_FILE
+		);
+		fs.mkdirSync(path.dirname(filePath), { recursive: true });
+		fs.writeFileSync(filePath, JSON.stringify(this.toJSON(error), null, 2));
+		return filePath;
+	}
+}
+
+module.exports = {
+	RequestMetrics,
+	requestMetrics,
+	RunSummary,
+	RUN_SUMMARY_FILE,
+};
@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PROFILES_PATH = path.join(__dirname, '..', 'omnihr.profiles.json');
+const ALL_PROFILES = 'all';
+
+/**
+ * Read credentials for a profile. Passwords never live in the profiles file
+ * itself: they come from environment variables or a separate JSON file.
+ * @param {string} name - Profile name, for error messages
+ * @param {Object} credentials - { usernameEnv, passwordEnv } or { file }
+ * @param {string} baseDir - Directory relative paths are resolved against
+ * @returns {{ username: string, password: string }}
+ */
+function readCredentials(name, credentials = {}, baseDir) {
+	if (credentials.file) {
+		const file = path.resolve(baseDir, credentials.file);
+		if (!fs.existsSync(file)) {
+			throw new Error(`Profile "${name}": credentials file not found: ${file}`);
+		}
+		const { username, password } = JSON.parse(fs.readFileSync(file, 'utf8'));
+		if (!username || !password) {
+			throw new Error(
+				`Profile "${name}": ${file} must contain username and password`
+			);
+		}
+		return { username, password };
+	}
+
+	const { usernameEnv, passwordEnv } = credentials;
+	if (!usernameEnv || !passwordEnv) {
+		throw new Error(
+			`Profile "${name}": credentials need usernameEnv and passwordEnv, or file`
+		);
+	}
+
+	const username = process.env[usernameEnv];
+	const password = process.env[passwordEnv];
+	if (!username || !password) {
+		throw new Error(
+			`Profile "${name}": ${usernameEnv} and ${passwordEnv} environment variables are required`
+		);
+	}
+	return { username, password };
+}
+
+/**
+ * @param {string} [profilesPath] - Defaults to OMNIHR_PROFILES or omnihr.profiles.json
+ * @returns {{ profiles: Object, baseDir: string }}
+ */
+function loadProfiles(profilesPath) {
+	const file = path.resolve(
+		profilesPath || process.env.OMNIHR_PROFILES || DEFAULT_PROFILES_PATH
+	);
+	if (!fs.existsSync(file)) {
+		throw new Error(`Profiles file not found: ${file}`);
+	}
+
+	const { profiles } = JSON.parse(fs.readFileSync(file, 'utf8'));
+	if (!profiles || Object.keys(profiles).length === 0) {
+		throw new Error(`No profiles defined in ${file}`);
+	}
+
+	return { profiles, baseDir: path.dirname(file) };
+}
+
+/**
+ * Turn a profile entry into the tenant settings used by OmniHRAuth
+ * @param {string} name
+ * @param {Object} profile
+ * @param {string} baseDir
+ * @returns {Object} { name, baseURL, subdomain, username, password, outputDir,
+ *   excludedEmployees, workSchedules }
+ */
+function resolveProfile(name, profile, baseDir) {
+	if (!profile.subdomain) {
+		throw new Error(`Profile "${name}": subdomain is required`);
+	}
+
+	return {
+		name,
+		baseURL: profile.baseURL,
+		subdomain: profile.subdomain,
+		...readCredentials(name, profile.credentials, baseDir),
+		outputDir: profile.outputDir
+			? path.resolve(baseDir, profile.outputDir)
+			: null,
+		excludedEmployees: profile.excludedEmployees || [],
+		workSchedules: profile.workSchedules
+			? path.resolve(baseDir, profile.workSchedules)
+			: null,
+	};
+}
+
+/**
+ * Select tenants by name. "all" selects every profile; several names may be
+ * given comma-separated.
+ * @param {string} selection - e.g. "sm", "sm,sg" or "all"
+ * @param {string} [profilesPath]
+ * @returns {Array<Object>} Resolved tenants, see resolveProfile
+ */
+function selectProfiles(selection, profilesPath) {
+	const { profiles, baseDir } = loadProfiles(profilesPath);
+
+	const names =
+		selection === ALL_PROFILES
+			? Object.keys(profiles)
+			: selection
+					.split(',')
+					.map((n) => n.trim())
+					.filter(Boolean);
+
+	const unknown = names.filter((n) => !profiles[n]);
+	if (unknown.length > 0) {
+		throw new Error(
+			`Unknown profile(s): ${unknown.join(', ')}. Available: ${Object.keys(
+				profiles
+			).join(', ')}`
+		);
+	}
+
+	return names.map((name) => resolveProfile(name, profiles[name], baseDir));
+}
+
+module.exports = { loadProfiles, selectProfiles, ALL_PROFILES };
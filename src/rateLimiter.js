@@ -0,0 +1,53 @@
+/**
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+	return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Client-wide request limiter. Spaces requests evenly so that no more than
+ * `requestsPerSecond` start in any second, and lets a 429 pause every caller.
+ */
+class RateLimiter {
+	/**
+	 * @param {Object} options
+	 * @param {number} [options.requestsPerSecond=10] - 0 disables limiting
+	 */
+	constructor(options = {}) {
+		const { requestsPerSecond = 10 } = options;
+		this.intervalMs = requestsPerSecond > 0 ? 1000 / requestsPerSecond : 0;
+		this.nextSlotAt = 0;
+		this.pausedUntil = 0;
+	}
+
+	/**
+	 * Resolves when the caller may send its request
+	 * @returns {Promise<void>}
+	 */
+	async acquire() {
+		for (;;) {
+			const now = Date.now();
+			const slotAt = Math.max(now, this.nextSlotAt, this.pausedUntil);
+			this.nextSlotAt = slotAt + this.intervalMs;
+
+			if (slotAt > now) {
+				await sleep(slotAt - now);
+			}
+
+			// A pause issued while we were waiting applies to us as well
+			if (this.pausedUntil <= Date.now()) return;
+		}
+	}
+
+	/**
+	 * Hold back all callers, e.g. after the server answered 429
+	 * @param {number} ms
+	 */
+	pause(ms) {
+		this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+	}
+}
+
+module.exports = { RateLimiter, sleep };
@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { findPathTemplate } = require('./swagger');
+
+const DEFAULT_CACHE_DIR = path.join(__dirname, '..', '.cache', 'omnihr');
+
+const MODES = ['use', 'refresh', 'off'];
+
+const HOUR = 3600;
+
+/**
+ * Seconds a cached GET response stays fresh, by swagger path template.
+ * Routes not listed here are never cached. Leave requests change during the
+ * day, so the calendar is only kept long enough to cover a re-run.
+ */
+const DEFAULT_TTL_SECONDS = {
+	'/employee/list/': HOUR,
+	'/employee/2.0/users/{user_id}/base-data/': 24 * HOUR,
+	'/employee/1.1/users/{user_id}/time-off-types/': 12 * HOUR,
+	'/employee/1.1/users/{user_id}/time-off-types/{time_off_id}/balance-history/':
+		12 * HOUR,
+	'/employee/1.1/{user_id}/time-off-calendar/': 15 * 60,
+	'/employee/team-calendar/': 15 * 60,
+	'/onboarding/workflow-dashboard/': HOUR,
+	'/attendance/1.0/list/work-schedules/': 12 * HOUR,
+};
+
+/**
+ * On-disk cache for GET responses, one JSON file per URL and tenant.
+ *
+ * A fresh entry is returned without a request. A stale entry that came with
+ * an ETag or Last-Modified header is revalidated with a conditional request,
+ * and a 304 renews it without transferring the body again.
+ */
+class ResponseCache {
+	/**
+	 * @param {Object} [options]
+	 * @param {string} [options.mode='use'] - use, refresh (ignore entries but store
+	 *   new ones) or off
+	 * @param {string} [options.dir] - Defaults to .cache/omnihr
+	 * @param {Object} [options.ttl] - Overrides for DEFAULT_TTL_SECONDS; 0 disables a route
+	 * @param {string} [options.namespace] - Keeps tenants sharing a baseURL apart
+	 */
+	constructor(options = {}) {
+		const { mode = 'use', dir = DEFAULT_CACHE_DIR, ttl, namespace = '' } =
+			options;
+		if (!MODES.includes(mode)) {
+			throw new Error(
+				`Unknown cache mode "${mode}" (use ${MODES.join(', ')})`
+			);
+		}
+
+		this.mode = mode;
+		this.dir = dir;
+		this.namespace = namespace;
+		this.ttl = { ...DEFAULT_TTL_SECONDS, ...ttl };
+		this.stats = { hits: 0, revalidated: 0, misses: 0, stored: 0 };
+	}
+
+	/**
+	 * @returns {boolean}
+	 */
+	isEnabled() {
+		return this.mode !== 'off';
+	}
+
+	/**
+	 * @param {string} endpoint
+	 * @returns {boolean} True when GET responses for the endpoint are cached
+	 */
+	isCacheable(endpoint) {
+		return this.isEnabled() && this.getTtl(endpoint) > 0;
+	}
+
+	/**
+	 * @param {string} endpoint - Path relative to baseURL, query string included
+	 * @returns {number} TTL in seconds, 0 when the route is not cached
+	 */
+	getTtl(endpoint) {
+		const template = findPathTemplate(endpoint);
+		return (template && this.ttl[template]) || 0;
+	}
+
+	/**
+	 * @param {string} endpoint
+	 * @returns {string}
+	 */
+	getFilePath(endpoint) {
+		const hash = crypto
+			.createHash('sha256')
+			.update(`${this.namespace}\n${endpoint}`)
+			.digest('hex');
+		return path.join(this.dir, `${hash.slice(0, 32)}.json`);
+	}
+
+	/**
+	 * Look up a cached response. Stale entries are still returned, flagged, so
+	 * the caller can revalidate them.
+	 * @param {string} endpoint
+	 * @returns {{ endpoint: string, body: *, etag: string|null,
+	 *   lastModified: string|null, fresh: boolean }|null}
+	 */
+	lookup(endpoint) {
+		if (this.mode !== 'use' || !this.isCacheable(endpoint)) return null;
+
+		let entry;
+		try {
+			entry = JSON.parse(fs.readFileSync(this.getFilePath(endpoint), 'utf8'));
+		} catch {
+			return null; // Missing or half-written entries are plain misses
+		}
+		if (entry.endpoint !== endpoint) return null;
+
+		const ageSeconds = (Date.now() - entry.storedAt) / 1000;
+		return {
+			endpoint,
+			body: entry.body,
+			etag: entry.etag,
+			lastModified: entry.lastModified,
+			fresh: ageSeconds < this.getTtl(endpoint),
+		};
+	}
+
+	/**
+	 * @param {string} endpoint
+	 * @param {*} body - Parsed response body
+	 * @param {Headers} [headers] - Response headers, for ETag/Last-Modified
+	 */
+	store(endpoint, body, headers) {
+		if (!this.isCacheable(endpoint)) return;
+
+		this.write({
+			endpoint,
+			storedAt: Date.now(),
+			etag: headers?.get('etag') || null,
+			lastModified: headers?.get('last-modified') || null,
+			body,
+		});
+		this.stats.stored++;
+	}
+
+	/**
+	 * Restart the TTL of an entry the server confirmed unchanged (304)
+	 * @param {Object} entry - From lookup()
+	 * @param {Headers} [headers] - 304 response headers, may carry a new ETag
+	 * @returns {*} The cached body
+	 */
+	renew(entry, headers) {
+		this.write({
+			endpoint: entry.endpoint,
+			storedAt: Date.now(),
+			etag: headers?.get('etag') || entry.etag,
+			lastModified: headers?.get('last-modified') || entry.lastModified,
+			body: entry.body,
+		});
+		this.stats.revalidated++;
+		return entry.body;
+	}
+
+	/**
+	 * Write then rename, so a parallel reader never sees half a file
+	 * @param {Object} entry
+	 */
+	write(entry) {
+		const file = this.getFilePath(entry.endpoint);
+		const tmp = `${file}.${process.pid}.tmp`;
+		fs.mkdirSync(this.dir, { recursive: true });
+		fs.writeFileSync(tmp, JSON.stringify(entry));
+		fs.renameSync(tmp, file);
+	}
+
+	/**
+	 * @param {Object} entry - From lookup()
+	 * @returns {Object} Conditional request headers, empty when nothing to send
+	 */
+	getConditionalHeaders(entry) {
+		const headers = {};
+		if (entry.etag) headers['If-None-Match'] = entry.etag;
+		if (entry.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+		return headers;
+	}
+
+	/**
+	 * @returns {string} e.g. "cache: 120 hits, 3 revalidated, 7 misses"
+	 */
+	formatStats() {
+		const { hits, revalidated, misses } = this.stats;
+		return `cache: ${hits} hits, ${revalidated} revalidated, ${misses} misses`;
+	}
+}
+
+/**
+ * Build a cache from OMNIHR_CACHE / OMNIHR_CACHE_DIR / OMNIHR_CACHE_TTL
+ * @param {Object} [overrides] - Constructor options taking precedence over the env
+ * @returns {ResponseCache}
+ */
+function responseCacheFromEnv(overrides = {}) {
+	let ttl;
+	if (process.env.OMNIHR_CACHE_TTL) {
+		try {
+			ttl = JSON.parse(process.env.OMNIHR_CACHE_TTL);
+		} catch (error) {
+			throw new Error(`OMNIHR_CACHE_TTL is not valid JSON: ${error.message}`);
+		}
+	}
+
+	return new ResponseCache({
+		mode: process.env.OMNIHR_CACHE || 'use',
+		dir: process.env.OMNIHR_CACHE_DIR || undefined,
+		ttl,
+		...Object.fromEntries(
+			Object.entries(overrides).filter(([, value]) => value !== undefined)
+		),
+	});
+}
+
+module.exports = { ResponseCache, responseCacheFromEnv, DEFAULT_TTL_SECONDS };
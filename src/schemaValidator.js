@@ -0,0 +1,359 @@
+const fs = require('fs');
+const { loadSwagger, findPathTemplate } = require('./swagger');
+const { logger } = require('./logger');
+
+const MODES = ['off', 'warn', 'strict'];
+
+// Array items checked per response; drift shows up in the first few anyway
+const MAX_ITEMS_CHECKED = 20;
+const SAMPLE_MAX_LENGTH = 2000;
+
+/**
+ * Corrections to swagger.json where it disagrees with what the API actually
+ * returns, plus the fields our services read, marked as required so that a
+ * rename is reported instead of silently producing undefined.
+ */
+const DEFINITION_OVERRIDES = {
+	'Employee List Serializer': { required: ['id', 'full_name', 'hired_date'] },
+	BaseData: { required: ['employee_id'] },
+	UsersTimeOffTypeRecordSerializerV1_1: {
+		required: ['time_off', 'time_off_balance'],
+		properties: {
+			time_off_balance: {
+				type: 'object',
+				required: ['entitlement_earned', 'display_taken', 'days'],
+				properties: { entitlement_earned: {}, display_taken: {}, days: {} },
+			},
+		},
+	},
+	TimeOffCalendar: { required: ['time_off_request', 'holiday'] },
+	// time_off_request is documented as a string, but is the calendar's array
+	"Employee's Team Calendar Serializer": {
+		required: ['id', 'time_off_request', 'holiday'],
+		properties: {
+			time_off_request: {
+				type: 'array',
+				items: { $ref: '#/definitions/TimeOffRequestItem' },
+			},
+		},
+	},
+	TimeOffRequestItem: {
+		required: [
+			'id',
+			'time_off',
+			'status',
+			'end_date',
+			'effective_date_duration',
+			'end_date_duration',
+		],
+	},
+};
+
+const RESPONSE_OVERRIDES = {
+	// Documented as the request serializer, but returns a token pair
+	'POST /auth/token/': {
+		type: 'object',
+		required: ['access', 'refresh'],
+		properties: { access: { type: 'string' }, refresh: { type: 'string' } },
+	},
+	'POST /auth/token/refresh/': {
+		type: 'object',
+		required: ['access'],
+		properties: { access: { type: 'string' } },
+	},
+	// Documented as an array, but returns a single calendar object
+	'GET /employee/1.1/{user_id}/time-off-calendar/': {
+		$ref: '#/definitions/TimeOffCalendar',
+	},
+};
+
+/**
+ * @param {*} value
+ * @returns {string} JSON-schema style type name
+ */
+function typeOf(value) {
+	if (value === null) return 'null';
+	if (Array.isArray(value)) return 'array';
+	if (Number.isInteger(value)) return 'integer';
+	return typeof value;
+}
+
+/**
+ * @param {Object} schema
+ * @param {*} value
+ * @returns {boolean}
+ */
+function matchesType(schema, value) {
+	const actual = typeOf(value);
+	// swagger.json rarely marks nullable fields, and an empty value is not drift
+	if (actual === 'null') return true;
+
+	switch (schema.type) {
+		case 'number':
+			return actual === 'number' || actual === 'integer';
+		case 'string':
+			// Decimals are documented as strings but sometimes sent as numbers
+			return (
+				actual === 'string' ||
+				(schema.format === 'decimal' &&
+					(actual === 'number' || actual === 'integer'))
+			);
+		default:
+			return actual === schema.type;
+	}
+}
+
+/**
+ * Crude rename detection: names sharing a word, e.g. full_name -> fullname
+ * or display_taken -> taken
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function looksRenamed(a, b) {
+	const words = (s) => s.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+	const squash = (s) => words(s).join('');
+	if (squash(a) === squash(b)) return true;
+	const wordsB = words(b);
+	return words(a).some((w) => w.length > 2 && wordsB.includes(w));
+}
+
+/**
+ * Validates API responses against the schemas in swagger.json.
+ *
+ * In `warn` mode each endpoint's drift is reported once, as a log warning and
+ * optionally to a JSON report file; in `strict` mode missing fields and type
+ * mismatches throw. Fields the schema does not know about are listed in
+ * reports but never cause one, since additions do not break consumers.
+ */
+class SchemaValidator {
+	/**
+	 * @param {Object} [options]
+	 * @param {string} [options.mode='warn'] - off, warn or strict
+	 * @param {string} [options.reportPath] - Write drift reports to this JSON file
+	 */
+	constructor(options = {}) {
+		const { mode = 'warn', reportPath } = options;
+		if (!MODES.includes(mode)) {
+			throw new Error(
+				`Unknown schema validation mode "${mode}" (use ${MODES.join(', ')})`
+			);
+		}
+
+		this.mode = mode;
+		this.reportPath = reportPath;
+		this.reports = [];
+		this.reported = new Set();
+		this.swagger = mode === 'off' ? null : loadSwagger();
+	}
+
+	/**
+	 * @param {Object} schema
+	 * @returns {Object} Schema with $ref and overrides resolved (one level)
+	 */
+	resolve(schema) {
+		if (!schema || !schema.$ref) return schema || {};
+
+		const name = decodeURIComponent(schema.$ref.split('/').pop());
+		const base = this.swagger.definitions[name] || {};
+		const override = DEFINITION_OVERRIDES[name];
+		if (!override) return base;
+
+		return {
+			...base,
+			required: [
+				...new Set([...(base.required || []), ...(override.required || [])]),
+			],
+			properties: { ...base.properties, ...override.properties },
+		};
+	}
+
+	/**
+	 * @param {string} method
+	 * @param {string} template - swagger path template
+	 * @param {number} status
+	 * @returns {Object|null} Response schema, or null if undocumented
+	 */
+	getResponseSchema(method, template, status) {
+		const override = RESPONSE_OVERRIDES[`${method} ${template}`];
+		if (override) return override;
+
+		const operation = this.swagger.paths[template]?.[method.toLowerCase()];
+		if (!operation) return null;
+
+		const responses = operation.responses || {};
+		const response =
+			responses[status] ||
+			responses[200] ||
+			responses[201] ||
+			Object.values(responses)[0];
+		return response?.schema || null;
+	}
+
+	/**
+	 * Walk a payload and collect issues
+	 * @param {Object} schema
+	 * @param {*} value
+	 * @param {string} at - Field path, e.g. results[].time_off.name
+	 * @param {Array} issues
+	 */
+	check(schema, value, at, issues) {
+		const resolved = this.resolve(schema);
+
+		if (resolved.type && !matchesType(resolved, value)) {
+			issues.push({
+				kind: 'type',
+				field: at || '(root)',
+				expected: resolved.type,
+				actual: typeOf(value),
+			});
+			return;
+		}
+
+		if (Array.isArray(value)) {
+			const itemSchema = resolved.items;
+			if (!itemSchema) return;
+			value
+				.slice(0, MAX_ITEMS_CHECKED)
+				.forEach((item) => this.check(itemSchema, item, `${at}[]`, issues));
+			return;
+		}
+
+		if (typeOf(value) !== 'object' || !resolved.properties) return;
+
+		const prefix = at ? `${at}.` : '';
+		const missing = (resolved.required || []).filter((key) => !(key in value));
+		const unexpected = Object.keys(value).filter(
+			(key) => !(key in resolved.properties)
+		);
+
+		for (const key of missing) {
+			const renamedTo = unexpected.find((u) => looksRenamed(key, u));
+			issues.push(
+				renamedTo
+					? {
+							kind: 'renamed',
+							field: `${prefix}${key}`,
+							to: `${prefix}${renamedTo}`,
+					  }
+					: { kind: 'missing', field: `${prefix}${key}` }
+			);
+		}
+
+		for (const key of unexpected) {
+			issues.push({ kind: 'unexpected', field: `${prefix}${key}` });
+		}
+
+		for (const [key, propSchema] of Object.entries(resolved.properties)) {
+			if (key in value) {
+				this.check(propSchema, value[key], `${prefix}${key}`, issues);
+			}
+		}
+	}
+
+	/**
+	 * Validate one response body
+	 * @param {string} method
+	 * @param {string} endpoint - Path relative to baseURL
+	 * @param {number} status
+	 * @param {*} body - Parsed response body
+	 * @returns {Array} Issues found (empty when valid or undocumented)
+	 */
+	validate(method, endpoint, status, body) {
+		if (this.mode === 'off') return [];
+
+		const template = findPathTemplate(endpoint);
+		if (!template) return [];
+
+		const schema = this.getResponseSchema(method, template, status);
+		if (!schema) return [];
+
+		const issues = [];
+		this.check(schema, body, '', issues);
+		const deduped = [
+			...new Map(issues.map((i) => [`${i.kind} ${i.field}`, i])).values(),
+		];
+		if (deduped.length === 0) return [];
+
+		// Extra fields alone are not drift, but give context to a real report
+		const breaking = deduped.filter((i) => i.kind !== 'unexpected');
+		if (breaking.length === 0) return deduped;
+
+		const report = {
+			endpoint: `${method.toUpperCase()} ${template}`,
+			url: endpoint,
+			status,
+			issues: deduped,
+			sample: JSON.stringify(body).slice(0, SAMPLE_MAX_LENGTH),
+		};
+
+		if (this.mode === 'strict' && breaking.length > 0) {
+			throw new Error(
+				`Response schema mismatch for ${report.endpoint}: ${breaking
+					.map((i) => this.describe(i))
+					.join('; ')}`
+			);
+		}
+
+		this.record(report);
+		return deduped;
+	}
+
+	/**
+	 * @param {Object} issue
+	 * @returns {string}
+	 */
+	describe(issue) {
+		switch (issue.kind) {
+			case 'renamed':
+				return `${issue.field} missing, possibly renamed to ${issue.to}`;
+			case 'type':
+				return `${issue.field} expected ${issue.expected}, got ${issue.actual}`;
+			default:
+				return `${issue.field} ${issue.kind}`;
+		}
+	}
+
+	/**
+	 * Keep the first report per endpoint and issue set
+	 * @param {Object} report
+	 */
+	record(report) {
+		const signature = `${report.endpoint} ${report.issues
+			.map((i) => `${i.kind}:${i.field}`)
+			.join(',')}`;
+		if (this.reported.has(signature)) return;
+		this.reported.add(signature);
+		this.reports.push(report);
+
+		logger.warn(
+			`Schema drift in ${report.endpoint}: ${report.issues
+				.map((i) => this.describe(i))
+				.join('; ')}`
+		);
+
+		if (this.reportPath) {
+			fs.writeFileSync(
+				this.reportPath,
+				JSON.stringify(
+					{ generatedAt: new Date().toISOString(), reports: this.reports },
+					null,
+					2
+				)
+			);
+		}
+	}
+}
+
+/**
+ * Build a validator from OMNIHR_SCHEMA_VALIDATION / OMNIHR_SCHEMA_REPORT
+ * @returns {SchemaValidator}
+ */
+function schemaValidatorFromEnv() {
+	return new SchemaValidator({
+		mode: process.env.OMNIHR_SCHEMA_VALIDATION || 'off',
+		reportPath: process.env.OMNIHR_SCHEMA_REPORT || undefined,
+	});
+}
+
+module.exports = { SchemaValidator, schemaValidatorFromEnv };
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+
+/**
+ * Run every `omnihr` subcommand once against the fake OmniHR server, so a
+ * command that cannot even start (a missing module, a broken flag) fails
+ * here instead of in a scheduled run. Outputs go to a temporary directory.
+ *
+ *   npm run smoke
+ *
+ * A command registered in cli.js without arguments below fails the check.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { run, COMMANDS } = require('./cli');
+const { createFakeServer } = require('./fakeServer');
+const { generateFixtures } = require('./fakeFixtures');
+
+/**
+ * @param {string} dir - Temporary output directory
+ * @param {number} year - Year of the fixture data
+ * @returns {Object} Arguments per command name
+ */
+function smokeArgs(dir, year) {
+	const leaveData = path.join(dir, 'leave_data.json');
+	const period = ['--month=3', `--year=${year}`];
+	return {
+		fetch: [...period, `--output=${leaveData}`],
+		excel: [
+			...period,
+			`--input=${leaveData}`,
+			`--output=${path.join(dir, 'leave.xlsx')}`,
+		],
+		export: [...period, '--cache', `--input=${leaveData}`, `--output=${dir}`],
+		hires: [`--output=${path.join(dir, 'hires.md')}`],
+		balances: [`--output=${path.join(dir, 'balances.md')}`],
+		approvals: [
+			'--approve=all',
+			'--dry-run',
+			`--audit-log=${path.join(dir, 'approvals-audit.jsonl')}`,
+		],
+	};
+}
+
+async function main() {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'omnihr-smoke-'));
+	const fixtures = generateFixtures({ seed: 42, employeeCount: 10 });
+	const fake = createFakeServer({ fixtures });
+
+	// The fake server accepts any credentials; nothing may touch real state
+	process.env.OMNIHR_BASE_URL = await fake.listen();
+	process.env.OMNIHR_USERNAME = 'smoke';
+	process.env.OMNIHR_PASSWORD = 'smoke';
+	process.env.OMNIHR_SUBDOMAIN = 'smoke';
+	process.env.OMNIHR_CACHE = 'off';
+	process.env.OMNIHR_SNAPSHOT_DIR = path.join(dir, 'snapshots');
+	delete process.env.OMNIHR_CASSETTE_MODE;
+	delete process.env.OMNIHR_CASSETTE_DIR;
+
+	const failed = [];
+	try {
+		const args = smokeArgs(dir, fixtures.year);
+		// In order: excel and export read the file written by fetch
+		for (const name of Object.keys(COMMANDS)) {
+			if (!args[name]) {
+				console.log(`FAIL ${name}: no smoke arguments in smokeCheck.js`);
+				failed.push(name);
+				continue;
+			}
+			const code = await run([name, ...args[name], '--log-level=warn']);
+			console.log(`${code === 0 ? 'ok  ' : 'FAIL'} ${name} (exit ${code})`);
+			if (code !== 0) failed.push(name);
+		}
+	} finally {
+		await fake.close();
+		fs.rmSync(dir, { recursive: true, force: true });
+	}
+
+	if (failed.length > 0) {
+		console.log(`\n${failed.length} command(s) failed: ${failed.join(', ')}`);
+		process.exitCode = 1;
+	}
+}
+
+if (require.main === module) {
+	main().catch((err) => {
+		console.error('Error:', err.message);
+		process.exit(1);
+	});
+}
@@ -0,0 +1,71 @@
+const path = require('path');
+
+const SWAGGER_PATH = path.join(__dirname, '..', 'swagger.json');
+
+let swagger = null;
+let pathMatchers = null;
+
+/**
+ * Load swagger.json once (it is ~2 MB)
+ * @returns {Object}
+ */
+function loadSwagger() {
+	if (!swagger) {
+		swagger = require(SWAGGER_PATH);
+	}
+	return swagger;
+}
+
+/**
+ * Compile a swagger path template such as /employee/{user_id}/ into a matcher
+ * @param {string} template
+ * @returns {{ template: string, regex: RegExp, keys: Array<string> }}
+ */
+function compilePath(template) {
+	const keys = [];
+	const pattern = template
+		.split(/(\{[^}]+\})/)
+		.map((part) => {
+			const match = part.match(/^\{([^}]+)\}$/);
+			if (match) {
+				keys.push(match[1]);
+				return '([^/]+)';
+			}
+			return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+		})
+		.join('');
+	return { template, regex: new RegExp(`^${pattern}$`), keys };
+}
+
+/**
+ * @param {Object} matcher - From compilePath
+ * @param {string} pathname
+ * @returns {Object|null} Path params, or null when the path does not match
+ */
+function matchPath(matcher, pathname) {
+	const match = matcher.regex.exec(pathname);
+	if (!match) return null;
+	return Object.fromEntries(
+		matcher.keys.map((key, i) => [key, decodeURIComponent(match[i + 1])])
+	);
+}
+
+/**
+ * Find the documented path template for a concrete endpoint. Literal paths
+ * win over templated ones, e.g. /employee/list/ over /employee/{user_id}/.
+ * @param {string} endpoint - Path relative to basePath, query string allowed
+ * @returns {string|null}
+ */
+function findPathTemplate(endpoint) {
+	if (!pathMatchers) {
+		pathMatchers = Object.keys(loadSwagger().paths)
+			.map(compilePath)
+			.sort((a, b) => a.keys.length - b.keys.length);
+	}
+
+	const pathname = endpoint.split('?')[0];
+	const matcher = pathMatchers.find((m) => matchPath(m, pathname));
+	return matcher ? matcher.template : null;
+}
+
+module.exports = { loadSwagger, compilePath, matchPath, findPathTemplate };
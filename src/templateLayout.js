@@ -0,0 +1,270 @@
+/**
+ * Layout of an Excel timesheet template: the rows holding the day names, the
+ * day numbers and the employees, and the columns holding the employee ID,
+ * name, project and totals.
+ *
+ * A layout file is JSON with any of these keys; rows are numbers from 1,
+ * columns numbers from 1 or letters:
+ *
+ *   sheet           Worksheet name or id (default: 1)
+ *   headerRow       Row of the day numbers (default: detected)
+ *   dayNameRow      Row of the day names, null for none (default: headerRow - 1)
+ *   firstDataRow    First employee row (default: headerRow + 1)
+ *   firstDayColumn  Day numbers left of it are ignored (default: any column)
+ *   idColumn, nameColumn, projectColumn
+ *                   Found by their header text, else A, B and C
+ *   totalColumns    Never read as days; found by a "Total" header
+ *
+ * The header row is detected as the first row holding the day numbers 1 to
+ * 28 or more, so templates that only move the table need no layout file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Rows searched for the day numbers
+const MAX_HEADER_ROW = 20;
+// A header holds at least the days of February
+const MIN_DAY_COLUMNS = 28;
+
+const ROW_KEYS = ['headerRow', 'dayNameRow', 'firstDataRow'];
+const COLUMN_KEYS = [
+	'firstDayColumn',
+	'idColumn',
+	'nameColumn',
+	'projectColumn',
+];
+const LAYOUT_KEYS = ['sheet', ...ROW_KEYS, ...COLUMN_KEYS, 'totalColumns'];
+
+// Header text of the columns found by name, and where they are otherwise
+const NAMED_COLUMNS = {
+	idColumn: { header: /^(employee\s*)?id$/i, fallback: 1 },
+	nameColumn: { header: /^(employee(\s*name)?|name)$/i, fallback: 2 },
+	projectColumn: { header: /^project$/i, fallback: 3 },
+};
+const TOTAL_HEADER = /^total\b/i;
+
+/**
+ * @param {*} value - Header cell value, a number or a numeric string
+ * @returns {number|null} Day of month 1-31
+ */
+function parseDayNumber(value) {
+	const num =
+		typeof value === 'number'
+			? value
+			: typeof value === 'string'
+			? parseInt(value, 10)
+			: NaN;
+	return Number.isInteger(num) && num >= 1 && num <= 31 ? num : null;
+}
+
+/**
+ * @param {number|string} value - 11 or "K"
+ * @param {string} key - Layout key, for the error message
+ * @returns {number} Column number from 1
+ */
+function parseColumn(value, key) {
+	if (Number.isInteger(value) && value >= 1) return value;
+	if (typeof value === 'string' && /^[A-Z]{1,3}$/i.test(value.trim())) {
+		return [...value.trim().toUpperCase()].reduce(
+			(col, letter) => col * 26 + letter.charCodeAt(0) - 64,
+			0
+		);
+	}
+	throw new Error(
+		`Invalid template layout ${key} "${value}" (use a column number or letter)`
+	);
+}
+
+/**
+ * @param {number} col - Column number from 1
+ * @returns {string} Column letter, e.g. "K"
+ */
+function columnLetter(col) {
+	let letter = '';
+	for (let n = col; n > 0; n = Math.floor((n - 1) / 26)) {
+		letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+	}
+	return letter;
+}
+
+/**
+ * Check a layout from a file and turn its column letters into numbers
+ * @param {Object} raw - Parsed layout file
+ * @param {string} [source] - File name, for error messages
+ * @returns {Object} Layout descriptor
+ */
+function parseTemplateLayout(raw, source = 'template layout') {
+	if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+		throw new Error(`${source}: expected a JSON object`);
+	}
+
+	const layout = {};
+	for (const [key, value] of Object.entries(raw)) {
+		if (!LAYOUT_KEYS.includes(key)) {
+			throw new Error(
+				`${source}: unknown key "${key}" (keys: ${LAYOUT_KEYS.join(', ')})`
+			);
+		}
+		if (value === undefined || (value === 'auto' && key === 'headerRow')) {
+			continue;
+		}
+
+		if (ROW_KEYS.includes(key)) {
+			if (value === null && key === 'dayNameRow') {
+				layout[key] = null;
+				continue;
+			}
+			if (!Number.isInteger(value) || value < 1) {
+				throw new Error(`${source}: ${key} must be a row number from 1`);
+			}
+			layout[key] = value;
+		} else if (COLUMN_KEYS.includes(key)) {
+			layout[key] = parseColumn(value, key);
+		} else if (key === 'totalColumns') {
+			if (!Array.isArray(value)) {
+				throw new Error(`${source}: totalColumns must be a list of columns`);
+			}
+			layout[key] = value.map((col) => parseColumn(col, key));
+		} else {
+			layout[key] = value;
+		}
+	}
+	return layout;
+}
+
+/**
+ * Load the layout of a template: from `filePath`, OMNIHR_TEMPLATE_LAYOUT, or
+ * <template>.layout.json next to the template, first match wins
+ * @param {string} [filePath]
+ * @param {string} [templatePath]
+ * @returns {Object} Layout descriptor, empty to detect everything
+ */
+function loadTemplateLayout(filePath, templatePath) {
+	const explicit = filePath || process.env.OMNIHR_TEMPLATE_LAYOUT;
+	const file = explicit
+		? path.resolve(explicit)
+		: templatePath && templatePath.replace(/\.xlsx$/i, '.layout.json');
+
+	if (!file || !fs.existsSync(file)) {
+		if (explicit) throw new Error(`Template layout file not found: ${file}`);
+		return {};
+	}
+	return parseTemplateLayout(
+		JSON.parse(fs.readFileSync(file, 'utf8')),
+		path.basename(file)
+	);
+}
+
+/**
+ * @param {Object} sheet - ExcelJS worksheet
+ * @param {number} rowNumber
+ * @param {number} [firstDayColumn=1]
+ * @returns {Set<number>} Day numbers in the row
+ */
+function dayNumbersInRow(sheet, rowNumber, firstDayColumn = 1) {
+	const days = new Set();
+	sheet.getRow(rowNumber).eachCell({ includeEmpty: false }, (cell, col) => {
+		const day = col >= firstDayColumn ? parseDayNumber(cell.value) : null;
+		if (day) days.add(day);
+	});
+	return days;
+}
+
+/**
+ * @param {Object} sheet - ExcelJS worksheet
+ * @param {number} [firstDayColumn]
+ * @returns {number|null} First row holding day 1 and at least 28 day numbers
+ */
+function findHeaderRow(sheet, firstDayColumn) {
+	const lastRow = Math.min(sheet.rowCount, MAX_HEADER_ROW);
+	for (let rowNumber = 1; rowNumber <= lastRow; rowNumber++) {
+		const days = dayNumbersInRow(sheet, rowNumber, firstDayColumn);
+		if (days.has(1) && days.size >= MIN_DAY_COLUMNS) return rowNumber;
+	}
+	return null;
+}
+
+/**
+ * Fill in what a layout descriptor leaves out from the sheet itself
+ * @param {Object} sheet - ExcelJS worksheet
+ * @param {Object} [descriptor] - From loadTemplateLayout
+ * @returns {Object} Layout with every key set
+ * @throws {Error} When no header row is given and none is found
+ */
+function resolveTemplateLayout(sheet, descriptor = {}) {
+	let headerRow = descriptor.headerRow;
+	if (headerRow === undefined) {
+		headerRow = findHeaderRow(sheet, descriptor.firstDayColumn);
+		if (!headerRow) {
+			throw new Error(
+				`No row of day numbers found in rows 1-${MAX_HEADER_ROW} of "${sheet.name}"; set headerRow in a template layout file`
+			);
+		}
+	}
+
+	const headers = [];
+	sheet.getRow(headerRow).eachCell({ includeEmpty: false }, (cell, col) => {
+		if (typeof cell.value === 'string') {
+			headers.push({ col, text: cell.value.trim() });
+		}
+	});
+
+	const columns = {};
+	for (const [key, { header, fallback }] of Object.entries(NAMED_COLUMNS)) {
+		if (descriptor[key] !== undefined) {
+			columns[key] = descriptor[key];
+			continue;
+		}
+		const found = headers.find(({ text }) => header.test(text));
+		columns[key] = found ? found.col : fallback;
+	}
+
+	const totalColumns =
+		descriptor.totalColumns ??
+		headers
+			.filter(({ text }) => TOTAL_HEADER.test(text))
+			.map(({ col }) => col);
+
+	return {
+		sheet: descriptor.sheet ?? 1,
+		headerRow,
+		dayNameRow:
+			descriptor.dayNameRow !== undefined
+				? descriptor.dayNameRow
+				: headerRow > 1
+				? headerRow - 1
+				: null,
+		firstDataRow: descriptor.firstDataRow ?? headerRow + 1,
+		firstDayColumn: descriptor.firstDayColumn ?? 1,
+		...columns,
+		totalColumns,
+	};
+}
+
+/**
+ * @param {Object} layout - From resolveTemplateLayout
+ * @returns {string} e.g. "day numbers in row 3, day names in row 2, ..."
+ */
+function formatTemplateLayout(layout) {
+	const totals = layout.totalColumns.map(columnLetter).join(', ') || 'none';
+	return [
+		`day numbers in row ${layout.headerRow}`,
+		`day names in row ${layout.dayNameRow ?? 'none'}`,
+		`employees from row ${layout.firstDataRow}`,
+		`ID in ${columnLetter(layout.idColumn)}`,
+		`name in ${columnLetter(layout.nameColumn)}`,
+		`project in ${columnLetter(layout.projectColumn)}`,
+		`totals in ${totals}`,
+	].join(', ');
+}
+
+module.exports = {
+	parseDayNumber,
+	columnLetter,
+	parseTemplateLayout,
+	loadTemplateLayout,
+	findHeaderRow,
+	resolveTemplateLayout,
+	formatTemplateLayout,
+};
@@ -1,20 +1,47 @@
-require('dotenv').config();
+if (require.main === module) require('dotenv').config({ quiet: true });
 const ExcelJS = require('exceljs');
 const fs = require('fs');
 const path = require('path');
 const { month, year } = require('./config');
-
+const { logger } = require('./logger');
+const {
+	sliceLeaveDaysByMonth,
+	sliceLeaveDataByMonth,
+	collectHolidays,
+} = require('./leavePeriods');
+const { hoursOn, DEFAULT_HOURS } = require('./workSchedules');
+const {
+	parseDayNumber,
+	parseTemplateLayout,
+	loadTemplateLayout,
+	resolveTemplateLayout,
+	formatTemplateLayout,
+} = require('./templateLayout');
+const {
+	DEFAULT_LEAVE_COLORS,
+	readableFont,
+	loadLeavePalette,
+	leaveColors,
+	paletteColors,
+} = require('./leavePalette');
+
+// Leave colours are per leave type, see leavePalette.js
 const COLORS = {
-	FULL_DAY: 'FFFF0000', // Red for full day
-	HALF_DAY: 'FFFFA500', // Orange for half day
-	WEEKEND: 'FFD3D3D3', // Light grey for weekend
+	WEEKEND: 'FFD3D3D3', // Light grey for weekends and other non-working days
+	HOLIDAY: 'FFFF0000', // Red for public holidays, as CONFIG.COLORS.HOLIDAY
 	FONT_BLACK: 'FF000000',
 	FONT_WHITE: 'FFFFFFFF',
 	FONT_GREY: 'FF808080',
 };
 
+// Half day for leave data written before leave days carried their hours
 const HALF_DAY_HOURS = 4;
-const HEADER_ROW = 3;
+
+const DEFAULT_HOLIDAYS_PATH = path.join(__dirname, '..', 'holidays.json');
+
+const LEGEND_SHEET_NAME = 'Leave Legend';
+const SUMMARY_SHEET_NAME = 'Summary';
+const ORIGINAL_HOURS_SHEET_NAME = 'Original Hours';
 
 /**
  * Check if a date is a weekend (Saturday or Sunday).
@@ -31,22 +58,50 @@ function isWeekend(day, month, year) {
 }
 
 /**
- * Load leave data from a JSON file, filtering out weekends.
+ * Scheduled hours of an employee on a day of the month.
+ *
+ * @param {Object} [schedule] - Work schedule from the leave data, Mon-Fri if absent.
+ * @param {number} day - Day of month (1-31).
+ * @param {number} month - Month (0-11).
+ * @param {number} year - Full year.
+ * @return {number} Hours, 0 on a non-working day.
+ */
+function getScheduledHours(schedule, day, month, year) {
+	return hoursOn(schedule, new Date(year, month, day));
+}
+
+/**
+ * Read the leave data JSON file. It is read once per run and passed to the
+ * loaders below.
  *
  * @param {string} leaveDataPath - Path to the JSON file containing leave data.
- * @param {number} month - Month (0-11) for weekend check.
- * @param {number} year - Year for weekend check.
+ * @return {Array} Employee records as written by the fetch.
+ */
+function readLeaveData(leaveDataPath) {
+	return JSON.parse(fs.readFileSync(leaveDataPath, 'utf8'));
+}
+
+/**
+ * Load the leave data of one month, keeping approved and pending leave on
+ * working days.
+ * The data may cover several months; leave days outside the month are dropped.
+ *
+ * @param {Array} leaveData - From readLeaveData.
+ * @param {number} month - Month (0-11).
+ * @param {number} year - Year.
  * @return {Object} An object mapping employee names to their leave data.
  */
-function loadLeaveData(leaveDataPath, month = 10, year = 2025) {
-	const leaveData = JSON.parse(fs.readFileSync(leaveDataPath, 'utf8'));
+function loadLeaveData(leaveData, month = 10, year = 2025) {
 	const employeeLeaves = {};
 
-	for (const emp of leaveData) {
+	for (const emp of sliceLeaveDataByMonth(leaveData, month, year)) {
 		if (emp.leave_requests && emp.leave_requests.length > 0) {
-			// Filter out weekend leaves
+			// Filter out leaves on non-working days, and rejected or cancelled
+			// leave, which is kept in the data but is not time off
 			const filteredRequests = emp.leave_requests.filter(
-				(leave) => !isWeekend(leave.date, month, year)
+				(leave) =>
+					getScheduledHours(emp.work_schedule, leave.day, month, year) > 0 &&
+					(isApproved(leave) || leave.status === 'pending')
 			);
 
 			if (filteredRequests.length > 0) {
@@ -54,6 +109,8 @@ function loadLeaveData(leaveDataPath, month = 10, year = 2025) {
 				employeeLeaves[name] = {
 					leave_requests: filteredRequests,
 					employee_id: emp.employee_id,
+					employee_name: emp.employee_name.trim(),
+					work_schedule: emp.work_schedule,
 				};
 			}
 		}
@@ -62,29 +119,183 @@ function loadLeaveData(leaveDataPath, month = 10, year = 2025) {
 	return employeeLeaves;
 }
 
+/**
+ * Load the work schedule of every employee from the leave data.
+ * Files written before schedules were fetched have none.
+ *
+ * @param {Array} leaveData - From readLeaveData.
+ * @return {Array} Array of { name, employee_id, work_schedule } objects.
+ */
+function loadWorkSchedules(leaveData) {
+	// Names are not unique, so this is a list rather than a name lookup
+	return leaveData
+		.filter((emp) => emp.work_schedule)
+		.map((emp) => ({
+			name: emp.employee_name.trim().toLowerCase(),
+			employee_id: emp.employee_id,
+			work_schedule: emp.work_schedule,
+		}));
+}
+
+/**
+ * Load the employees whose leave was fetched, leaving out failed employees:
+ * their leave is unknown, so cells marked in an earlier run are kept.
+ *
+ * @param {Array} leaveData - From readLeaveData.
+ * @return {Array} Array of { name, employee_id } objects.
+ */
+function loadFetchedEmployees(leaveData) {
+	return leaveData
+		.filter((emp) => !emp.error)
+		.map((emp) => ({
+			name: emp.employee_name.trim().toLowerCase(),
+			employee_id: emp.employee_id,
+		}));
+}
+
+/**
+ * Load public holidays from a local file, for leave data fetched without them
+ * or holidays missing from OmniHR. The file is a JSON list of { date, name,
+ * is_half_day } objects with ISO dates, like the `holidays` of the leave data.
+ *
+ * @param {string} [filePath] - Defaults to OMNIHR_HOLIDAYS or holidays.json in
+ *   the project root.
+ * @return {Array} Holidays, empty when no file is given or found.
+ */
+function loadHolidayFile(filePath) {
+	const explicit = filePath || process.env.OMNIHR_HOLIDAYS;
+	const file = path.resolve(explicit || DEFAULT_HOLIDAYS_PATH);
+	if (!fs.existsSync(file)) {
+		if (explicit) throw new Error(`Holidays file not found: ${file}`);
+		return [];
+	}
+
+	const holidays = JSON.parse(fs.readFileSync(file, 'utf8'));
+	if (!Array.isArray(holidays)) {
+		throw new Error(`${path.basename(file)}: expected a list of holidays`);
+	}
+	for (const holiday of holidays) {
+		if (!/^\d{4}-\d{2}-\d{2}$/.test(holiday?.date || '')) {
+			throw new Error(
+				`${path.basename(file)}: holiday without a YYYY-MM-DD date: ${JSON.stringify(
+					holiday
+				)}`
+			);
+		}
+	}
+	return holidays;
+}
+
+/**
+ * Days of the full-day holidays in a list; half-day holidays leave hours to
+ * work, so their cells are filled as usual.
+ *
+ * @param {Array} holidays - Holidays sliced to a month.
+ * @return {Set} Days of month.
+ */
+function fullDayHolidays(holidays) {
+	return new Set(holidays.filter((h) => !h.is_half_day).map((h) => h.day));
+}
+
+/**
+ * Load the public holidays of one month from the leave data and a holiday
+ * file. Employees fetched with their holidays get their own plus the file's;
+ * everyone else gets every holiday of the month.
+ *
+ * @param {Array} leaveData - From readLeaveData.
+ * @param {number} month - Month (0-11).
+ * @param {number} year - Year.
+ * @param {Array} [fileHolidays] - From loadHolidayFile.
+ * @return {Object} { names: Map of day to holiday name, days: Set of full-day
+ *   holidays, employees: Array of { name, employee_id, days } }.
+ */
+function loadHolidays(leaveData, month, year, fileHolidays = []) {
+	const monthData = sliceLeaveDataByMonth(leaveData, month, year);
+	const monthHolidays = sliceLeaveDaysByMonth(fileHolidays, month, year);
+	const all = collectHolidays([{ holidays: monthHolidays }, ...monthData]);
+
+	const names = new Map();
+	for (const holiday of all) {
+		const name = holiday.name || 'Public Holiday';
+		names.set(holiday.day, holiday.is_half_day ? `${name} (half day)` : name);
+	}
+
+	return {
+		names,
+		days: fullDayHolidays(all),
+		// Failed employees have an empty list rather than no holidays
+		employees: monthData
+			.filter((emp) => emp.holidays && !emp.error)
+			.map((emp) => ({
+				name: emp.employee_name.trim().toLowerCase(),
+				employee_id: emp.employee_id,
+				days: fullDayHolidays([...monthHolidays, ...emp.holidays]),
+			})),
+	};
+}
+
+/**
+ * Load the cells a change log from leaveChanges.js touches in one month: the
+ * days of every added, modified and cancelled request, before and after the
+ * change.
+ *
+ * @param {string} changesPath - Path to leave_changes.json.
+ * @param {number} month - Month (0-11).
+ * @param {number} year - Year.
+ * @return {Array} Array of { name, employee_id, days: Set } objects.
+ */
+function loadChangedDays(changesPath, month, year) {
+	const { requests } = JSON.parse(fs.readFileSync(changesPath, 'utf8'));
+	const employees = new Map();
+
+	for (const request of [
+		...requests.added,
+		...requests.modified,
+		...requests.cancelled,
+	]) {
+		const name = request.employee_name.trim().toLowerCase();
+		const key = `${request.employee_id || ''}|${name}`;
+		if (!employees.has(key)) {
+			employees.set(key, {
+				name,
+				employee_id: request.employee_id,
+				days: new Set(),
+			});
+		}
+
+		const dates = [
+			...Object.keys(request.days),
+			...Object.keys(request.previous_days || {}),
+		];
+		for (const date of dates) {
+			const [y, m, d] = date.split('-').map(Number);
+			if (y === year && m === month + 1) employees.get(key).days.add(d);
+		}
+	}
+
+	return [...employees.values()].filter((emp) => emp.days.size > 0);
+}
+
 /**
  * Parse all day columns from the header row.
  *
  * @param {Object} sheet - The Excel sheet object.
+ * @param {Object} layout - Template layout from resolveTemplateLayout.
  * @return {Object} An object mapping day numbers to column indices.
  */
-function parseAllDayColumns(sheet) {
-	const headerRow = sheet.getRow(HEADER_ROW);
+function parseAllDayColumns(sheet, layout) {
+	const headerRow = sheet.getRow(layout.headerRow);
 	const dayColumns = {};
 
 	headerRow.eachCell({ includeEmpty: false }, (cell, colNumber) => {
-		const value = cell.value;
-		let dayNum = null;
-
-		if (typeof value === 'number' && value >= 1 && value <= 31) {
-			dayNum = value;
-		} else if (typeof value === 'string') {
-			const num = parseInt(value, 10);
-			if (!isNaN(num) && num >= 1 && num <= 31) {
-				dayNum = num;
-			}
+		if (
+			colNumber < layout.firstDayColumn ||
+			layout.totalColumns.includes(colNumber)
+		) {
+			return;
 		}
 
+		const dayNum = parseDayNumber(cell.value);
 		if (dayNum) {
 			dayColumns[dayNum] = colNumber;
 		}
@@ -138,38 +349,74 @@ function getDayName(day, month, year) {
 	return dayNames[date.getDay()];
 }
 
+/**
+ * Get the short name of a month, for sheet names.
+ *
+ * @param {number} month - Month (0-11).
+ * @return {string} Month name abbreviation (Jan, Feb, ...).
+ */
+function getMonthName(month) {
+	const monthNames = [
+		'Jan',
+		'Feb',
+		'Mar',
+		'Apr',
+		'May',
+		'Jun',
+		'Jul',
+		'Aug',
+		'Sep',
+		'Oct',
+		'Nov',
+		'Dec',
+	];
+	return monthNames[month];
+}
+
 /**
  * Restructure the sheet columns for the specific month.
- * Updates headers to show correct day numbers, day names, and styles weekend columns.
+ * Updates headers to show correct day numbers and day names, greys each
+ * employee's non-working days and zeroes their public holidays, noting the
+ * holiday's name on the header. Rows without a work schedule get Mon-Fri.
  *
  * @param {Object} sheet - The Excel sheet object.
+ * @param {Object} layout - Template layout from resolveTemplateLayout.
  * @param {Object} allDayColumns - All day columns mapping from template.
  * @param {number} month - Month (0-11).
  * @param {number} year - Year.
- * @return {Object} Weekday columns mapping (for leave processing).
+ * @param {Object} employeeRowsById - Object mapping employee IDs to row data.
+ * @param {Map} [rowSchedules] - Work schedules by row number.
+ * @param {Object} [holidays] - From loadHolidays.
+ * @param {Function} [isHoliday] - From mapRowHolidays.
+ * @return {Object} Working day columns mapping (for leave processing).
  */
 function restructureColumnsForMonth(
 	sheet,
+	layout,
 	allDayColumns,
 	month,
 	year,
-	employeeRowsById
+	employeeRowsById,
+	rowSchedules = new Map(),
+	holidays = { names: new Map() },
+	isHoliday = () => false
 ) {
 	const daysInMonth = getDaysInMonth(month, year);
-	const DEFAULT_HOURS = 8;
 
 	// Sort template columns by their original day number (from template header)
 	const sortedDays = Object.keys(allDayColumns)
 		.map(Number)
 		.sort((a, b) => a - b);
 
-	const dayNameRow = sheet.getRow(2);
-	const headerRow = sheet.getRow(HEADER_ROW);
-	const weekdayColumns = {};
+	// Templates without a day-name row only get their day numbers updated
+	const dayNameRow =
+		layout.dayNameRow !== null ? sheet.getRow(layout.dayNameRow) : null;
+	const headerRow = sheet.getRow(layout.headerRow);
+	const workingDayColumns = {};
 	const weekendDays = [];
 
 	// Get all employee row numbers for setting default values
-	const allEmployeeRowNums = new Set();
+	const allEmployeeRowNums = new Set(rowSchedules.keys());
 	Object.values(employeeRowsById).forEach((rows) => {
 		rows.forEach((r) => allEmployeeRowNums.add(r.rowNum));
 	});
@@ -217,16 +464,29 @@ function restructureColumnsForMonth(
 			colIndex = lastTemplateColIndex + (day - templateColumnCount);
 		}
 
-		dayNameRow.getCell(colIndex).value = getDayName(day, month, year);
+		if (dayNameRow) {
+			dayNameRow.getCell(colIndex).value = getDayName(day, month, year);
+		}
 
-		// Update row 3 with day number
+		// Update the header row with the day number
 		headerRow.getCell(colIndex).value = day.toString();
+		if (holidays.names.has(day)) {
+			headerRow.getCell(colIndex).note = holidays.names.get(day);
+		}
 
 		if (isWeekend(day, month, year)) {
 			weekendDays.push(day);
-			// Style weekend columns with grey background and 0 value
-			allEmployeeRowNums.forEach((rowNum) => {
-				const cell = sheet.getCell(rowNum, colIndex);
+		} else {
+			workingDayColumns[day] = colIndex;
+		}
+
+		allEmployeeRowNums.forEach((rowNum) => {
+			const cell = sheet.getCell(rowNum, colIndex);
+			const schedule = rowSchedules.get(rowNum);
+			const scheduledHours = getScheduledHours(schedule, day, month, year);
+
+			if (scheduledHours === 0) {
+				// Style non-working days with grey background and 0 value
 				cell.value = 0;
 				cell.style = {
 					fill: {
@@ -236,30 +496,38 @@ function restructureColumnsForMonth(
 					},
 					font: { color: { argb: COLORS.FONT_GREY } },
 				};
-			});
-		} else {
-			// Weekday - ensure cells have value if empty (copy from adjacent column)
-			allEmployeeRowNums.forEach((rowNum) => {
-				const cell = sheet.getCell(rowNum, colIndex);
-				const value = cell.value;
-				// If cell is empty/null/0, find value from next valid column
-				if (
-					value === null ||
-					value === undefined ||
-					value === '' ||
-					value === 0
-				) {
-					cell.value = findNextValidValue(rowNum, colIndex);
-				}
-			});
-			weekdayColumns[day] = colIndex;
-		}
+				return;
+			}
+
+			if (isHoliday(rowNum, day)) {
+				applyHolidayStyle(cell);
+				return;
+			}
+
+			// Working day - ensure cells have value if empty, from the schedule
+			// or else copied from an adjacent column
+			const value = cell.value;
+			if (
+				value === null ||
+				value === undefined ||
+				value === '' ||
+				value === 0
+			) {
+				cell.value = schedule
+					? scheduledHours
+					: findNextValidValue(rowNum, colIndex);
+				// An empty cell was a day off in the template's month; drop its grey
+				cell.fill = { type: 'pattern', pattern: 'none' };
+				cell.font = { ...cell.font, color: { argb: COLORS.FONT_BLACK } };
+			}
+			workingDayColumns[day] = colIndex;
+		});
 	}
 
 	// Clear extra columns if month has fewer days than template
 	for (let i = daysInMonth; i < templateColumnCount; i++) {
 		const colIndex = allDayColumns[sortedDays[i]];
-		dayNameRow.getCell(colIndex).value = '';
+		if (dayNameRow) dayNameRow.getCell(colIndex).value = '';
 		headerRow.getCell(colIndex).value = '';
 
 		allEmployeeRowNums.forEach((rowNum) => {
@@ -269,59 +537,68 @@ function restructureColumnsForMonth(
 		});
 	}
 
-	console.log(`Restructured for ${month + 1}/${year}: ${daysInMonth} days`);
-	console.log(`Weekend days (grey): ${weekendDays.join(', ')}`);
-	console.log(
-		`Weekday columns: ${Object.keys(weekdayColumns)
+	logger.info(`Restructured for ${month + 1}/${year}: ${daysInMonth} days`);
+	logger.debug(`Weekend days (grey): ${weekendDays.join(', ')}`);
+	logger.debug(
+		`Working day columns: ${Object.keys(workingDayColumns)
 			.sort((a, b) => a - b)
 			.join(', ')}`
 	);
 
-	return weekdayColumns;
+	return workingDayColumns;
+}
+
+/**
+ * Read the hours in a day cell.
+ *
+ * @param {*} cellValue - The cell's value.
+ * @return {number} Hours, 0 for an empty or non-numeric cell.
+ */
+function cellHours(cellValue) {
+	if (typeof cellValue === 'number') return cellValue;
+	if (
+		cellValue &&
+		typeof cellValue === 'object' &&
+		cellValue.result !== undefined
+	) {
+		// Handle formula cells - use the result value
+		return typeof cellValue.result === 'number'
+			? cellValue.result
+			: parseFloat(cellValue.result) || 0;
+	}
+	if (typeof cellValue === 'string') return parseFloat(cellValue) || 0;
+	return 0;
 }
 
 /**
  * Parse employee rows from the sheet.
  *
  * @param {Object} sheet - The Excel sheet object.
+ * @param {Object} layout - Template layout from resolveTemplateLayout.
  * @param {Object} dayColumns - Object mapping day numbers to column indices.
  * @return {Object} Objects mapping employee IDs and names to their row data.
  */
-function parseEmployeeRows(sheet, dayColumns) {
+function parseEmployeeRows(sheet, layout, dayColumns) {
 	const employeeRowsById = {};
 	const employeeRowsByName = {};
 
 	sheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
-		if (rowNumber <= HEADER_ROW) return;
+		if (rowNumber < layout.firstDataRow) return;
 
-		const sheetId = row.getCell(1).value;
-		const employeeName = row.getCell(2).value;
+		const sheetId = row.getCell(layout.idColumn).value;
+		const employeeName = row.getCell(layout.nameColumn).value;
+		const project = row.getCell(layout.projectColumn).value;
 
 		const dayHours = {};
 		for (const [day, colIdx] of Object.entries(dayColumns)) {
-			const cellValue = row.getCell(colIdx).value;
-			let hours = 0;
-
-			if (typeof cellValue === 'number') {
-				hours = cellValue;
-			} else if (
-				cellValue &&
-				typeof cellValue === 'object' &&
-				cellValue.result !== undefined
-			) {
-				// Handle formula cells - use the result value
-				hours =
-					typeof cellValue.result === 'number'
-						? cellValue.result
-						: parseFloat(cellValue.result) || 0;
-			} else if (typeof cellValue === 'string') {
-				hours = parseFloat(cellValue) || 0;
-			}
-
-			dayHours[day] = hours;
+			dayHours[day] = cellHours(row.getCell(colIdx).value);
 		}
 
-		const rowData = { rowNum: rowNumber, dayHours };
+		const rowData = {
+			rowNum: rowNumber,
+			project: typeof project === 'string' ? project.trim() : null,
+			dayHours,
+		};
 
 		if (sheetId && typeof sheetId === 'string') {
 			const idUpper = sheetId.trim().toUpperCase();
@@ -442,19 +719,143 @@ function findEmployeeRows(
 }
 
 /**
- * Apply full day leave style to a cell.
+ * Map sheet rows to the work schedules of the employees they belong to.
+ *
+ * @param {Array} employeeSchedules - From loadWorkSchedules.
+ * @param {Object} employeeRowsById - Object mapping employee IDs to row data.
+ * @param {Object} employeeRowsByName - Object mapping employee names to row data.
+ * @return {Map} Work schedules by row number.
+ */
+function mapRowSchedules(
+	employeeSchedules,
+	employeeRowsById,
+	employeeRowsByName
+) {
+	const rowSchedules = new Map();
+
+	for (const { name, employee_id, work_schedule } of employeeSchedules) {
+		const rows = findEmployeeRows(
+			name,
+			employee_id,
+			employeeRowsById,
+			employeeRowsByName
+		);
+		for (const { rowNum } of rows || []) {
+			rowSchedules.set(rowNum, work_schedule);
+		}
+	}
+
+	return rowSchedules;
+}
+
+/**
+ * Find the sheet rows of the given employees.
+ *
+ * @param {Array} employees - From loadFetchedEmployees.
+ * @param {Object} employeeRowsById - Object mapping employee IDs to row data.
+ * @param {Object} employeeRowsByName - Object mapping employee names to row data.
+ * @return {Set<number>} Row numbers.
+ */
+function mapEmployeeRows(employees, employeeRowsById, employeeRowsByName) {
+	const rowNums = new Set();
+
+	for (const { name, employee_id } of employees) {
+		const rows = findEmployeeRows(
+			name,
+			employee_id,
+			employeeRowsById,
+			employeeRowsByName
+		);
+		for (const { rowNum } of rows || []) rowNums.add(rowNum);
+	}
+
+	return rowNums;
+}
+
+/**
+ * Map sheet rows to the full-day holidays of the employees they belong to.
+ *
+ * @param {Object} holidays - From loadHolidays.
+ * @param {Object} employeeRowsById - Object mapping employee IDs to row data.
+ * @param {Object} employeeRowsByName - Object mapping employee names to row data.
+ * @return {Function} (rowNum, day) => true on a holiday of the row's employee.
+ */
+function mapRowHolidays(holidays, employeeRowsById, employeeRowsByName) {
+	const rowHolidays = new Map();
+
+	for (const { name, employee_id, days } of holidays.employees) {
+		const rows = findEmployeeRows(
+			name,
+			employee_id,
+			employeeRowsById,
+			employeeRowsByName
+		);
+		for (const { rowNum } of rows || []) {
+			rowHolidays.set(rowNum, days);
+		}
+	}
+
+	return (rowNum, day) => (rowHolidays.get(rowNum) || holidays.days).has(day);
+}
+
+/**
+ * Build a leave cell fill. Pending leave is hatched over white so it reads as
+ * tentative next to solid approved leave.
+ *
+ * @param {string} color - ARGB color.
+ * @param {boolean} isPending - Whether the leave is still pending approval.
+ * @return {Object} ExcelJS fill.
+ */
+function leaveFill(color, isPending) {
+	if (!isPending) {
+		return { type: 'pattern', pattern: 'solid', fgColor: { argb: color } };
+	}
+	return {
+		type: 'pattern',
+		pattern: 'lightUp',
+		fgColor: { argb: color },
+		bgColor: { argb: COLORS.FONT_WHITE },
+	};
+}
+
+/**
+ * Apply public holiday style to a cell.
  *
  * @param {Object} cell - The Excel cell object.
  */
-function applyFullDayStyle(cell) {
+function applyHolidayStyle(cell) {
 	cell.value = 0;
 	cell.style = {
 		fill: {
 			type: 'pattern',
 			pattern: 'solid',
-			fgColor: { argb: COLORS.FULL_DAY },
+			fgColor: { argb: COLORS.HOLIDAY },
+		},
+		font: { color: { argb: COLORS.FONT_WHITE } },
+	};
+}
+
+/**
+ * Apply full day leave style to a cell.
+ *
+ * @param {Object} cell - The Excel cell object.
+ * @param {boolean} [isPending] - Whether the leave is still pending approval.
+ * @param {Object} [colors] - Colours of the leave type, from leaveColors.
+ */
+function applyFullDayStyle(
+	cell,
+	isPending = false,
+	colors = DEFAULT_LEAVE_COLORS
+) {
+	cell.value = 0;
+	cell.style = {
+		fill: leaveFill(colors.full, isPending),
+		font: {
+			color: {
+				argb: isPending ? COLORS.FONT_BLACK : readableFont(colors.full),
+			},
+			bold: true,
 		},
-		font: { color: { argb: COLORS.FONT_WHITE }, bold: true },
 	};
 }
 
@@ -463,16 +864,24 @@ function applyFullDayStyle(cell) {
  *
  * @param {Object} cell - The Excel cell object.
  * @param {number} newHours - The new hours value to display.
+ * @param {boolean} [isPending] - Whether the leave is still pending approval.
+ * @param {Object} [colors] - Colours of the leave type, from leaveColors.
  */
-function applyHalfDayStyle(cell, newHours) {
+function applyHalfDayStyle(
+	cell,
+	newHours,
+	isPending = false,
+	colors = DEFAULT_LEAVE_COLORS
+) {
 	cell.value = newHours;
 	cell.style = {
-		fill: {
-			type: 'pattern',
-			pattern: 'solid',
-			fgColor: { argb: COLORS.HALF_DAY },
+		fill: leaveFill(colors.half, isPending),
+		font: {
+			color: {
+				argb: isPending ? COLORS.FONT_BLACK : readableFont(colors.half),
+			},
+			bold: true,
 		},
-		font: { color: { argb: COLORS.FONT_BLACK }, bold: true },
 	};
 }
 
@@ -482,28 +891,48 @@ function applyHalfDayStyle(cell, newHours) {
  * @param {Object} sheet - The Excel sheet object.
  * @param {Array} targetRows - Array of row objects to process.
  * @param {number} colIndex - The column index to process.
+ * @param {boolean} [isPending] - Whether the leave is still pending approval.
+ * @param {Object} [colors] - Colours of the leave type, from leaveColors.
  * @return {number} The count of processed rows.
  */
-function processFullDayLeave(sheet, targetRows, colIndex) {
+function processFullDayLeave(
+	sheet,
+	targetRows,
+	colIndex,
+	isPending = false,
+	colors = DEFAULT_LEAVE_COLORS
+) {
 	let count = 0;
 	for (const { rowNum } of targetRows) {
 		const cell = sheet.getCell(rowNum, colIndex);
-		applyFullDayStyle(cell);
+		applyFullDayStyle(cell, isPending, colors);
 		count++;
 	}
 	return count;
 }
 
 /**
- * Process half day leave entries.
+ * Process half day and hourly leave entries, deducting the hours taken.
  *
  * @param {Object} sheet - The Excel sheet object.
  * @param {Array} targetRows - Array of row objects to process.
  * @param {number} colIndex - The column index to process.
  * @param {number} dayNum - The day number (0-6) to process.
+ * @param {number} [leaveHours] - Hours of leave taken that day, shared
+ *   across the employee's rows.
+ * @param {boolean} [isPending] - Whether the leave is still pending approval.
+ * @param {Object} [colors] - Colours of the leave type, from leaveColors.
  * @return {number} The count of processed rows.
  */
-function processHalfDayLeave(sheet, targetRows, colIndex, dayNum) {
+function processHalfDayLeave(
+	sheet,
+	targetRows,
+	colIndex,
+	dayNum,
+	leaveHours = HALF_DAY_HOURS,
+	isPending = false,
+	colors = DEFAULT_LEAVE_COLORS
+) {
 	let count = 0;
 
 	const totalHours = targetRows.reduce(
@@ -517,11 +946,11 @@ function processHalfDayLeave(sheet, targetRows, colIndex, dayNum) {
 
 		let hoursToDeduct = 0;
 		if (totalHours > 0) {
-			hoursToDeduct = (originalHours / totalHours) * HALF_DAY_HOURS;
+			hoursToDeduct = (originalHours / totalHours) * leaveHours;
 		}
 		const newHours = Math.max(0, originalHours - hoursToDeduct);
 
-		applyHalfDayStyle(cell, newHours);
+		applyHalfDayStyle(cell, newHours, isPending, colors);
 		count++;
 	}
 
@@ -529,75 +958,967 @@ function processHalfDayLeave(sheet, targetRows, colIndex, dayNum) {
 }
 
 /**
- * Process leave requests and update the Excel sheet
+ * Check whether a leave day is approved. Leave data written before leave days
+ * carried a status only holds approved leave.
  *
- * @param {Object} sheet - The Excel sheet object
- * @param {Object} employeeLeaves - The leave data for employees
- * @param {Object} dayColumns - Mapping of dates to column indices
- * @param {Object} employeeRowsById - Mapping of employee IDs to row objects
- * @param {Object} employeeRowsByName - Mapping of employee names to row objects
- * @return {Object} Statistics about the processing
+ * @param {Object} leave - Leave day record.
+ * @return {boolean} True if approved.
  */
-function processLeaveRequests(
-	sheet,
-	employeeLeaves,
-	dayColumns,
-	employeeRowsById,
-	employeeRowsByName
-) {
-	let updatedCells = 0;
-	let matchedEmployees = 0;
-	const notFoundEmployees = [];
-
-	for (const [empName, empData] of Object.entries(employeeLeaves)) {
-		const { leave_requests: leaves, employee_id: employeeId } = empData;
+function isApproved(leave) {
+	return !leave.status || leave.status === 'approved';
+}
 
-		const targetRows = findEmployeeRows(
-			empName,
-			employeeId,
-			employeeRowsById,
-			employeeRowsByName
-		);
+/**
+ * Check whether a leave day covers part of the day: a half day or hourly leave.
+ *
+ * @param {Object} leave - Leave day record.
+ * @return {boolean} True if partial.
+ */
+function isPartialDay(leave) {
+	return Boolean(leave.is_half_day) || leave.period === 'hours';
+}
 
-		if (!targetRows || targetRows.length === 0) {
-			notFoundEmployees.push(`${empName} (${employeeId || 'no ID'})`);
-			continue;
-		}
+/**
+ * Order leave days so approved leave is applied last and wins over pending
+ * leave on the same day.
+ *
+ * @param {Array} leaves - Leave day records.
+ * @return {Array} Sorted copy.
+ */
+function sortByStatus(leaves) {
+	return [...leaves].sort(
+		(a, b) => Number(isApproved(a)) - Number(isApproved(b))
+	);
+}
 
-		matchedEmployees++;
+/**
+ * Group leave days by day of month. A day's cell shows its approved leave, or
+ * its pending leave when none is approved, like shownLeaves.
+ *
+ * @param {Array} leaves - Leave day records.
+ * @return {Array} { day, all, shown } objects: every leave of the day,
+ *   sorted by sortByStatus, and the leave its cell shows.
+ */
+function groupLeavesByDay(leaves) {
+	const byDay = new Map();
+	for (const leave of sortByStatus(leaves)) {
+		if (!byDay.has(leave.day)) byDay.set(leave.day, []);
+		byDay.get(leave.day).push(leave);
+	}
+	return [...byDay].map(([day, dayLeaves]) => {
+		const approved = dayLeaves.filter(isApproved);
+		return {
+			day,
+			all: dayLeaves,
+			shown: approved.length > 0 ? approved : dayLeaves,
+		};
+	});
+}
 
-		for (const leave of leaves) {
-			const colIndex = dayColumns[leave.date];
-			if (!colIndex) continue;
+/**
+ * Describe a leave day for the note on its cell.
+ *
+ * @param {Object} leave - Leave day record.
+ * @return {string} e.g. "Annual Leave: half day (AM), pending".
+ */
+function describeLeave(leave) {
+	let duration = 'full day';
+	if (leave.period === 'hours') {
+		duration = `${leave.hours ?? HALF_DAY_HOURS} hours`;
+	} else if (leave.period === 'am' || leave.period === 'pm') {
+		duration = `half day (${leave.period.toUpperCase()})`;
+	} else if (leave.is_half_day) {
+		duration = 'half day';
+	}
+	return `${leave.leave_type || 'Leave'}: ${duration}, ${
+		leave.status || 'approved'
+	}`;
+}
 
-			if (leave.is_half_day) {
-				updatedCells += processHalfDayLeave(
-					sheet,
-					targetRows,
-					colIndex,
-					leave.date
-				);
-			} else {
-				updatedCells += processFullDayLeave(sheet, targetRows, colIndex);
-			}
-		}
+/**
+ * Remove the note of a cell. ExcelJS has no API for it: `cell.note = undefined`
+ * still saves an empty comment box and `cell.note = null` fails on save, so
+ * this drops the comment the note is stored in, and fails loudly should an
+ * ExcelJS upgrade store notes elsewhere.
+ *
+ * @param {Object} cell - The Excel cell object.
+ */
+function clearNote(cell) {
+	if (cell.note === undefined) return;
+	delete cell._comment;
+	if (cell.note !== undefined) {
+		throw new Error(`Could not remove the note of ${cell.address}`);
 	}
+}
 
-	return { updatedCells, matchedEmployees, notFoundEmployees };
+/**
+ * Check whether a cell carries a leave fill, solid or hatched.
+ *
+ * @param {Object} cell - The Excel cell object.
+ * @param {Set} [leaveCellColors] - From paletteColors.
+ * @return {boolean} True if styled as leave.
+ */
+function isLeaveCell(cell, leaveCellColors = paletteColors(new Map())) {
+	const color = cell.fill && cell.fill.fgColor && cell.fill.fgColor.argb;
+	return leaveCellColors.has(color);
 }
 
 /**
- * Convert formulas to static values only in day columns.
- * This preserves formulas in Total Hours, Total Days, etc.
+ * Reset changed cells of a filled workbook to working hours, so leave can be
+ * applied to them again. Cells with recorded hours get them back; otherwise
+ * rows with a work schedule get its hours, others the hours of their nearest
+ * working cell without leave, as restructuring does. Cells on a public
+ * holiday are zeroed again.
  *
  * @param {Object} sheet - The Excel sheet object.
- * @param {Object} dayColumns - Day columns to convert.
+ * @param {Array} changedDays - From loadChangedDays.
+ * @param {Object} dayColumns - Mapping of day numbers to column indices.
+ * @param {Object} employeeRowsById - Mapping of employee IDs to row objects.
+ * @param {Object} employeeRowsByName - Mapping of employee names to row objects.
+ * @param {Map} rowSchedules - Work schedules by row number.
+ * @param {number} month - Month (0-11).
+ * @param {number} year - Year.
+ * @param {Function} [isHoliday] - From mapRowHolidays.
+ * @param {Map} [palette] - From loadLeavePalette, to tell leave cells apart.
+ * @param {Map} [originalHours] - Address -> hours from loadOriginalHours;
+ *   reset cells are removed.
+ * @return {number} The count of reset cells.
  */
-function convertDayColumnFormulas(sheet, dayColumns) {
-	const colIndices = new Set(Object.values(dayColumns));
-
+function resetChangedCells(
+	sheet,
+	changedDays,
+	dayColumns,
+	employeeRowsById,
+	employeeRowsByName,
+	rowSchedules,
+	month,
+	year,
+	isHoliday = () => false,
+	palette = new Map(),
+	originalHours = new Map()
+) {
+	let count = 0;
+	const leaveCellColors = paletteColors(palette);
+
+	const findWorkingHours = (rowNum) => {
+		for (const colIndex of Object.values(dayColumns)) {
+			const cell = sheet.getCell(rowNum, colIndex);
+			if (typeof cell.value === 'number' && cell.value > 0) {
+				if (!isLeaveCell(cell, leaveCellColors)) return cell.value;
+			}
+		}
+		return DEFAULT_HOURS;
+	};
+
+	for (const { name, employee_id, days } of changedDays) {
+		const rows =
+			findEmployeeRows(
+				name,
+				employee_id,
+				employeeRowsById,
+				employeeRowsByName
+			) || [];
+
+		for (const day of days) {
+			const colIndex = dayColumns[day];
+			if (!colIndex) continue;
+
+			for (const { rowNum } of rows) {
+				const schedule = rowSchedules.get(rowNum);
+				const scheduledHours = getScheduledHours(schedule, day, month, year);
+				if (scheduledHours === 0) continue;
+
+				const cell = sheet.getCell(rowNum, colIndex);
+				clearNote(cell);
+				count++;
+				if (isHoliday(rowNum, day)) {
+					applyHolidayStyle(cell);
+					continue;
+				}
+
+				if (originalHours.has(cell.address)) {
+					cell.value = originalHours.get(cell.address);
+					originalHours.delete(cell.address);
+				} else {
+					cell.value = schedule ? scheduledHours : findWorkingHours(rowNum);
+				}
+				// A loaded workbook shares style objects between cells, so replace
+				// the style instead of setting its fill
+				cell.style = {
+					...cell.style,
+					fill: { type: 'pattern', pattern: 'none' },
+					font: { color: { argb: COLORS.FONT_BLACK } },
+				};
+			}
+		}
+	}
+
+	return count;
+}
+
+/**
+ * Keep only the leave days on changed cells.
+ *
+ * @param {Object} employeeLeaves - From loadLeaveData.
+ * @param {Array} changedDays - From loadChangedDays.
+ * @return {Object} Leave data in the loadLeaveData format.
+ */
+function filterChangedLeaves(employeeLeaves, changedDays) {
+	// Leave data is keyed by name, so merge employees sharing one
+	const daysByName = new Map();
+	for (const { name, days } of changedDays) {
+		daysByName.set(name, new Set([...(daysByName.get(name) || []), ...days]));
+	}
+
+	const filtered = {};
+	for (const [name, days] of daysByName) {
+		const empData = employeeLeaves[name];
+		if (!empData) continue;
+
+		const leaves = empData.leave_requests.filter((leave) =>
+			days.has(leave.day)
+		);
+		if (leaves.length > 0) {
+			filtered[name] = { ...empData, leave_requests: leaves };
+		}
+	}
+
+	return filtered;
+}
+
+/**
+ * Process leave requests and update the Excel sheet. Each leave cell is
+ * coloured by leave type and gets a note describing its leave.
+ *
+ * @param {Object} sheet - The Excel sheet object
+ * @param {Object} employeeLeaves - The leave data for employees
+ * @param {Object} dayColumns - Mapping of dates to column indices
+ * @param {Object} employeeRowsById - Mapping of employee IDs to row objects
+ * @param {Object} employeeRowsByName - Mapping of employee names to row objects
+ * @param {Function} [isHoliday] - From mapRowHolidays; no leave is marked on
+ *   holidays
+ * @param {Map} [palette] - From loadLeavePalette
+ * @param {Map} [originalHours] - Address -> hours; the hours of each cell
+ *   before its first leave are added to it
+ * @return {Object} Statistics about the processing
+ */
+function processLeaveRequests(
+	sheet,
+	employeeLeaves,
+	dayColumns,
+	employeeRowsById,
+	employeeRowsByName,
+	isHoliday = () => false,
+	palette = new Map(),
+	originalHours = new Map()
+) {
+	let updatedCells = 0;
+	let matchedEmployees = 0;
+	const notFoundEmployees = [];
+	// Note lines per cell: pending and approved leave on one day are both noted
+	const notes = new Map();
+
+	for (const [empName, empData] of Object.entries(employeeLeaves)) {
+		const { leave_requests: leaves, employee_id: employeeId } = empData;
+
+		const targetRows = findEmployeeRows(
+			empName,
+			employeeId,
+			employeeRowsById,
+			employeeRowsByName
+		);
+
+		if (!targetRows || targetRows.length === 0) {
+			notFoundEmployees.push(`${empName} (${employeeId || 'no ID'})`);
+			continue;
+		}
+
+		matchedEmployees++;
+
+		for (const { day, all, shown } of groupLeavesByDay(leaves)) {
+			const colIndex = dayColumns[day];
+			if (!colIndex) continue;
+
+			const rows = targetRows.filter(({ rowNum }) => !isHoliday(rowNum, day));
+			if (rows.length === 0) continue;
+
+			for (const { rowNum } of rows) {
+				const { address, value } = sheet.getCell(rowNum, colIndex);
+				if (!originalHours.has(address)) {
+					originalHours.set(address, value === null ? null : cellHours(value));
+				}
+			}
+
+			const isPending = shown[0].status === 'pending';
+			const fullDay = shown.find((leave) => !isPartialDay(leave));
+			if (fullDay) {
+				updatedCells += processFullDayLeave(
+					sheet,
+					rows,
+					colIndex,
+					isPending,
+					leaveColors(palette, fullDay.leave_type)
+				);
+			} else {
+				// Morning and afternoon leave on one day add up to the whole day
+				const leaveHours = shown.reduce(
+					(sum, leave) => sum + (leave.hours ?? HALF_DAY_HOURS),
+					0
+				);
+				updatedCells += processHalfDayLeave(
+					sheet,
+					rows,
+					colIndex,
+					day,
+					leaveHours,
+					isPending,
+					leaveColors(palette, shown[shown.length - 1].leave_type)
+				);
+			}
+
+			for (const { rowNum } of rows) {
+				const cell = sheet.getCell(rowNum, colIndex);
+				if (!notes.has(cell)) notes.set(cell, []);
+				notes.get(cell).push(...all.map(describeLeave));
+			}
+		}
+	}
+
+	for (const [cell, lines] of notes) {
+		cell.note = lines.join('\n');
+	}
+
+	return { updatedCells, matchedEmployees, notFoundEmployees };
+}
+
+/**
+ * Share of a working day a leave day takes: 1 for a full day, 0.5 for a half
+ * day, and hourly leave against the employee's scheduled hours.
+ *
+ * @param {Object} leave - Leave day record.
+ * @param {Object} [schedule] - Work schedule from the leave data.
+ * @param {number} month - Month (0-11).
+ * @param {number} year - Year.
+ * @return {number} Days.
+ */
+function leaveDays(leave, schedule, month, year) {
+	if (leave.period === 'hours') {
+		const scheduledHours = getScheduledHours(schedule, leave.day, month, year);
+		const hours = leave.hours ?? HALF_DAY_HOURS;
+		return scheduledHours > 0 ? Math.min(1, hours / scheduledHours) : 0;
+	}
+	return leave.is_half_day ? 0.5 : 1;
+}
+
+/**
+ * Leave days of an employee as their cells show them: none on holidays, and
+ * pending leave only on days without approved leave.
+ *
+ * @param {Object} empData - Employee entry from loadLeaveData.
+ * @param {number} rowNum - One of the employee's rows, for their holidays.
+ * @param {Function} isHoliday - From mapRowHolidays.
+ * @return {Array} Leave day records.
+ */
+function shownLeaves(empData, rowNum, isHoliday) {
+	const leaves = empData.leave_requests.filter(
+		(leave) => !isHoliday(rowNum, leave.day)
+	);
+	const approvedDays = new Set(
+		leaves.filter(isApproved).map((leave) => leave.day)
+	);
+	return leaves.filter(
+		(leave) => isApproved(leave) || !approvedDays.has(leave.day)
+	);
+}
+
+/**
+ * Sum the leave days of each employee in the sheet per leave type, counting
+ * what the cells show (see shownLeaves).
+ *
+ * @param {Object} employeeLeaves - From loadLeaveData.
+ * @param {Object} employeeRowsById - Mapping of employee IDs to row objects.
+ * @param {Object} employeeRowsByName - Mapping of employee names to row objects.
+ * @param {Function} isHoliday - From mapRowHolidays.
+ * @param {number} month - Month (0-11).
+ * @param {number} year - Year.
+ * @return {Array} { employee_name, employee_id, days: { type: days }, pending }
+ *   objects sorted by name.
+ */
+function summarizeLeaveDays(
+	employeeLeaves,
+	employeeRowsById,
+	employeeRowsByName,
+	isHoliday,
+	month,
+	year
+) {
+	const summary = [];
+
+	for (const [empName, empData] of Object.entries(employeeLeaves)) {
+		const rows = findEmployeeRows(
+			empName,
+			empData.employee_id,
+			employeeRowsById,
+			employeeRowsByName
+		);
+		if (!rows || rows.length === 0) continue;
+
+		const days = {};
+		let pending = 0;
+		for (const leave of shownLeaves(empData, rows[0].rowNum, isHoliday)) {
+			const type = leave.leave_type || 'Leave';
+			const taken = leaveDays(leave, empData.work_schedule, month, year);
+			days[type] = (days[type] || 0) + taken;
+			if (!isApproved(leave)) pending += taken;
+		}
+
+		if (Object.keys(days).length > 0) {
+			summary.push({
+				employee_name: empData.employee_name || empName,
+				employee_id: empData.employee_id,
+				days,
+				pending,
+			});
+		}
+	}
+
+	return summary.sort((a, b) => a.employee_name.localeCompare(b.employee_name));
+}
+
+/**
+ * Write the legend sheet: the colour of every leave type in the period, and
+ * the leave days per employee and type. Replaces the sheet of an earlier run.
+ *
+ * @param {Object} workbook - The Excel workbook object.
+ * @param {Array} summary - From summarizeLeaveDays or mergeLeaveSummaries.
+ * @param {Map} palette - From loadLeavePalette.
+ * @param {string} period - e.g. "11/2025", for the table title.
+ */
+function writeLegendSheet(workbook, summary, palette, period) {
+	const existing = workbook.getWorksheet(LEGEND_SHEET_NAME);
+	if (existing) workbook.removeWorksheet(existing.id);
+	const sheet = workbook.addWorksheet(LEGEND_SHEET_NAME);
+
+	const types = [
+		...new Set(summary.flatMap((emp) => Object.keys(emp.days))),
+	].sort();
+	const solid = (argb) => ({
+		fill: { type: 'pattern', pattern: 'solid', fgColor: { argb } },
+	});
+
+	sheet.addRow(['Leave type', 'Full day', 'Half day', 'Pending']).font = {
+		bold: true,
+	};
+	for (const type of types) {
+		const colors = leaveColors(palette, type);
+		const row = sheet.addRow([type]);
+		row.getCell(2).style = { fill: leaveFill(colors.full, false) };
+		row.getCell(3).style = { fill: leaveFill(colors.half, false) };
+		row.getCell(4).style = { fill: leaveFill(colors.full, true) };
+	}
+	sheet.addRow(['Public holiday']).getCell(2).style = solid(COLORS.HOLIDAY);
+	sheet.addRow(['Non-working day']).getCell(2).style = solid(COLORS.WEEKEND);
+
+	sheet.addRow([]);
+	sheet.addRow([`Leave days in ${period}`]).font = { bold: true };
+	sheet.addRow(['Employee', 'ID', ...types, 'Total', 'Pending']).font = {
+		bold: true,
+	};
+
+	const totals = Object.fromEntries(types.map((type) => [type, 0]));
+	for (const emp of summary) {
+		const days = types.map((type) => emp.days[type] || 0);
+		types.forEach((type, i) => (totals[type] += days[i]));
+		sheet.addRow([
+			emp.employee_name,
+			emp.employee_id || '',
+			...days,
+			days.reduce((sum, d) => sum + d, 0),
+			emp.pending,
+		]);
+	}
+	const totalDays = types.map((type) => totals[type]);
+	sheet.addRow([
+		'Total',
+		'',
+		...totalDays,
+		totalDays.reduce((sum, d) => sum + d, 0),
+		summary.reduce((sum, emp) => sum + emp.pending, 0),
+	]).font = { bold: true };
+
+	sheet.getColumn(1).width = 28;
+	for (let col = 2; col <= types.length + 4; col++) {
+		sheet.getColumn(col).width = 14;
+	}
+}
+
+/**
+ * Add up the leave days of several months per employee.
+ *
+ * @param {Array<Array>} summaries - From summarizeLeaveDays, one per month.
+ * @return {Array} Same shape as summarizeLeaveDays, sorted by name.
+ */
+function mergeLeaveSummaries(summaries) {
+	const merged = new Map();
+
+	for (const emp of summaries.flat()) {
+		const key = emp.employee_id || emp.employee_name.toLowerCase();
+		if (!merged.has(key)) {
+			merged.set(key, {
+				employee_name: emp.employee_name,
+				employee_id: emp.employee_id,
+				days: {},
+				pending: 0,
+			});
+		}
+		const total = merged.get(key);
+		for (const [type, days] of Object.entries(emp.days)) {
+			total.days[type] = (total.days[type] || 0) + days;
+		}
+		total.pending += emp.pending;
+	}
+
+	return [...merged.values()].sort((a, b) =>
+		a.employee_name.localeCompare(b.employee_name)
+	);
+}
+
+/**
+ * Total what a filled month sheet shows per employee: the hours left in the
+ * day columns of all their rows, and the days marked as full or partial
+ * leave (see shownLeaves). A day with both counts as a full day.
+ *
+ * @param {Object} sheet - The Excel sheet object.
+ * @param {Object} layout - Template layout from resolveTemplateLayout.
+ * @param {Object} dayColumns - Working day columns from restructureColumnsForMonth.
+ * @param {Object} employeeLeaves - From loadLeaveData.
+ * @param {Object} employeeRowsById - Mapping of employee IDs to row objects.
+ * @param {Object} employeeRowsByName - Mapping of employee names to row objects.
+ * @param {Function} isHoliday - From mapRowHolidays.
+ * @return {Map} Employee ID, else lower-cased name, to { employee_name,
+ *   employee_id, hours, fullDays, halfDays } in sheet order.
+ */
+function summarizeMonthSheet(
+	sheet,
+	layout,
+	dayColumns,
+	employeeLeaves,
+	employeeRowsById,
+	employeeRowsByName,
+	isHoliday
+) {
+	const employees = new Map();
+	const rowKeys = new Map();
+
 	sheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
-		if (rowNumber <= HEADER_ROW) return;
+		if (rowNumber < layout.firstDataRow) return;
+
+		const sheetId = row.getCell(layout.idColumn).value;
+		const employeeName = row.getCell(layout.nameColumn).value;
+		const id = typeof sheetId === 'string' ? sheetId.trim() : '';
+		const name = typeof employeeName === 'string' ? employeeName.trim() : '';
+		if (!id && !name) return;
+
+		const key = id ? id.toUpperCase() : name.toLowerCase();
+		if (!employees.has(key)) {
+			employees.set(key, {
+				employee_name: name,
+				employee_id: id,
+				hours: 0,
+				fullDays: 0,
+				halfDays: 0,
+			});
+		}
+		for (const colIdx of Object.values(dayColumns)) {
+			employees.get(key).hours += cellHours(row.getCell(colIdx).value);
+		}
+		rowKeys.set(rowNumber, key);
+	});
+
+	for (const [empName, empData] of Object.entries(employeeLeaves)) {
+		const rows = findEmployeeRows(
+			empName,
+			empData.employee_id,
+			employeeRowsById,
+			employeeRowsByName
+		);
+		const totals = rows && employees.get(rowKeys.get(rows[0].rowNum));
+		if (!totals) continue;
+
+		const fullDays = new Set();
+		const partialDays = new Set();
+		for (const leave of shownLeaves(empData, rows[0].rowNum, isHoliday)) {
+			(isPartialDay(leave) ? partialDays : fullDays).add(leave.day);
+		}
+		totals.fullDays += fullDays.size;
+		totals.halfDays += [...partialDays].filter(
+			(day) => !fullDays.has(day)
+		).length;
+	}
+
+	return employees;
+}
+
+/**
+ * Write the summary sheet of a multi-month workbook: per employee, the hours
+ * worked and the full and half days of leave of each month, and their totals.
+ * Replaces the sheet of an earlier run.
+ *
+ * @param {Object} workbook - The Excel workbook object.
+ * @param {Array} monthSummaries - { month, year, employees } objects, where
+ *   employees comes from summarizeMonthSheet.
+ */
+function writeSummarySheet(workbook, monthSummaries) {
+	const existing = workbook.getWorksheet(SUMMARY_SHEET_NAME);
+	if (existing) workbook.removeWorksheet(existing.id);
+	const sheet = workbook.addWorksheet(SUMMARY_SHEET_NAME);
+
+	const columns = ['Hours', 'Full days', 'Half days'];
+	const groups = [
+		...monthSummaries.map(
+			({ month, year }) => `${getMonthName(month)} ${year}`
+		),
+		'Total',
+	];
+
+	const header = sheet.addRow([
+		'Employee',
+		'ID',
+		...groups.flatMap((label) => [label, '', '']),
+	]);
+	const subHeader = sheet.addRow(['', '', ...groups.flatMap(() => columns)]);
+	header.font = { bold: true };
+	subHeader.font = { bold: true };
+	groups.forEach((_, i) => {
+		const col = 3 + i * columns.length;
+		sheet.mergeCells(1, col, 1, col + columns.length - 1);
+		sheet.getCell(1, col).alignment = { horizontal: 'center' };
+	});
+
+	// Employees in sheet order; every month sheet comes from the same template
+	const employees = new Map();
+	for (const { employees: monthEmployees } of monthSummaries) {
+		for (const [key, emp] of monthEmployees) {
+			if (!employees.has(key)) employees.set(key, emp);
+		}
+	}
+
+	const totals = new Array(groups.length * columns.length).fill(0);
+	for (const [key, emp] of employees) {
+		const total = [0, 0, 0];
+		const values = monthSummaries.flatMap(({ employees: monthEmployees }) => {
+			const month = monthEmployees.get(key);
+			const counts = month
+				? [month.hours, month.fullDays, month.halfDays]
+				: [0, 0, 0];
+			counts.forEach((value, i) => (total[i] += value));
+			return counts;
+		});
+		const row = [...values, ...total];
+		row.forEach((value, i) => (totals[i] += value));
+		sheet.addRow([emp.employee_name, emp.employee_id, ...row]);
+	}
+	sheet.addRow(['Total', '', ...totals]).font = { bold: true };
+
+	sheet.getColumn(1).width = 28;
+	for (let col = 2; col <= totals.length + 2; col++) {
+		sheet.getColumn(col).width = 11;
+	}
+	sheet.views = [{ state: 'frozen', xSplit: 2, ySplit: 2 }];
+}
+
+/**
+ * @param {number} month - Month (0-11).
+ * @param {number} year - Year.
+ * @return {string} e.g. "2025-11".
+ */
+function monthKey(month, year) {
+	return `${year}-${String(month + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Read the hours that leave cells held before the writer marked them, from
+ * the hidden sheet of a workbook it wrote. Each row holds a sheet name, the
+ * month it was filled for, and a cell address with its hours; a row without
+ * an address records the month of a sheet without leave.
+ *
+ * @param {Object} workbook - The Excel workbook object.
+ * @return {Map|null} Sheet name -> { month, cells: Map of address -> hours },
+ *   or null for a workbook without the sheet.
+ */
+function loadOriginalHours(workbook) {
+	const hiddenSheet = workbook.getWorksheet(ORIGINAL_HOURS_SHEET_NAME);
+	if (!hiddenSheet) return null;
+
+	const originals = new Map();
+	hiddenSheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+		if (rowNumber === 1) return;
+
+		const [sheetName, filledMonth, address, hours] = [1, 2, 3, 4].map(
+			(col) => row.getCell(col).value
+		);
+		if (!originals.has(sheetName)) {
+			originals.set(sheetName, { month: filledMonth, cells: new Map() });
+		}
+		if (address) {
+			originals.get(sheetName).cells.set(address, hours ?? null);
+		}
+	});
+	return originals;
+}
+
+/**
+ * Write the hidden sheet read by loadOriginalHours, replacing the sheet of an
+ * earlier run.
+ *
+ * @param {Object} workbook - The Excel workbook object.
+ * @param {Map} originals - As returned by loadOriginalHours.
+ */
+function writeOriginalHours(workbook, originals) {
+	const existing = workbook.getWorksheet(ORIGINAL_HOURS_SHEET_NAME);
+	if (existing) workbook.removeWorksheet(existing.id);
+	const sheet = workbook.addWorksheet(ORIGINAL_HOURS_SHEET_NAME, {
+		state: 'hidden',
+	});
+
+	sheet.addRow(['Sheet', 'Month', 'Cell', 'Hours']);
+	for (const [sheetName, { month: filledMonth, cells }] of originals) {
+		sheet.addRow([sheetName, filledMonth]);
+		for (const [address, hours] of cells) {
+			sheet.addRow([sheetName, filledMonth, address, hours]);
+		}
+	}
+}
+
+/**
+ * Give leave cells marked in an earlier run their recorded hours back, before
+ * the current leave is applied again, as clearLeaveCellsRespectingOverride
+ * does in Apps Script. Only rows of fetched employees are restored; cells on
+ * a public holiday are zeroed and keep their record.
+ *
+ * @param {Object} sheet - The Excel sheet object.
+ * @param {Object} dayColumns - Mapping of day numbers to column indices.
+ * @param {Map} originalHours - Address -> hours; restored cells are removed.
+ * @param {Set<number>} activeRows - From mapEmployeeRows.
+ * @param {Function} isHoliday - From mapRowHolidays.
+ * @return {number} The count of restored cells.
+ */
+function restoreLeaveCells(
+	sheet,
+	dayColumns,
+	originalHours,
+	activeRows,
+	isHoliday
+) {
+	const colToDay = new Map(
+		Object.entries(dayColumns).map(([day, col]) => [col, Number(day)])
+	);
+	let count = 0;
+
+	for (const [address, hours] of originalHours) {
+		const cell = sheet.getCell(address);
+		const rowNum = Number(cell.row);
+		const day = colToDay.get(Number(cell.col));
+		if (!day || !activeRows.has(rowNum)) continue;
+
+		clearNote(cell);
+		if (isHoliday(rowNum, day)) {
+			applyHolidayStyle(cell);
+			continue;
+		}
+
+		cell.value = hours;
+		cell.style = {
+			...cell.style,
+			fill: { type: 'pattern', pattern: 'none' },
+			font: { color: { argb: COLORS.FONT_BLACK } },
+		};
+		originalHours.delete(address);
+		count++;
+	}
+
+	return count;
+}
+
+/**
+ * Record the value, fill and note of every day cell of the employee rows.
+ *
+ * @param {Object} sheet - The Excel sheet object.
+ * @param {Object} layout - Template layout from resolveTemplateLayout.
+ * @param {Object} dayColumns - Mapping of day numbers to column indices.
+ * @return {Map} Address -> { employee, day, value, fill, note }.
+ */
+function snapshotDayCells(sheet, layout, dayColumns) {
+	const cells = new Map();
+
+	sheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+		if (rowNumber < layout.firstDataRow) return;
+		const employee =
+			row.getCell(layout.nameColumn).value ||
+			row.getCell(layout.idColumn).value;
+		if (!employee) return;
+
+		for (const [day, colIdx] of Object.entries(dayColumns)) {
+			const cell = row.getCell(colIdx);
+			const fill = cell.fill || {};
+			cells.set(cell.address, {
+				employee: String(employee).trim(),
+				day: Number(day),
+				value: cell.value,
+				fill: `${fill.pattern || 'none'} ${fill.fgColor?.argb || ''}`,
+				note: typeof cell.note === 'string' ? cell.note : '',
+			});
+		}
+	});
+
+	return cells;
+}
+
+/**
+ * @param {Map} before - From snapshotDayCells.
+ * @param {Map} after - From snapshotDayCells, of the same sheet.
+ * @return {Array} { address, employee, day, before, after } for every cell
+ *   whose value, fill or note changed, in sheet order.
+ */
+function diffDayCells(before, after) {
+	const changes = [];
+	for (const [address, cell] of after) {
+		const old = before.get(address);
+		if (
+			old &&
+			old.value === cell.value &&
+			old.fill === cell.fill &&
+			old.note === cell.note
+		) {
+			continue;
+		}
+		changes.push({
+			address,
+			employee: cell.employee,
+			day: cell.day,
+			before: old || { value: null, note: '' },
+			after: cell,
+		});
+	}
+	return changes;
+}
+
+/**
+ * @param {Object} change - From diffDayCells.
+ * @return {string} e.g. "M4 Aaron Myatt, day 3: 8 -> 0 (Medical Leave: full
+ *   day, approved)".
+ */
+function formatCellChange({ address, employee, day, before, after }) {
+	let reason = 'formatting';
+	if (after.note) reason = after.note.split('\n').join('; ');
+	else if (before.note) reason = 'leave removed';
+	return `${address} ${employee}, day ${day}: ${before.value ?? ''} -> ${
+		after.value ?? ''
+	} (${reason})`;
+}
+
+/**
+ * Apply the current leave again to a workbook this writer filled for the
+ * month: cells marked in the earlier run get their recorded hours back, the
+ * leave in the data is marked again, and the cells that differ from before
+ * are listed. Running it twice on the same data changes nothing.
+ *
+ * @param {Object} sheet - The Excel sheet object, filled for the month.
+ * @param {Object} layout - Template layout from resolveTemplateLayout.
+ * @param {Array} leaveData - From readLeaveData.
+ * @param {number} month - Month (0-11).
+ * @param {number} year - Year.
+ * @param {Object} holidays - From loadHolidays.
+ * @param {Map} palette - From loadLeavePalette.
+ * @param {Map} originalHours - The sheet's recorded hours from
+ *   loadOriginalHours, updated in place.
+ * @return {Object} Statistics about the processing, restoredCells, the
+ *   changed cells from diffDayCells as changes, and the month's leave days
+ *   from summarizeLeaveDays as leaveSummary.
+ */
+function reapplyLeave(
+	sheet,
+	layout,
+	leaveData,
+	month,
+	year,
+	holidays,
+	palette,
+	originalHours
+) {
+	// The workbook is already restructured, its header holds this month's days
+	const dayColumns = parseAllDayColumns(sheet, layout);
+	const { employeeRowsById, employeeRowsByName } = parseEmployeeRows(
+		sheet,
+		layout,
+		dayColumns
+	);
+	const isHoliday = mapRowHolidays(
+		holidays,
+		employeeRowsById,
+		employeeRowsByName
+	);
+	const before = snapshotDayCells(sheet, layout, dayColumns);
+
+	const restoredCells = restoreLeaveCells(
+		sheet,
+		dayColumns,
+		originalHours,
+		mapEmployeeRows(
+			loadFetchedEmployees(leaveData),
+			employeeRowsById,
+			employeeRowsByName
+		),
+		isHoliday
+	);
+	logger.debug(`Restored ${restoredCells} leave cells`);
+
+	// Reparse so half days deduct from the restored hours
+	const {
+		employeeRowsById: updatedRowsById,
+		employeeRowsByName: updatedRowsByName,
+	} = parseEmployeeRows(sheet, layout, dayColumns);
+
+	const employeeLeaves = loadLeaveData(leaveData, month, year);
+	const results = processLeaveRequests(
+		sheet,
+		employeeLeaves,
+		dayColumns,
+		updatedRowsById,
+		updatedRowsByName,
+		isHoliday,
+		palette,
+		originalHours
+	);
+	const leaveSummary = summarizeLeaveDays(
+		employeeLeaves,
+		updatedRowsById,
+		updatedRowsByName,
+		isHoliday,
+		month,
+		year
+	);
+
+	const changes = diffDayCells(
+		before,
+		snapshotDayCells(sheet, layout, dayColumns)
+	);
+	return { ...results, restoredCells, changes, leaveSummary };
+}
+
+/**
+ * Convert formulas to static values only in day columns.
+ * This preserves formulas in Total Hours, Total Days, etc.
+ *
+ * @param {Object} sheet - The Excel sheet object.
+ * @param {Object} layout - Template layout from resolveTemplateLayout.
+ * @param {Object} dayColumns - Day columns to convert.
+ */
+function convertDayColumnFormulas(sheet, layout, dayColumns) {
+	const colIndices = new Set(Object.values(dayColumns));
+
+	sheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+		if (rowNumber < layout.firstDataRow) return;
 
 		colIndices.forEach((colIdx) => {
 			try {
@@ -628,8 +1949,9 @@ function convertDayColumnFormulas(sheet, dayColumns) {
 async function saveWorkbook(workbook, outputPath) {
 	// Force Excel to recalculate all formulas when the file is opened
 	workbook.calcProperties = { fullCalcOnLoad: true };
+	fs.mkdirSync(path.dirname(outputPath), { recursive: true });
 	await workbook.xlsx.writeFile(outputPath);
-	console.log(`Saved updated file to: ${outputPath}`);
+	logger.info(`Saved updated file to: ${outputPath}`);
 }
 
 /**
@@ -638,77 +1960,246 @@ async function saveWorkbook(workbook, outputPath) {
  * @param {Object} results - The results object from processLeaveRequests.
  */
 function logResults({ updatedCells, matchedEmployees, notFoundEmployees }) {
-	console.log(`Matched ${matchedEmployees} employees with leave requests`);
-	console.log(`Updated ${updatedCells} cells`);
+	logger.info(`Matched ${matchedEmployees} employees with leave requests`);
+	logger.info(`Updated ${updatedCells} cells`);
 
 	if (notFoundEmployees.length > 0) {
-		console.log(`Employees not found in sheet (${notFoundEmployees.length}):`);
-		notFoundEmployees
-			.slice(0, 10)
-			.forEach((name) => console.log(`  - ${name}`));
-		if (notFoundEmployees.length > 10) {
-			console.log(`  ... and ${notFoundEmployees.length - 10} more`);
-		}
+		const shown = notFoundEmployees.slice(0, 10).join(', ');
+		const more =
+			notFoundEmployees.length > 10
+				? ` and ${notFoundEmployees.length - 10} more`
+				: '';
+		logger.warn(
+			`Employees not found in sheet (${notFoundEmployees.length}): ${shown}${more}`
+		);
 	}
 }
 
 /**
- * Main function to update Excel with leave data.
+ * Apply a change log to a workbook already filled for the month: only the
+ * cells of changed requests are reset and filled again from the leave data.
  *
- * @param {string} excelPath - Path to the Excel file.
- * @param {string} leaveDataPath - Path to the leave data JSON file.
+ * @param {Object} sheet - The Excel sheet object.
+ * @param {Object} layout - Template layout from resolveTemplateLayout.
+ * @param {Array} leaveData - From readLeaveData, of the fetch that wrote the
+ *   log.
+ * @param {string} changesPath - Path to leave_changes.json.
  * @param {number} month - Month (0-11).
  * @param {number} year - Year.
+ * @param {Object} holidays - From loadHolidays.
+ * @param {Map} palette - From loadLeavePalette.
+ * @param {Map} originalHours - The sheet's recorded hours from
+ *   loadOriginalHours, updated in place.
+ * @return {Object} Statistics about the processing, and the month's leave
+ *   days from summarizeLeaveDays as leaveSummary.
  */
-async function updateExcelWithLeaves(excelPath, leaveDataPath, month, year) {
-	console.log(`Processing leaves for ${month + 1}/${year}`);
-	console.log('Loading Excel file...');
-	const workbook = new ExcelJS.Workbook();
-	await workbook.xlsx.readFile(excelPath);
+function applyLeaveChanges(
+	sheet,
+	layout,
+	leaveData,
+	changesPath,
+	month,
+	year,
+	holidays,
+	palette,
+	originalHours
+) {
+	const changedDays = loadChangedDays(changesPath, month, year);
+	logger.info(`Found ${changedDays.length} employees with leave changes`);
 
-	const sheet = workbook.getWorksheet(1);
-	if (!sheet) throw new Error('No worksheet found in Excel file');
+	// The workbook is already restructured, its header holds this month's days
+	const dayColumns = parseAllDayColumns(sheet, layout);
+	const { employeeRowsById, employeeRowsByName } = parseEmployeeRows(
+		sheet,
+		layout,
+		dayColumns
+	);
+	const rowSchedules = mapRowSchedules(
+		loadWorkSchedules(leaveData),
+		employeeRowsById,
+		employeeRowsByName
+	);
+	const isHoliday = mapRowHolidays(
+		holidays,
+		employeeRowsById,
+		employeeRowsByName
+	);
 
-	console.log('Loading leave data...');
-	const employeeLeaves = loadLeaveData(leaveDataPath, month, year);
-	console.log(
+	const resetCells = resetChangedCells(
+		sheet,
+		changedDays,
+		dayColumns,
+		employeeRowsById,
+		employeeRowsByName,
+		rowSchedules,
+		month,
+		year,
+		isHoliday,
+		palette,
+		originalHours
+	);
+	logger.debug(`Reset ${resetCells} changed cells`);
+
+	// Reparse so half days deduct from the reset hours
+	const {
+		employeeRowsById: updatedRowsById,
+		employeeRowsByName: updatedRowsByName,
+	} = parseEmployeeRows(sheet, layout, dayColumns);
+
+	const employeeLeaves = loadLeaveData(leaveData, month, year);
+	const results = processLeaveRequests(
+		sheet,
+		filterChangedLeaves(employeeLeaves, changedDays),
+		dayColumns,
+		updatedRowsById,
+		updatedRowsByName,
+		isHoliday,
+		palette,
+		originalHours
+	);
+
+	// The legend covers the whole month, not only the changes
+	const leaveSummary = summarizeLeaveDays(
+		employeeLeaves,
+		updatedRowsById,
+		updatedRowsByName,
+		isHoliday,
+		month,
+		year
+	);
+
+	return { ...results, resetCells, leaveSummary };
+}
+
+/**
+ * Open the worksheet of the template named by its layout descriptor.
+ *
+ * @param {Object} workbook - The Excel workbook object, read from excelPath.
+ * @param {string} excelPath - Path to the Excel file.
+ * @param {string|Object} [layout] - Template layout file or descriptor.
+ * @return {Object} { sheet, descriptor }
+ */
+function openTemplateSheet(workbook, excelPath, layout) {
+	const descriptor =
+		layout && typeof layout === 'object'
+			? parseTemplateLayout(layout)
+			: loadTemplateLayout(layout, excelPath);
+	const sheet = workbook.getWorksheet(descriptor.sheet ?? 1);
+	if (!sheet) {
+		throw new Error(
+			descriptor.sheet !== undefined
+				? `Worksheet "${descriptor.sheet}" not found in Excel file`
+				: 'No worksheet found in Excel file'
+		);
+	}
+	return { sheet, descriptor };
+}
+
+/**
+ * Load the public holidays of a month and log them.
+ *
+ * @param {Array} leaveData - From readLeaveData.
+ * @param {number} month - Month (0-11).
+ * @param {number} year - Year.
+ * @param {Array} fileHolidays - From loadHolidayFile.
+ * @return {Object} From loadHolidays.
+ */
+function loadMonthHolidays(leaveData, month, year, fileHolidays) {
+	const holidays = loadHolidays(leaveData, month, year, fileHolidays);
+	if (holidays.names.size > 0) {
+		logger.info(
+			`Found ${holidays.names.size} public holidays: ${[...holidays.names]
+				.map(([day, name]) => `${day} ${name}`)
+				.join(', ')}`
+		);
+	}
+	return holidays;
+}
+
+/**
+ * Fill a template sheet for one month: restructure its columns for the month
+ * and mark the month's leave.
+ *
+ * @param {Object} sheet - The Excel sheet object, as in the template.
+ * @param {Object} layout - Template layout from resolveTemplateLayout.
+ * @param {Array} leaveData - From readLeaveData.
+ * @param {number} month - Month (0-11).
+ * @param {number} year - Year.
+ * @param {Object} holidays - From loadHolidays.
+ * @param {Map} palette - From loadLeavePalette.
+ * @param {Map} originalHours - Filled with the hours of the leave cells
+ *   before they were marked, see loadOriginalHours.
+ * @return {Object} Statistics about the processing, the month's leave days
+ *   from summarizeLeaveDays as leaveSummary, and the sheet's totals from
+ *   summarizeMonthSheet as employeeTotals.
+ */
+function fillMonthSheet(
+	sheet,
+	layout,
+	leaveData,
+	month,
+	year,
+	holidays,
+	palette,
+	originalHours
+) {
+	logger.debug('Loading leave data...');
+	const employeeLeaves = loadLeaveData(leaveData, month, year);
+	logger.info(
 		`Found ${Object.keys(employeeLeaves).length} employees with leave requests`
 	);
 
 	// Parse all day columns first
-	const allDayColumns = parseAllDayColumns(sheet);
-	console.log(
+	const allDayColumns = parseAllDayColumns(sheet, layout);
+	logger.debug(
 		`Found ${Object.keys(allDayColumns).length} day columns in template`
 	);
 
 	// Convert formulas to values FIRST (before any restructuring)
-	convertDayColumnFormulas(sheet, allDayColumns);
+	convertDayColumnFormulas(sheet, layout, allDayColumns);
 
 	// Parse employee rows AFTER converting formulas (to get actual values)
 	const { employeeRowsById, employeeRowsByName } = parseEmployeeRows(
 		sheet,
+		layout,
 		allDayColumns
 	);
 
-	// Restructure columns for the specific month (weekdays only)
+	const rowSchedules = mapRowSchedules(
+		loadWorkSchedules(leaveData),
+		employeeRowsById,
+		employeeRowsByName
+	);
+	logger.debug(`Found work schedules for ${rowSchedules.size} rows`);
+	const isHoliday = mapRowHolidays(
+		holidays,
+		employeeRowsById,
+		employeeRowsByName
+	);
+
+	// Restructure columns for the specific month (working days only)
 	const dayColumns = restructureColumnsForMonth(
 		sheet,
+		layout,
 		allDayColumns,
 		month,
 		year,
-		employeeRowsById
+		employeeRowsById,
+		rowSchedules,
+		holidays,
+		isHoliday
 	);
 
 	// Reparse employee rows AFTER restructuring to get correct dayHours mapping
 	const {
 		employeeRowsById: updatedRowsById,
 		employeeRowsByName: updatedRowsByName,
-	} = parseEmployeeRows(sheet, dayColumns);
+	} = parseEmployeeRows(sheet, layout, dayColumns);
 
-	console.log(
+	logger.debug(
 		`Found ${Object.keys(updatedRowsById).length} unique employee IDs in sheet`
 	);
-	console.log(
+	logger.debug(
 		`Found ${
 			Object.keys(updatedRowsByName).length
 		} unique employee names in sheet`
@@ -719,15 +2210,287 @@ async function updateExcelWithLeaves(excelPath, leaveDataPath, month, year) {
 		employeeLeaves,
 		dayColumns,
 		updatedRowsById,
-		updatedRowsByName
+		updatedRowsByName,
+		isHoliday,
+		palette,
+		originalHours
+	);
+	const leaveSummary = summarizeLeaveDays(
+		employeeLeaves,
+		updatedRowsById,
+		updatedRowsByName,
+		isHoliday,
+		month,
+		year
+	);
+	const employeeTotals = summarizeMonthSheet(
+		sheet,
+		layout,
+		dayColumns,
+		employeeLeaves,
+		updatedRowsById,
+		updatedRowsByName,
+		isHoliday
 	);
 
+	return { ...results, leaveSummary, employeeTotals };
+}
+
+/**
+ * Main function to update Excel with leave data.
+ * A workbook this writer filled before, recognised by its hidden Original
+ * Hours sheet, gets its leave applied again (see reapplyLeave) instead.
+ *
+ * @param {string} excelPath - Path to the Excel file.
+ * @param {string} leaveDataPath - Path to the leave data JSON file.
+ * @param {number} month - Month (0-11).
+ * @param {number} year - Year.
+ * @param {string} [outputPath] - Where to save; defaults to excelPath with a
+ *   change log, <workbook>_reapplied.xlsx for a filled workbook (excelPath
+ *   with options.inPlace), else <template>_<m>_<y>.xlsx.
+ * @param {Object} [options]
+ * @param {string} [options.changesPath] - Change log to apply to excelPath, a
+ *   workbook filled for the month, instead of filling the template.
+ * @param {boolean} [options.inPlace] - Save leave applied again to a filled
+ *   workbook over excelPath.
+ * @param {string|Object} [options.layout] - Template layout file or descriptor,
+ *   see templateLayout.js; by default <template>.layout.json or detected.
+ * @param {string} [options.holidaysPath] - Holiday file, see loadHolidayFile;
+ *   adds to the holidays in the leave data.
+ * @param {string} [options.palettePath] - Leave colours per leave type, see
+ *   leavePalette.js.
+ */
+async function updateExcelWithLeaves(
+	excelPath,
+	leaveDataPath,
+	month,
+	year,
+	outputPath,
+	options = {}
+) {
+	logger.info(`Processing leaves for ${month + 1}/${year}`);
+	logger.debug('Loading Excel file...');
+	const workbook = new ExcelJS.Workbook();
+	await workbook.xlsx.readFile(excelPath);
+
+	const { sheet, descriptor } = openTemplateSheet(
+		workbook,
+		excelPath,
+		options.layout
+	);
+	const layout = resolveTemplateLayout(sheet, descriptor);
+	logger.debug(`Template layout: ${formatTemplateLayout(layout)}`);
+
+	const leaveData = readLeaveData(leaveDataPath);
+	const holidays = loadMonthHolidays(
+		leaveData,
+		month,
+		year,
+		loadHolidayFile(options.holidaysPath)
+	);
+	const palette = loadLeavePalette(options.palettePath);
+
+	const originals = loadOriginalHours(workbook) || new Map();
+	const filled = originals.get(sheet.name);
+	if (filled && filled.month !== monthKey(month, year)) {
+		throw new Error(
+			`"${sheet.name}" was filled for ${filled.month}, not ${monthKey(
+				month,
+				year
+			)}; use the template instead`
+		);
+	}
+	const originalHours = filled ? filled.cells : new Map();
+
+	let results;
+	if (options.changesPath) {
+		results = applyLeaveChanges(
+			sheet,
+			layout,
+			leaveData,
+			options.changesPath,
+			month,
+			year,
+			holidays,
+			palette,
+			originalHours
+		);
+	} else if (filled) {
+		logger.info(`"${sheet.name}" was filled before, applying leave again`);
+		results = reapplyLeave(
+			sheet,
+			layout,
+			leaveData,
+			month,
+			year,
+			holidays,
+			palette,
+			originalHours
+		);
+	} else {
+		results = fillMonthSheet(
+			sheet,
+			layout,
+			leaveData,
+			month,
+			year,
+			holidays,
+			palette,
+			originalHours
+		);
+	}
 	logResults(results);
+	if (results.changes) {
+		logger.info(
+			`Restored ${results.restoredCells} cells, changed ${results.changes.length} cells`
+		);
+		for (const change of results.changes) {
+			logger.info(`  ${formatCellChange(change)}`);
+		}
+	}
+
+	originals.set(sheet.name, {
+		month: monthKey(month, year),
+		cells: originalHours,
+	});
+	writeOriginalHours(workbook, originals);
+	writeLegendSheet(
+		workbook,
+		results.leaveSummary,
+		palette,
+		`${month + 1}/${year}`
+	);
 
-	const outputPath = excelPath.replace('.xlsx', `_${month + 1}_${year}.xlsx`);
-	await saveWorkbook(workbook, outputPath);
+	let target = outputPath;
+	if (!target) {
+		if (options.changesPath || (filled && options.inPlace)) {
+			target = excelPath;
+		} else {
+			// A filled workbook is only overwritten when asked to
+			target = excelPath.replace(
+				'.xlsx',
+				filled ? '_reapplied.xlsx' : `_${month + 1}_${year}.xlsx`
+			);
+		}
+	}
+	await saveWorkbook(workbook, target);
 
-	return results;
+	return { ...results, outputPath: target };
+}
+
+/**
+ * Build one workbook for several months: a copy of the template sheet filled
+ * for each month, named like "Jan 2025", a summary sheet of hours worked and
+ * leave days per employee and month, and a legend for the whole period. The
+ * template sheet itself is left out; other sheets of the template are kept.
+ *
+ * @param {string} excelPath - Path to the Excel file.
+ * @param {string} leaveDataPath - Path to the leave data JSON file, covering
+ *   the months.
+ * @param {Array<{ month: number, year: number }>} months - Months (0-11), in order.
+ * @param {string} [outputPath] - Where to save; defaults to
+ *   <template>_<first m>_<y>-<last m>_<y>.xlsx.
+ * @param {Object} [options] - As for updateExcelWithLeaves, without changesPath.
+ * @return {Object} { outputPath, updatedCells, matchedEmployees, months },
+ *   where months holds the results of fillMonthSheet with their month and year.
+ */
+async function updateExcelForMonths(
+	excelPath,
+	leaveDataPath,
+	months,
+	outputPath,
+	options = {}
+) {
+	const first = months[0];
+	const last = months[months.length - 1];
+	const target =
+		outputPath ||
+		excelPath.replace(
+			'.xlsx',
+			`_${first.month + 1}_${first.year}-${last.month + 1}_${last.year}.xlsx`
+		);
+
+	logger.debug('Loading Excel file...');
+	const workbook = new ExcelJS.Workbook();
+	await workbook.xlsx.readFile(excelPath);
+
+	const { sheet: template, descriptor } = openTemplateSheet(
+		workbook,
+		excelPath,
+		options.layout
+	);
+	// Each month starts from an untouched copy of the template sheet
+	const templateModel = template.model;
+	const leaveData = readLeaveData(leaveDataPath);
+	const fileHolidays = loadHolidayFile(options.holidaysPath);
+	const palette = loadLeavePalette(options.palettePath);
+
+	const originals = new Map();
+	const monthResults = [];
+	for (const { month, year } of months) {
+		logger.info(`Processing leaves for ${month + 1}/${year}`);
+		const sheet = workbook.addWorksheet(`${getMonthName(month)} ${year}`);
+		sheet.model = {
+			...structuredClone(templateModel),
+			id: sheet.id,
+			name: sheet.name,
+		};
+
+		const layout = resolveTemplateLayout(sheet, descriptor);
+		logger.debug(`Template layout: ${formatTemplateLayout(layout)}`);
+		const holidays = loadMonthHolidays(
+			leaveData,
+			month,
+			year,
+			fileHolidays
+		);
+
+		const originalHours = new Map();
+		const results = fillMonthSheet(
+			sheet,
+			layout,
+			leaveData,
+			month,
+			year,
+			holidays,
+			palette,
+			originalHours
+		);
+		logResults(results);
+		originals.set(sheet.name, {
+			month: monthKey(month, year),
+			cells: originalHours,
+		});
+		monthResults.push({ month, year, ...results });
+	}
+	workbook.removeWorksheet(template.id);
+
+	writeSummarySheet(
+		workbook,
+		monthResults.map(({ month, year, employeeTotals }) => ({
+			month,
+			year,
+			employees: employeeTotals,
+		}))
+	);
+	writeLegendSheet(
+		workbook,
+		mergeLeaveSummaries(monthResults.map(({ leaveSummary }) => leaveSummary)),
+		palette,
+		`${first.month + 1}/${first.year} to ${last.month + 1}/${last.year}`
+	);
+	writeOriginalHours(workbook, originals);
+	await saveWorkbook(workbook, target);
+
+	return {
+		outputPath: target,
+		updatedCells: monthResults.reduce((sum, r) => sum + r.updatedCells, 0),
+		matchedEmployees: monthResults.reduce(
+			(sum, r) => sum + r.matchedEmployees,
+			0
+		),
+		months: monthResults,
+	};
 }
 
 /**
@@ -742,9 +2505,13 @@ async function main() {
 	try {
 		await updateExcelWithLeaves(excelPath, leaveDataPath, month, year);
 	} catch (error) {
-		console.error('Error:', error.message);
+		logger.error(error.message);
 		process.exit(1);
 	}
 }
 
-main();
+if (require.main === module) {
+	main();
+}
+
+module.exports = { updateExcelWithLeaves, updateExcelForMonths };
@@ -0,0 +1,173 @@
+/**
+ * Work schedules: which weekdays an employee works and for how many hours.
+ *
+ * A schedule is { name, source, hours } with hours keyed by ISO weekday
+ * (1=Monday ... 7=Sunday) and 0 on days off. LeaveService resolves one per
+ * employee and stores it in the leave data as `work_schedule`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_OVERRIDES_PATH = path.join(
+	__dirname,
+	'..',
+	'work-schedules.json'
+);
+
+const DEFAULT_HOURS = 8;
+const HALF_DAY_HOURS = 4;
+
+// OmniHR schedule day types: 1=full day, 2=half day AM, 3=half day PM
+const DAY_TYPE_FULL = 1;
+
+const DAY_NAMES = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+/**
+ * Mon-Fri, 8 hours a day: what the scripts assumed before schedules existed
+ */
+const DEFAULT_SCHEDULE = {
+	name: 'Default Mon-Fri',
+	source: 'default',
+	hours: { 1: 8, 2: 8, 3: 8, 4: 8, 5: 8, 6: 0, 7: 0 },
+};
+
+/**
+ * @param {Date} date
+ * @returns {number} ISO weekday, 1=Monday ... 7=Sunday
+ */
+function isoWeekday(date) {
+	return date.getDay() || 7;
+}
+
+/**
+ * @param {string} time - HH:MM or HH:MM:SS
+ * @returns {number|null} Hours since midnight
+ */
+function parseTime(time) {
+	const match = /^(\d{1,2}):(\d{2})/.exec(time || '');
+	return match ? Number(match[1]) + Number(match[2]) / 60 : null;
+}
+
+/**
+ * Working hours of one OmniHR schedule item: the time span when both times
+ * are set, otherwise 8 for a full day and 4 for a half day
+ * @param {Object} item - { day, day_type, time_from, time_to, is_next_day }
+ * @returns {number}
+ */
+function itemHours(item) {
+	const from = parseTime(item.time_from);
+	const to = parseTime(item.time_to);
+	if (from !== null && to !== null) {
+		const span = to - from + (item.is_next_day || to <= from ? 24 : 0);
+		return Math.round(span * 100) / 100;
+	}
+	return item.day_type === DAY_TYPE_FULL || !item.day_type
+		? DEFAULT_HOURS
+		: HALF_DAY_HOURS;
+}
+
+/**
+ * @param {Array<Object>} items - OmniHR schedule items
+ * @param {string} name
+ * @param {string} source - api, override or default
+ * @returns {Object} { name, source, hours: { 1..7: number } }
+ */
+function fromScheduleItems(items, name, source) {
+	const hours = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0, 6: 0, 7: 0 };
+	for (const item of items) {
+		if (hours[item.day] !== undefined) hours[item.day] += itemHours(item);
+	}
+	return { name, source, hours };
+}
+
+/**
+ * Override files give hours per day keyed by ISO weekday or short day name,
+ * e.g. { "mon": 8, "tue": 8, "wed": 4 }; missing days are non-working.
+ * @param {Object} dayHours
+ * @param {string} name
+ * @returns {Object} Schedule, see fromScheduleItems
+ */
+function fromDayHours(dayHours, name) {
+	const hours = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0, 6: 0, 7: 0 };
+	for (const [key, value] of Object.entries(dayHours)) {
+		const index = DAY_NAMES.indexOf(key.toLowerCase().slice(0, 3));
+		const day = index >= 0 ? index + 1 : Number(key);
+		if (!Object.hasOwn(hours, day) || typeof value !== 'number') {
+			throw new Error(
+				`Work schedule "${name}": invalid day "${key}" or hours "${value}"`
+			);
+		}
+		hours[day] = value;
+	}
+	return { name, source: 'override', hours };
+}
+
+/**
+ * @param {Object} schedule
+ * @param {Date} date
+ * @returns {number} Scheduled hours, 0 on a non-working day
+ */
+function hoursOn(schedule, date) {
+	return (schedule || DEFAULT_SCHEDULE).hours[isoWeekday(date)] || 0;
+}
+
+/**
+ * @param {Object} schedule
+ * @param {Date} date
+ * @returns {boolean}
+ */
+function isWorkingDay(schedule, date) {
+	return hoursOn(schedule, date) > 0;
+}
+
+/**
+ * Load the local override file:
+ *
+ *   {
+ *     "schedules": { "Part-time": { "mon": 8, "tue": 8, "wed": 8 } },
+ *     "employees": { "SM0012": "Part-time", "Jane Doe": { "sat": 8, "sun": 8 } }
+ *   }
+ *
+ * Employees are keyed by employee ID or full name. A schedule name that is
+ * not defined in the file is looked up among the OmniHR work schedules.
+ * @param {string} [filePath] - Defaults to OMNIHR_WORK_SCHEDULES or
+ *   work-schedules.json, which may be absent
+ * @returns {Object|null} { schedules, employees }, or null without a file
+ */
+function loadScheduleOverrides(filePath) {
+	const explicit = filePath || process.env.OMNIHR_WORK_SCHEDULES;
+	const file = path.resolve(explicit || DEFAULT_OVERRIDES_PATH);
+	if (!fs.existsSync(file)) {
+		if (explicit) throw new Error(`Work schedules file not found: ${file}`);
+		return null;
+	}
+
+	const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+	const schedules = Object.fromEntries(
+		Object.entries(raw.schedules || {}).map(([name, dayHours]) => [
+			name,
+			fromDayHours(dayHours, name),
+		])
+	);
+
+	const employees = {};
+	for (const [key, value] of Object.entries(raw.employees || {})) {
+		employees[key.trim().toLowerCase()] =
+			typeof value === 'string' ? value : fromDayHours(value, key);
+	}
+
+	return { schedules, employees };
+}
+
+module.exports = {
+	DEFAULT_SCHEDULE,
+	DEFAULT_HOURS,
+	isoWeekday,
+	fromScheduleItems,
+	fromDayHours,
+	parseTime,
+	hoursOn,
+	isWorkingDay,
+	loadScheduleOverrides,
+};